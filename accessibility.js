@@ -0,0 +1,157 @@
+/**
+ * Accessibility
+ * Reduced motion (following prefers-reduced-motion unless the player picks
+ * otherwise), a high-contrast palette, audio cues before hazards reach the
+ * player and an ARIA live region that announces what happens in the game.
+ * Settings are saved in localStorage; GeometryDashGame applies them (see
+ * applyAccessibility in game.js).
+ */
+
+const ACCESSIBILITY_SETTINGS_KEY = 'geometryDashAccessibility';
+const HIGH_CONTRAST_THEME = 'contrast'; // See THEMES in themes.js
+const AUDIO_CUE_LEAD = 30; // Simulation steps of warning before a hazard reaches the player (half a second)
+const AUDIO_CUE_GAP = 12; // Fewest steps between two cues, so rows of spikes don't become a buzz
+
+class AccessibilityManager {
+    constructor() {
+        this.settings = AccessibilityManager.loadSettings();
+        this.motionQuery = typeof window.matchMedia === 'function'
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : null;
+        this.liveRegion = null;
+        this.lastCueStep = -Infinity;
+    }
+
+    /**
+     * Whether motion should be cut down: the player's choice, or the system
+     * setting while reducedMotion is 'system'
+     */
+    get reduceMotion() {
+        if (this.settings.reducedMotion === 'system') {
+            return !!(this.motionQuery && this.motionQuery.matches);
+        }
+        return this.settings.reducedMotion === 'on';
+    }
+
+    get highContrast() {
+        return this.settings.highContrast;
+    }
+
+    get audioCues() {
+        return this.settings.audioCues;
+    }
+
+    /**
+     * Change some settings ({ reducedMotion, highContrast, audioCues }) and save them
+     */
+    update(changes) {
+        Object.keys(changes).forEach(key => {
+            if (key in this.settings) this.settings[key] = changes[key];
+        });
+        this.saveSettings();
+    }
+
+    /**
+     * Add a visually hidden live region to `container` for announce()
+     */
+    createLiveRegion(container) {
+        const region = document.createElement('div');
+        region.className = 'game-announcer';
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-atomic', 'true');
+        Object.assign(region.style, {
+            position: 'absolute',
+            width: '1px',
+            height: '1px',
+            margin: '-1px',
+            padding: '0',
+            overflow: 'hidden',
+            clip: 'rect(0 0 0 0)',
+            whiteSpace: 'nowrap',
+            border: '0'
+        });
+        container.appendChild(region);
+        this.liveRegion = region;
+    }
+
+    removeLiveRegion() {
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+        }
+    }
+
+    /**
+     * Tell screen readers about a change the canvas only shows
+     */
+    announce(message) {
+        if (!this.liveRegion) return;
+
+        // Screen readers skip a region whose text didn't change, so repeats get a trailing space
+        this.liveRegion.textContent = this.liveRegion.textContent === message ? `${message} ` : message;
+    }
+
+    /**
+     * Hazard (obstacle or spike) the player reaches within AUDIO_CUE_LEAD steps
+     * that wasn't that close a step ago, or null. `step` is the game's step count.
+     */
+    nextCue(game, step) {
+        if (step < this.lastCueStep) this.lastCueStep = -Infinity; // A new run started
+        if (!this.settings.audioCues || step - this.lastCueStep < AUDIO_CUE_GAP) return null;
+
+        const front = game.cameraX + game.player.x + game.player.width;
+        const edge = front + game.scrollSpeed * AUDIO_CUE_LEAD;
+        const previousEdge = edge - (game.cameraX - game.previousCameraX);
+        const entering = (object) => object.x > previousEdge && object.x <= edge;
+        const near = (listName) => Simulation.nearby(game.level, listName, previousEdge, edge);
+
+        let cue = null;
+        if (near('spikes').some(entering)) {
+            cue = 'cueSpike';
+        } else if (near('obstacles').some(entering)) {
+            cue = 'cueBlock';
+        }
+        if (cue) this.lastCueStep = step;
+        return cue;
+    }
+
+    static loadSettings() {
+        const defaults = { reducedMotion: 'system', highContrast: false, audioCues: false };
+        try {
+            const stored = JSON.parse(localStorage.getItem(ACCESSIBILITY_SETTINGS_KEY));
+            return Object.assign(defaults, stored);
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(ACCESSIBILITY_SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.error('Failed to save accessibility settings:', e);
+        }
+    }
+}
+
+// Wire the accessibility controls (start screen and pause settings) to `game`
+function setupAccessibilityControls(game) {
+    const settings = game.accessibility.settings;
+    const groups = [
+        { ids: ['motionSelect', 'pauseMotionSelect'], key: 'reducedMotion', property: 'value' },
+        { ids: ['highContrastToggle', 'pauseHighContrastToggle'], key: 'highContrast', property: 'checked' },
+        { ids: ['audioCuesToggle', 'pauseAudioCuesToggle'], key: 'audioCues', property: 'checked' }
+    ];
+
+    groups.forEach(group => {
+        const controls = group.ids.map(id => document.getElementById(id)).filter(Boolean);
+        controls.forEach(control => {
+            control[group.property] = settings[group.key];
+            control.addEventListener('change', () => {
+                game.setAccessibility({ [group.key]: control[group.property] });
+                controls.forEach(other => { other[group.property] = control[group.property]; });
+            });
+        });
+    });
+}
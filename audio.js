@@ -0,0 +1,344 @@
+/**
+ * Audio Manager
+ * Plays sample files decoded into AudioBuffers, falling back to synthesized
+ * sounds for any sample that is missing or can't be decoded. Music and sound
+ * effects go through separate gain buses whose volumes (and a global mute)
+ * are saved in localStorage.
+ *
+ *   effects ───────── sfxBus ───┐
+ *   music ── track ── musicBus ──┴── master (mute) ── destination
+ */
+
+const AUDIO_SETTINGS_KEY = 'geometryDashAudioSettings';
+
+// Candidate URLs for each sample, tried in order
+const AUDIO_SAMPLES = {
+    jump: ['sounds/jump.mp3', 'jump.mp3'],
+    music: ['sounds/gamesound.mp3']
+};
+
+// Synthesized stand-ins for samples that didn't load (and for sounds that have no sample)
+const SYNTH_SOUNDS = {
+    jump: { frequency: 400, sweepTo: null, type: 'square', gain: 0.1, duration: 0.1 },
+    pad: { frequency: 500, sweepTo: 1000, type: 'triangle', gain: 0.1, duration: 0.1 },
+    orb: { frequency: 700, sweepTo: 1100, type: 'sine', gain: 0.1, duration: 0.1 },
+    coin: { frequency: 990, sweepTo: 1480, type: 'square', gain: 0.08, duration: 0.12 },
+    secretCoin: { frequency: 660, sweepTo: 1760, type: 'triangle', gain: 0.12, duration: 0.3 },
+    shield: { frequency: 880, sweepTo: 220, type: 'triangle', gain: 0.15, duration: 0.25 },
+    death: { frequency: 150, sweepTo: null, type: 'sawtooth', gain: 0.2, duration: 0.3 },
+    // Accessibility audio cues for the next hazard (see accessibility.js)
+    cueBlock: { frequency: 660, sweepTo: null, type: 'sine', gain: 0.15, duration: 0.08 },
+    cueSpike: { frequency: 990, sweepTo: 1320, type: 'sine', gain: 0.15, duration: 0.08 }
+};
+
+const SYNTH_BEAT_INTERVAL = 500; // Milliseconds between beats of the fallback music
+
+class AudioManager {
+    /**
+     * options.muted overrides the saved mute setting (embedded games start muted, for example)
+     */
+    constructor(options = {}) {
+        this.settings = AudioManager.loadSettings();
+        if (typeof options.muted === 'boolean') {
+            this.settings.muted = options.muted;
+        }
+        this.buffers = {}; // Sample name -> AudioBuffer (null once loading has failed)
+        this.loading = {}; // Sample name -> Promise while it is being decoded
+        this.musicKey = 'music'; // Sample used as the music track
+        this.musicState = 'stopped'; // stopped, playing, paused
+        this.musicSource = null;
+        this.musicOffset = 0; // Seconds into the track where playback resumes
+        this.musicStartedAt = 0; // context.currentTime the track would have started at
+        this.beatTimer = null; // Pending setTimeout of the synthesized beat
+
+        try {
+            this.context = new (window.AudioContext || window.webkitAudioContext)();
+        } catch (e) {
+            console.log('Audio context not supported');
+            this.context = null;
+            return;
+        }
+
+        this.master = this.context.createGain();
+        this.musicBus = this.context.createGain();
+        this.sfxBus = this.context.createGain();
+        this.track = this.context.createGain(); // Per-level music volume
+        this.track.connect(this.musicBus);
+        this.musicBus.connect(this.master);
+        this.sfxBus.connect(this.master);
+        this.master.connect(this.context.destination);
+        this.applySettings();
+    }
+
+    /**
+     * True once the context may make sound (browsers start it suspended until a user gesture)
+     */
+    get ready() {
+        return !!this.context && this.context.state === 'running';
+    }
+
+    /**
+     * Resume the context from a user gesture; resolves with whether audio is available
+     */
+    unlock() {
+        if (!this.context) return Promise.resolve(false);
+        if (this.context.state !== 'suspended') return Promise.resolve(this.ready);
+
+        return this.context.resume()
+            .then(() => this.ready)
+            .catch(e => {
+                console.log('Could not resume audio context:', e);
+                return false;
+            });
+    }
+
+    /**
+     * Start decoding the built-in samples
+     */
+    loadSamples() {
+        return Promise.all(Object.keys(AUDIO_SAMPLES).map(name => this.load(name, AUDIO_SAMPLES[name])));
+    }
+
+    /**
+     * Fetch and decode the first of `urls` that works into the `name` sample
+     * Never rejects: a sample that can't be loaded is stored as null and synthesized instead
+     */
+    load(name, urls) {
+        if (!this.context) return Promise.resolve(null);
+        if (name in this.buffers) return Promise.resolve(this.buffers[name]);
+        if (this.loading[name]) return this.loading[name];
+
+        const tryUrl = (index) => {
+            if (index >= urls.length) return Promise.resolve(null);
+
+            return fetch(urls[index])
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(data => this.context.decodeAudioData(data))
+                .catch(() => tryUrl(index + 1));
+        };
+
+        this.loading[name] = tryUrl(0).then(buffer => {
+            this.buffers[name] = buffer;
+            delete this.loading[name];
+            return buffer;
+        });
+        return this.loading[name];
+    }
+
+    /**
+     * Use a level's own music track (null for the default one) at the given volume
+     */
+    setMusicTrack(url, volume = 0.5) {
+        const key = url ? `music:${url}` : 'music';
+        if (this.track) {
+            this.track.gain.value = volume;
+        }
+        if (key === this.musicKey) return;
+
+        this.stopMusic();
+        this.musicKey = key;
+        if (url) {
+            this.load(key, [url]);
+        }
+    }
+
+    /**
+     * Start the music, or continue it from where pauseMusic() left off
+     */
+    playMusic() {
+        if (!this.ready || this.musicState === 'playing') return;
+
+        this.musicState = 'playing';
+        const buffer = this.buffers[this.musicKey];
+        if (!buffer) {
+            this.startBeat();
+            return;
+        }
+
+        const offset = this.musicOffset % buffer.duration;
+        this.musicSource = this.context.createBufferSource();
+        this.musicSource.buffer = buffer;
+        this.musicSource.loop = true;
+        this.musicSource.connect(this.track);
+        this.musicSource.start(0, offset);
+        this.musicStartedAt = this.context.currentTime - offset;
+    }
+
+    /**
+     * Stop the music but remember the position so playMusic() continues it
+     */
+    pauseMusic() {
+        if (this.musicState !== 'playing') return;
+
+        if (this.musicSource) {
+            this.musicOffset = this.context.currentTime - this.musicStartedAt;
+        }
+        this.stopSources();
+        this.musicState = 'paused';
+    }
+
+    /**
+     * Stop the music and rewind it to the start
+     */
+    stopMusic() {
+        this.stopSources();
+        this.musicOffset = 0;
+        this.musicState = 'stopped';
+    }
+
+    stopSources() {
+        clearTimeout(this.beatTimer);
+        this.beatTimer = null;
+        if (this.musicSource) {
+            this.musicSource.stop();
+            this.musicSource.disconnect();
+            this.musicSource = null;
+        }
+    }
+
+    /**
+     * Stop all sound and release the audio context; the manager is silent afterwards
+     */
+    close() {
+        this.stopMusic();
+        if (!this.context) return Promise.resolve();
+
+        const context = this.context;
+        this.context = null;
+        return context.close().catch(() => {
+            // Already closed; nothing left to release
+        });
+    }
+
+    /**
+     * Simple synthesized beat used when the music track is unavailable
+     */
+    startBeat() {
+        const playBeat = () => {
+            if (!this.ready) return;
+
+            this.playTone({
+                frequency: 220 + Math.sin(Date.now() * 0.001) * 20,
+                sweepTo: null,
+                type: 'sine',
+                gain: 0.05,
+                duration: 0.1
+            }, this.musicBus);
+            this.beatTimer = setTimeout(playBeat, SYNTH_BEAT_INTERVAL);
+        };
+
+        clearTimeout(this.beatTimer); // Never run two beat loops at once
+        playBeat();
+    }
+
+    /**
+     * Play a sound effect: its sample if one was loaded, otherwise its synthesized version
+     */
+    play(name) {
+        if (!this.ready) return;
+
+        const buffer = this.buffers[name];
+        if (buffer) {
+            const source = this.context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(this.sfxBus);
+            source.start();
+            return;
+        }
+        if (SYNTH_SOUNDS[name]) {
+            this.playTone(SYNTH_SOUNDS[name], this.sfxBus);
+        }
+    }
+
+    playTone(tone, destination) {
+        const now = this.context.currentTime;
+        const oscillator = this.context.createOscillator();
+        const gainNode = this.context.createGain();
+
+        oscillator.connect(gainNode);
+        gainNode.connect(destination);
+
+        oscillator.type = tone.type;
+        oscillator.frequency.setValueAtTime(tone.frequency, now);
+        if (tone.sweepTo) {
+            oscillator.frequency.exponentialRampToValueAtTime(tone.sweepTo, now + tone.duration);
+        }
+
+        gainNode.gain.setValueAtTime(tone.gain, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, now + tone.duration);
+
+        oscillator.start(now);
+        oscillator.stop(now + tone.duration);
+    }
+
+    /**
+     * Set the 'music' or 'sfx' volume (0-1) and save it
+     */
+    setVolume(bus, volume) {
+        const key = bus === 'music' ? 'musicVolume' : 'sfxVolume';
+        this.settings[key] = Math.min(1, Math.max(0, volume));
+        this.applySettings();
+        this.saveSettings();
+    }
+
+    setMuted(muted) {
+        this.settings.muted = muted;
+        this.applySettings();
+        this.saveSettings();
+    }
+
+    applySettings() {
+        if (!this.context) return;
+
+        this.musicBus.gain.value = this.settings.musicVolume;
+        this.sfxBus.gain.value = this.settings.sfxVolume;
+        this.master.gain.value = this.settings.muted ? 0 : 1;
+    }
+
+    static loadSettings() {
+        const defaults = { musicVolume: 1, sfxVolume: 1, muted: false };
+        try {
+            const stored = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY));
+            return Object.assign(defaults, stored);
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.error('Failed to save audio settings:', e);
+        }
+    }
+}
+
+// Wire the volume sliders and mute checkboxes (start screen and pause settings) to `audio`
+function setupAudioControls(audio) {
+    const muteToggles = ['muteToggle', 'pauseMuteToggle']
+        .map(id => document.getElementById(id))
+        .filter(Boolean);
+    muteToggles.forEach(toggle => {
+        toggle.checked = audio.settings.muted;
+        toggle.addEventListener('change', () => {
+            audio.setMuted(toggle.checked);
+            muteToggles.forEach(other => { other.checked = toggle.checked; });
+        });
+    });
+
+    [['musicVolume', 'music'], ['sfxVolume', 'sfx']].forEach(([id, bus]) => {
+        const slider = document.getElementById(id);
+        if (!slider) return;
+
+        slider.value = Math.round(audio.settings[id] * 100);
+        slider.addEventListener('input', () => {
+            audio.setVolume(bus, parseInt(slider.value, 10) / 100);
+        });
+    });
+}
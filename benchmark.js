@@ -0,0 +1,240 @@
+/**
+ * Benchmark
+ * A generated level packed with objects (BENCHMARK_OBJECT_COUNT by default),
+ * all of them above the runner's lane so the level plays itself without a
+ * single jump, and a runner that measures how the game keeps up with it.
+ *
+ * game.html?benchmark (or ?benchmark=20000 for another object count) plays
+ * the level as a replay with no inputs, so nothing is recorded, scored or
+ * counted in stats, and shows the frame rate while it runs and a summary at
+ * the end (also logged to the console).
+ *
+ *   node benchmark.js [objectCount]
+ *
+ * times the simulation alone (see LevelSimulation in simulation.js).
+ */
+
+const BENCHMARK_OBJECT_COUNT = 12000;
+const BENCHMARK_ROWS = 12; // Objects stacked in each column
+const BENCHMARK_COLUMN_SPACING = 40;
+const BENCHMARK_START_X = 400; // Clear run-up before the first column
+const BENCHMARK_LANE_TOP = 80; // Lowest elevation of any object: the runner passes underneath everything
+const BENCHMARK_ROW_HEIGHT = 36;
+const BENCHMARK_SLOW_FRAME = 1000 / 50; // Milliseconds; frames longer than this count as dropped
+
+/**
+ * Level definition with `objectCount` blocks, spikes, platforms and orbs (one
+ * in 25 moving), plus a coin in the runner's lane every 500 pixels
+ */
+function createBenchmarkLevel(objectCount = BENCHMARK_OBJECT_COUNT) {
+    const columns = Math.ceil(objectCount / BENCHMARK_ROWS);
+    const width = BENCHMARK_START_X + columns * BENCHMARK_COLUMN_SPACING + 600;
+    const level = {
+        version: 1,
+        id: 'benchmark',
+        name: `Benchmark (${objectCount} objects)`,
+        width: width,
+        settings: { scrollSpeed: 10 },
+        obstacles: [],
+        spikes: [],
+        platforms: [],
+        orbs: [],
+        coins: []
+    };
+
+    for (let i = 0; i < objectCount; i++) {
+        const column = Math.floor(i / BENCHMARK_ROWS);
+        const row = i % BENCHMARK_ROWS;
+        const jitter = (i * 7919) % 11; // Break up the grid a little, the same way every time
+        const object = {
+            x: BENCHMARK_START_X + column * BENCHMARK_COLUMN_SPACING + jitter,
+            y: BENCHMARK_LANE_TOP + row * BENCHMARK_ROW_HEIGHT + jitter
+        };
+        if (i % 25 === 0) {
+            object.motion = {
+                keyframes: [{ time: 0, x: 0, y: 0 }, { time: 800, x: 0, y: BENCHMARK_ROW_HEIGHT }],
+                easing: 'sine',
+                repeat: 'pingpong'
+            };
+        }
+
+        switch ((column + row) % 4) {
+            case 0:
+                level.obstacles.push(Object.assign(object, { width: 30, height: 20 }));
+                break;
+            case 1:
+                level.spikes.push(Object.assign(object, { width: 24, height: 24 }));
+                break;
+            case 2:
+                level.platforms.push(Object.assign(object, { width: 36, height: 10 }));
+                break;
+            default:
+                level.orbs.push(object);
+        }
+    }
+
+    for (let x = BENCHMARK_START_X; x < width - 100; x += 500) {
+        level.coins.push({ x: x, y: 0 });
+    }
+    return level;
+}
+
+/**
+ * Plays the benchmark level in a game and measures every frame
+ */
+class BenchmarkRun {
+    constructor(game, objectCount = BENCHMARK_OBJECT_COUNT) {
+        this.game = game;
+        this.objectCount = objectCount;
+        this.frameTimes = []; // Milliseconds between animation frames
+        this.renderTimes = []; // Milliseconds spent in game.render()
+        this.stepTimes = []; // Milliseconds spent in game.update() (one simulation step)
+        this.panel = null;
+        this.restore = null; // Undoes instrument()
+    }
+
+    start() {
+        const game = this.game;
+        game.setLevel(createBenchmarkLevel(this.objectCount));
+        this.instrument();
+        this.createPanel();
+
+        // A replay with no inputs: the runner never jumps and nothing is saved
+        const recorder = new RunRecorder(game);
+        game.startReplay(recorder.finish({ steps: 0, distance: 0, completed: false }));
+
+        this.lastFrame = performance.now();
+        requestAnimationFrame(time => this.frame(time));
+    }
+
+    /**
+     * Time the game's render() and update() calls
+     */
+    instrument() {
+        const game = this.game;
+        const timed = (name, times) => {
+            const original = game[name];
+            game[name] = (...args) => {
+                const start = performance.now();
+                const result = original.apply(game, args);
+                times.push(performance.now() - start);
+                return result;
+            };
+            return () => { game[name] = original; };
+        };
+        const undo = [timed('render', this.renderTimes), timed('update', this.stepTimes)];
+        this.restore = () => undo.forEach(callback => callback());
+    }
+
+    frame(time) {
+        this.frameTimes.push(time - this.lastFrame);
+        this.lastFrame = time;
+
+        const replay = this.game.replay;
+        if (!replay || replay.ended) {
+            this.finish();
+            return;
+        }
+        if (this.frameTimes.length % 30 === 0) {
+            const recent = this.frameTimes.slice(-30);
+            const fps = 1000 / (recent.reduce((sum, value) => sum + value, 0) / recent.length);
+            this.panel.textContent = `Benchmark: ${this.objectCount} objects, ${Math.round(fps)} FPS, ${this.game.getProgressPercent()}%`;
+        }
+        requestAnimationFrame(next => this.frame(next));
+    }
+
+    finish() {
+        this.restore();
+        const summary = this.summarize();
+        console.log('Benchmark results:', summary);
+        this.panel.textContent = [
+            `Benchmark: ${summary.objects} objects, ${summary.frames} frames`,
+            `Average ${summary.averageFps} FPS, worst frame ${summary.worstFrame} ms, ${summary.slowFrames} frames over ${BENCHMARK_SLOW_FRAME} ms`,
+            `Render ${summary.averageRender} ms per frame, simulation ${summary.averageStep} ms per step`
+        ].join('\n');
+        this.game.accessibility.announce(`Benchmark finished: ${summary.averageFps} frames per second on average`);
+    }
+
+    /**
+     * Results so far (times in milliseconds, rounded to hundredths)
+     */
+    summarize() {
+        const round = (value) => Math.round(value * 100) / 100;
+        const average = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+        const frames = this.frameTimes.slice(1); // The first frame also waited for the level to load
+        return {
+            objects: this.objectCount,
+            frames: frames.length,
+            averageFps: round(1000 / (average(frames) || 1)),
+            worstFrame: round(Math.max(0, ...frames)),
+            slowFrames: frames.filter(time => time > BENCHMARK_SLOW_FRAME).length,
+            averageRender: round(average(this.renderTimes)),
+            averageStep: round(average(this.stepTimes))
+        };
+    }
+
+    createPanel() {
+        const panel = document.createElement('pre');
+        panel.className = 'benchmark-panel';
+        panel.setAttribute('aria-hidden', 'true'); // finish() announces the result
+        Object.assign(panel.style, {
+            position: 'fixed',
+            left: '10px',
+            bottom: '10px',
+            margin: '0',
+            padding: '8px 12px',
+            background: 'rgba(0, 0, 0, 0.75)',
+            color: '#ffffff',
+            font: '14px monospace',
+            zIndex: '1000'
+        });
+        panel.textContent = `Benchmark: ${this.objectCount} objects`;
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+}
+
+// game.html?benchmark runs the benchmark as soon as the page loads
+function setupBenchmark() {
+    const params = new URLSearchParams(window.location.search);
+    const instance = gameInstance || window.gameInstance;
+    if (!params.has('benchmark') || !instance) return;
+
+    const count = parseInt(params.get('benchmark'), 10);
+    new BenchmarkRun(instance, count > 0 ? count : BENCHMARK_OBJECT_COUNT).start();
+}
+
+if (typeof window !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', setupBenchmark);
+    } else {
+        setupBenchmark();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BENCHMARK_OBJECT_COUNT, createBenchmarkLevel };
+
+    // node benchmark.js [objectCount]: step the level headlessly and report the time per step
+    if (require.main === module) {
+        const { THEMES, Colors } = require('./themes.js');
+        global.THEMES = THEMES;
+        global.Colors = Colors;
+        global.LevelFormat = require('./level-format.js').LevelFormat;
+        global.SpatialIndex = require('./spatial-index.js').SpatialIndex;
+        const { LevelSimulation } = require('./simulation.js');
+
+        const count = parseInt(process.argv[2], 10) || BENCHMARK_OBJECT_COUNT;
+        let start = process.hrtime.bigint();
+        const sim = new LevelSimulation(createBenchmarkLevel(count));
+        const loadTime = Number(process.hrtime.bigint() - start) / 1e6;
+
+        start = process.hrtime.bigint();
+        while (sim.state === 'running') sim.step();
+        const runTime = Number(process.hrtime.bigint() - start) / 1e6;
+
+        console.log(`${count} objects: loaded in ${loadTime.toFixed(1)} ms, ${sim.state} after ${sim.stepCount} steps, ` +
+            `${(runTime / sim.stepCount * 1000).toFixed(1)} µs per step`);
+        process.exitCode = sim.state === 'won' ? 0 : 1;
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * Camera
+ * Decides which part of the level GeometryDashGame shows: it scrolls with
+ * cameraX, follows the player vertically (within the level's height), eases
+ * between zoom levels set by the level's zoom triggers and shakes on impacts.
+ *
+ * World coordinates are the laid-out level's: x from the start of the level,
+ * y as on screen at zoom 1 (the top of the view is 0, levels taller than the
+ * view reach into negative y). Draw code renders in world coordinates between
+ * begin() and end().
+ */
+
+const CAMERA_FOLLOW = 0.1; // Fraction of the distance to its target the camera moves per step
+const CAMERA_DEAD_ZONE = 0.25; // Fraction of the view height the player can move in before the camera follows
+const CAMERA_JUMP = 100; // A scroll jump larger than this (in pixels) snaps the camera instead of easing
+
+class Camera {
+    constructor() {
+        this.y = 0; // Top of the view in world coordinates (at the last simulation step)
+        this.zoom = 1;
+        this.previousY = 0; // Values at the step before, for render interpolation
+        this.previousZoom = 1;
+        this.lastX = 0; // cameraX the camera last followed
+        this.triggerIndex = 0; // Next zoom trigger (in x order) the player hasn't passed
+        this.zoomTween = null; // { from, to, step, steps } while easing between zoom levels
+        this.shakeStrength = 0; // Pixels
+        this.shakeDuration = 0; // Milliseconds
+        this.shakeStart = 0;
+        this.shakeEnabled = true;
+
+        // View for the frame being drawn (see frame())
+        this.view = { left: 0, top: 0, width: 0, height: 0, zoom: 1 };
+        this.shakeX = 0;
+        this.shakeY = 0;
+    }
+
+    /**
+     * Back to zoom 1 with no zoom triggers passed (start screen, editor)
+     */
+    reset(game) {
+        this.zoom = 1;
+        this.zoomTween = null;
+        this.triggerIndex = 0;
+        this.settle(game);
+    }
+
+    /**
+     * Jump straight to where the camera should be for the player's current
+     * position (after a respawn or replay seek), skipping the easing
+     */
+    snap(game) {
+        this.reset(game);
+        const triggers = game.level.zoomTriggers;
+        const playerX = game.cameraX + game.player.x;
+        while (this.triggerIndex < triggers.length && triggers[this.triggerIndex].x <= playerX) {
+            this.zoom = triggers[this.triggerIndex++].zoom;
+        }
+        this.settle(game);
+    }
+
+    settle(game) {
+        this.lastX = game.cameraX;
+        const player = game.player;
+        this.y = this.clampTop(game, player.y + player.height / 2 - this.visibleHeight(game) / 2);
+        this.previousY = this.y;
+        this.previousZoom = this.zoom;
+    }
+
+    /**
+     * Follow the player for one simulation step
+     */
+    update(game) {
+        if (game.cameraX < this.lastX || game.cameraX - this.lastX > CAMERA_JUMP) {
+            this.snap(game);
+        }
+        this.lastX = game.cameraX;
+        this.previousY = this.y;
+        this.previousZoom = this.zoom;
+
+        const triggers = game.level.zoomTriggers;
+        const playerX = game.cameraX + game.player.x;
+        while (this.triggerIndex < triggers.length && triggers[this.triggerIndex].x <= playerX) {
+            const trigger = triggers[this.triggerIndex++];
+            const steps = Math.round(trigger.duration / FIXED_TIMESTEP);
+            this.zoomTween = steps > 0 ? { from: this.zoom, to: trigger.zoom, step: 0, steps: steps } : null;
+            if (!this.zoomTween) this.zoom = trigger.zoom;
+        }
+        if (this.zoomTween) {
+            const tween = this.zoomTween;
+            tween.step++;
+            const t = tween.step / tween.steps;
+            this.zoom = tween.from + (tween.to - tween.from) * t * t * (3 - 2 * t); // Smoothstep
+            if (tween.step >= tween.steps) this.zoomTween = null;
+        }
+
+        const target = this.clampTop(game, this.targetTop(game, this.y));
+        this.y += (target - this.y) * CAMERA_FOLLOW;
+    }
+
+    /**
+     * View top that keeps the player inside the dead zone around the middle of the view
+     */
+    targetTop(game, top) {
+        const player = game.player;
+        const height = this.visibleHeight(game);
+        const margin = height * (1 - CAMERA_DEAD_ZONE) / 2;
+        return Math.max(player.y + player.height + margin - height, Math.min(player.y - margin, top));
+    }
+
+    /**
+     * Keep the view between the level's ceiling and the bottom of the ground
+     * (levels shorter than the view stay bottom-aligned)
+     */
+    clampTop(game, top) {
+        const lowest = game.viewHeight - this.visibleHeight(game);
+        const highest = Math.min(game.level.ceilingY, lowest);
+        return Math.max(highest, Math.min(lowest, top));
+    }
+
+    /**
+     * World height the view covers at the current zoom
+     */
+    visibleHeight(game, zoom = this.zoom) {
+        return game.viewHeight / zoom;
+    }
+
+    /**
+     * Work out the view for the frame being drawn, `alpha` of the way from the
+     * previous simulation step to the last one, on a screen `screenWidth`
+     * logical pixels wide (less than the canvas in split-screen races)
+     */
+    frame(game, alpha, screenWidth = game.canvas.offsetWidth || 1200) {
+        const zoom = this.previousZoom + (this.zoom - this.previousZoom) * alpha;
+        const width = screenWidth / zoom;
+        this.view = {
+            // The player stays at the same place on screen whatever the zoom
+            left: game.renderCameraX + game.player.x * (1 - 1 / zoom),
+            top: this.previousY + (this.y - this.previousY) * alpha,
+            width: width,
+            height: this.visibleHeight(game, zoom),
+            zoom: zoom
+        };
+
+        const elapsed = performance.now() - this.shakeStart;
+        const strength = this.shakeEnabled && elapsed < this.shakeDuration
+            ? this.shakeStrength * (1 - elapsed / this.shakeDuration)
+            : 0;
+        this.shakeX = (Math.random() * 2 - 1) * strength;
+        this.shakeY = (Math.random() * 2 - 1) * strength;
+    }
+
+    /**
+     * Shake the view by up to `strength` pixels, fading out over `duration` milliseconds
+     * (a stronger shake replaces a weaker one that is still going)
+     */
+    shake(strength, duration) {
+        const elapsed = performance.now() - this.shakeStart;
+        const current = elapsed < this.shakeDuration ? this.shakeStrength * (1 - elapsed / this.shakeDuration) : 0;
+        if (strength < current) return;
+
+        this.shakeStrength = strength;
+        this.shakeDuration = duration;
+        this.shakeStart = performance.now();
+    }
+
+    /**
+     * Start drawing in world coordinates; `parallax` below 1 makes a layer move
+     * slower than the level (background layers)
+     */
+    begin(ctx, parallax = 1) {
+        const view = this.view;
+        ctx.save();
+        ctx.translate(this.shakeX, this.shakeY);
+        ctx.scale(view.zoom, view.zoom);
+        ctx.translate(-view.left * parallax, -view.top * parallax);
+    }
+
+    end(ctx) {
+        ctx.restore();
+    }
+
+    /**
+     * Whether a world rectangle is inside the frame's view
+     */
+    isVisible(object) {
+        const view = this.view;
+        return object.x + object.width > view.left && object.x < view.left + view.width &&
+            object.y + object.height > view.top && object.y < view.top + view.height;
+    }
+}
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Level Checker
+ * Runs the solver (solver.js) against the built-in levels and any level files
+ * given on the command line, and exits non-zero if one can't be beaten.
+ *
+ *   node check-levels.js [level.json ...] [--strict] [--frame-window=N] [--view-height=N]
+ *
+ * --strict also fails levels that need frame-perfect input.
+ *
+ * It also checks the jump arcs the levels were built for: a tapped jump
+ * rises as it did when the game stepped its physics once per 60 Hz frame,
+ * and holding jump lifts it higher.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The game's scripts share globals in the browser; recreate that here
+const { THEMES, Colors } = require('./themes.js');
+global.THEMES = THEMES;
+global.Colors = Colors;
+const { LevelFormat, LevelFormatError } = require('./level-format.js');
+global.LevelFormat = LevelFormat;
+const { SpatialIndex } = require('./spatial-index.js');
+global.SpatialIndex = SpatialIndex;
+const { Simulation, LevelSimulation } = require('./simulation.js');
+global.Simulation = Simulation;
+global.LevelSimulation = LevelSimulation;
+const { LevelSolver } = require('./solver.js');
+const { BUILT_IN_LEVELS } = require('./levels.js');
+
+function parseArgs(argv) {
+    const args = { files: [], strict: false, frameWindow: 1, viewHeight: undefined };
+    argv.forEach(arg => {
+        const [flag, value] = arg.split('=');
+        if (flag === '--strict') {
+            args.strict = true;
+        } else if (flag === '--frame-window') {
+            args.frameWindow = parseInt(value, 10);
+        } else if (flag === '--view-height') {
+            args.viewHeight = parseInt(value, 10);
+        } else {
+            args.files.push(arg);
+        }
+    });
+    return args;
+}
+
+function loadLevels(files) {
+    const levels = Object.keys(BUILT_IN_LEVELS).map(id => ({ name: `built-in "${id}"`, definition: BUILT_IN_LEVELS[id] }));
+    files.forEach(file => {
+        levels.push({ name: path.basename(file), definition: JSON.parse(fs.readFileSync(file, 'utf8')) });
+    });
+    return levels;
+}
+
+function check(level, args) {
+    let report;
+    try {
+        report = LevelSolver.solve(level.definition, { frameWindow: args.frameWindow, viewHeight: args.viewHeight });
+    } catch (error) {
+        console.log(`FAIL ${level.name}: ${error instanceof LevelFormatError ? error.message : `could not be solved (${error.message})`}`);
+        return false;
+    }
+
+    const framePerfect = report.problems.filter(problem => problem.type === 'frame-perfect');
+    const failed = !report.beatable || (args.strict && framePerfect.length > 0);
+    const summary = report.beatable
+        ? `beatable in ${report.steps} steps with ${report.inputs.length} inputs, narrowest window ${report.minWindow === null ? 'none' : `${report.minWindow} step${report.minWindow === 1 ? '' : 's'}`}`
+        : `not beatable${report.exhaustive ? '' : ' (search was cut short, so this is not proven)'}`;
+    console.log(`${failed ? 'FAIL' : 'ok  '} ${level.name}: ${summary}`);
+
+    report.problems.forEach(problem => {
+        const where = `section "${problem.section}" at x=${problem.x} (step ${problem.step})`;
+        console.log(problem.type === 'impossible'
+            ? `       impossible: nothing gets past ${where}`
+            : `       frame-perfect: ${problem.window}-step window for the ${problem.input} in ${where}`);
+    });
+    return !failed;
+}
+
+// Jump arcs (pixels risen, steps in the air): a tap follows the original per-frame
+// loop's arc, and holding for maxJumpHold milliseconds lifts it to the full height
+const REFERENCE_JUMPS = {
+    tapped: { height: 152, steps: 39 },
+    held: { height: 246, steps: 53 }
+};
+
+function measureJump(held) {
+    const sim = new LevelSimulation({ version: 1, id: 'jump-arc', name: 'Jump arc', width: 2000 });
+    const startY = sim.player.y;
+    let topY = startY;
+    sim.press();
+    if (!held) sim.release();
+    do {
+        sim.step();
+        topY = Math.min(topY, sim.player.y);
+    } while (sim.player.isJumping && sim.state === 'running');
+    return { height: Math.round(startY - topY), steps: sim.stepCount };
+}
+
+function checkJumpArcs() {
+    return Object.keys(REFERENCE_JUMPS).map(kind => {
+        const expected = REFERENCE_JUMPS[kind];
+        const jump = measureJump(kind === 'held');
+        const ok = jump.height === expected.height && jump.steps === expected.steps;
+        console.log(ok
+            ? `ok   ${kind} jump: ${jump.height}px over ${jump.steps} steps`
+            : `FAIL ${kind} jump: rises ${jump.height}px over ${jump.steps} steps, expected ${expected.height}px over ${expected.steps}`);
+        return ok;
+    }).every(Boolean);
+}
+
+const args = parseArgs(process.argv.slice(2));
+const results = [checkJumpArcs()].concat(loadLevels(args.files).map(level => check(level, args)));
+process.exitCode = results.every(Boolean) ? 0 : 1;
@@ -0,0 +1,83 @@
+/**
+ * Coins and Run Score
+ * Remembers which of a level's coins (by their index in the level's `coins`
+ * list) have ever been collected, and works out a run's score: distance in
+ * metres, points for the coins picked up on the way and a bonus for reaching
+ * the end without dying.
+ */
+
+const COIN_STORAGE_KEY = 'geometryDashCoins';
+const COIN_POINTS = 50;
+const SECRET_COIN_POINTS = 200;
+const NO_DEATH_BONUS = 500;
+
+const CoinStore = {
+    loadAll() {
+        try {
+            const stored = localStorage.getItem(COIN_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * Indices of the coins ever collected on a level
+     */
+    get(levelId) {
+        return this.loadAll()[levelId] || [];
+    },
+
+    /**
+     * Add the coins collected in a run (`indices`) and return the level's updated list
+     */
+    record(levelId, indices) {
+        const all = this.loadAll();
+        const collected = all[levelId] || [];
+        const added = indices.filter(index => !collected.includes(index));
+        if (added.length === 0) return collected;
+
+        all[levelId] = collected.concat(added).sort((a, b) => a - b);
+        try {
+            localStorage.setItem(COIN_STORAGE_KEY, JSON.stringify(all));
+        } catch (e) {
+            console.error('Failed to save coins:', e);
+        }
+        return all[levelId];
+    }
+};
+
+const RunScore = {
+    /**
+     * Score of a run that got `distance` metres and collected `coins` (coin
+     * objects); `noDeath` earns the bonus (a run that reached the end without dying)
+     */
+    breakdown(distance, coins, noDeath) {
+        const secret = coins.filter(coin => coin.secret).length;
+        const result = {
+            distance: distance,
+            coins: coins.length - secret,
+            secretCoins: secret,
+            coinPoints: (coins.length - secret) * COIN_POINTS + secret * SECRET_COIN_POINTS,
+            bonus: noDeath ? NO_DEATH_BONUS : 0
+        };
+        result.total = result.distance + result.coinPoints + result.bonus;
+        return result;
+    },
+
+    /**
+     * Lines describing where a breakdown's total came from, e.g.
+     * ["Distance: 320m", "Coins: 2 + 1 secret (+300)", "No-death bonus: +500"]
+     */
+    describe(breakdown) {
+        const lines = [`Distance: ${breakdown.distance}m`];
+        if (breakdown.coins > 0 || breakdown.secretCoins > 0) {
+            const secret = breakdown.secretCoins > 0 ? ` + ${breakdown.secretCoins} secret` : '';
+            lines.push(`Coins: ${breakdown.coins}${secret} (+${breakdown.coinPoints})`);
+        }
+        if (breakdown.bonus > 0) {
+            lines.push(`No-death bonus: +${breakdown.bonus}`);
+        }
+        return lines;
+    }
+};
@@ -0,0 +1,138 @@
+/**
+ * Difficulty
+ * Easy/Normal/Hard presets built from three assists: a game speed (the
+ * simulation runs at the same fixed steps, only more or fewer of them per
+ * second), a forgiving hitbox (hazards are checked against a smaller runner)
+ * and a shield that absorbs one hit. Settings are saved in localStorage;
+ * GeometryDashGame applies them (see applyDifficulty in game.js) and tags
+ * leaderboard runs with the preset, so assisted runs go on their own boards.
+ */
+
+const DIFFICULTY_SETTINGS_KEY = 'geometryDashDifficulty';
+const FORGIVING_HITBOX_INSET = 6; // Pixels the runner's hazard hitbox shrinks by on every side
+const SHIELD_HITS = 1; // Hits the shield absorbs per run
+
+// 'normal' must stay the unassisted default: its runs share the boards recorded before presets existed
+const DIFFICULTY_PRESETS = {
+    easy: { name: 'Easy', gameSpeed: 0.75, forgivingHitbox: true, shield: true },
+    normal: { name: 'Normal', gameSpeed: 1, forgivingHitbox: false, shield: false },
+    hard: { name: 'Hard', gameSpeed: 1.25, forgivingHitbox: false, shield: false }
+};
+
+class DifficultyManager {
+    constructor() {
+        this.settings = DifficultyManager.loadSettings();
+    }
+
+    /**
+     * Id of the preset the settings match, or 'custom' for a mix of assists
+     */
+    get preset() {
+        const settings = this.settings;
+        const id = Object.keys(DIFFICULTY_PRESETS).find(key => {
+            const preset = DIFFICULTY_PRESETS[key];
+            return preset.gameSpeed === settings.gameSpeed &&
+                preset.forgivingHitbox === settings.forgivingHitbox &&
+                preset.shield === settings.shield;
+        });
+        return id || 'custom';
+    }
+
+    /**
+     * Switch every assist to a preset's values and save them
+     */
+    setPreset(id) {
+        const preset = DIFFICULTY_PRESETS[id];
+        if (!preset) return;
+
+        this.update({ gameSpeed: preset.gameSpeed, forgivingHitbox: preset.forgivingHitbox, shield: preset.shield });
+    }
+
+    /**
+     * Change some settings ({ gameSpeed, forgivingHitbox, shield }) and save them
+     */
+    update(changes) {
+        Object.keys(changes).forEach(key => {
+            if (key in this.settings) this.settings[key] = changes[key];
+        });
+        this.saveSettings();
+    }
+
+    /**
+     * Simulation fields for the current assists (see DEFAULT_PHYSICS in simulation.js)
+     */
+    physics() {
+        return {
+            hitboxInset: this.settings.forgivingHitbox ? FORGIVING_HITBOX_INSET : 0,
+            shieldHits: this.settings.shield ? SHIELD_HITS : 0
+        };
+    }
+
+    /**
+     * Short label for the current settings, e.g. "Easy" or "Custom (75% speed, shield)"
+     */
+    describe() {
+        const id = this.preset;
+        if (id !== 'custom') return DIFFICULTY_PRESETS[id].name;
+
+        const assists = [];
+        if (this.settings.gameSpeed !== 1) assists.push(`${Math.round(this.settings.gameSpeed * 100)}% speed`);
+        if (this.settings.forgivingHitbox) assists.push('forgiving hitbox');
+        if (this.settings.shield) assists.push('shield');
+        return `Custom (${assists.join(', ')})`;
+    }
+
+    static loadSettings() {
+        const defaults = { gameSpeed: 1, forgivingHitbox: false, shield: false };
+        try {
+            const stored = JSON.parse(localStorage.getItem(DIFFICULTY_SETTINGS_KEY));
+            return Object.assign(defaults, stored);
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(DIFFICULTY_SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.error('Failed to save difficulty settings:', e);
+        }
+    }
+}
+
+// Wire the difficulty preset and assist controls on the start screen to `game`
+function setupDifficultyControls(game) {
+    const presetSelect = document.getElementById('difficultySelect');
+    const assists = [
+        { id: 'gameSpeedSelect', key: 'gameSpeed', property: 'value', read: control => Number(control.value) },
+        { id: 'forgivingHitboxToggle', key: 'forgivingHitbox', property: 'checked', read: control => control.checked },
+        { id: 'shieldToggle', key: 'shield', property: 'checked', read: control => control.checked }
+    ].map(assist => Object.assign(assist, { control: document.getElementById(assist.id) }))
+        .filter(assist => assist.control);
+
+    // Show the current settings; a mix of assists selects "Custom"
+    const sync = () => {
+        if (presetSelect) presetSelect.value = game.difficulty.preset;
+        assists.forEach(assist => {
+            assist.control[assist.property] = assist.property === 'value'
+                ? String(game.difficulty.settings[assist.key])
+                : game.difficulty.settings[assist.key];
+        });
+    };
+
+    if (presetSelect) {
+        presetSelect.addEventListener('change', () => {
+            if (presetSelect.value === 'custom') return;
+            game.setDifficulty(presetSelect.value);
+            sync();
+        });
+    }
+    assists.forEach(assist => {
+        assist.control.addEventListener('change', () => {
+            game.setDifficulty({ [assist.key]: assist.read(assist.control) });
+            sync();
+        });
+    });
+    sync();
+}
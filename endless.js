@@ -0,0 +1,256 @@
+/**
+ * Endless Mode
+ * Seeded, procedurally generated course built from reusable obstacle patterns.
+ * The same seed always produces the same course, so runs can be shared and replayed.
+ */
+
+/**
+ * Small deterministic PRNG (mulberry32)
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.state = SeededRandom.hashSeed(seed);
+    }
+
+    /**
+     * Turn any seed string or number into a 32-bit integer (FNV-1a)
+     */
+    static hashSeed(seed) {
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+}
+
+// Base level the generator fills in (width is replaced with Infinity once loaded)
+const ENDLESS_LEVEL = {
+    format: 'cubic-level',
+    version: 1,
+    id: 'endless',
+    name: 'Endless',
+    width: 100000,
+    groundHeight: 50,
+    settings: {
+        scrollSpeed: 5,
+        music: null
+    },
+    colors: {
+        background: '#14141c',
+        ground: '#24242e',
+        groundLine: '#7dd3fc'
+    }
+};
+
+/**
+ * Reusable obstacle patterns. Part positions are relative to the pattern start;
+ * heights grow with difficulty unless `fixed` is set. `minDifficulty` keeps harder
+ * patterns out of the early game.
+ */
+const ENDLESS_PATTERNS = [
+    { name: 'block', minDifficulty: 0, weight: 3, parts: [
+        { list: 'obstacles', x: 0, width: 30, height: 25 }
+    ] },
+    { name: 'spike', minDifficulty: 0, weight: 3, parts: [
+        { list: 'spikes', x: 0, width: 30, height: 30 }
+    ] },
+    { name: 'wide-block', minDifficulty: 0.1, weight: 2, parts: [
+        { list: 'obstacles', x: 0, width: 60, height: 25 }
+    ] },
+    { name: 'double-spike', minDifficulty: 0.2, weight: 2, parts: [
+        { list: 'spikes', x: 0, width: 30, height: 30 },
+        { list: 'spikes', x: 30, width: 30, height: 30 }
+    ] },
+    { name: 'step-up', minDifficulty: 0.3, weight: 2, parts: [
+        { list: 'obstacles', x: 0, width: 30, height: 20 },
+        { list: 'obstacles', x: 30, width: 30, height: 35 }
+    ] },
+    { name: 'platform-hop', minDifficulty: 0.35, weight: 1, parts: [
+        { list: 'spikes', x: 0, width: 30, height: 30, fixed: true },
+        { list: 'spikes', x: 30, width: 30, height: 30, fixed: true },
+        { list: 'platforms', x: 0, y: 70, width: 90, height: 15, fixed: true }
+    ] },
+    { name: 'triple-spike', minDifficulty: 0.5, weight: 1, parts: [
+        { list: 'spikes', x: 0, width: 30, height: 30 },
+        { list: 'spikes', x: 30, width: 30, height: 30 },
+        { list: 'spikes', x: 60, width: 30, height: 30 }
+    ] },
+    { name: 'tower', minDifficulty: 0.6, weight: 1, parts: [
+        { list: 'obstacles', x: 0, width: 40, height: 45 }
+    ] }
+];
+
+// Difficulty curve
+const ENDLESS_SAFE_ZONE = 600; // Empty ground before the first pattern
+const ENDLESS_RAMP_DISTANCE = 30000; // Pixels until difficulty reaches 1
+const ENDLESS_MAX_SPEED_BONUS = 3; // scrollSpeed gained at full difficulty
+const ENDLESS_MAX_HEIGHT_BONUS = 0.6; // Fraction obstacle heights grow at full difficulty
+
+class EndlessGenerator {
+    constructor(game, seed) {
+        this.game = game;
+        this.seed = String(seed);
+        this.baseSpeed = game.scrollSpeed;
+        this.reset();
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 2176782336).toString(36).padStart(6, '0');
+    }
+
+    /**
+     * Start the course over from the beginning (same seed, same course)
+     */
+    reset() {
+        this.random = new SeededRandom(this.seed);
+        this.nextX = ENDLESS_SAFE_ZONE;
+        this.patternCount = 0;
+    }
+
+    /**
+     * 0 at the start, rising to 1 at ENDLESS_RAMP_DISTANCE
+     */
+    difficultyAt(x) {
+        return Math.min(1, Math.max(0, x / ENDLESS_RAMP_DISTANCE));
+    }
+
+    speedAt(x) {
+        return this.baseSpeed + ENDLESS_MAX_SPEED_BONUS * this.difficultyAt(x);
+    }
+
+    /**
+     * How far the player travels while higher than `height` during a tap jump
+     * (simulated with the game's own per-step physics)
+     */
+    clearDistance(height, speed) {
+        const game = this.game;
+        let y = 0;
+        let velocity = -game.jumpPower;
+        let stepsAbove = 0;
+        do {
+            velocity -= game.gravity;
+            y += velocity;
+            if (y > height) stepsAbove++;
+        } while (y > 0);
+        return stepsAbove * speed;
+    }
+
+    /**
+     * Width of hazards that must be cleared in a single jump, and their tallest point
+     */
+    measure(pattern, heightScale) {
+        let start = Infinity;
+        let end = 0;
+        let height = 0;
+        for (const part of pattern.parts) {
+            if (part.list === 'platforms') continue;
+            start = Math.min(start, part.x);
+            end = Math.max(end, part.x + part.width);
+            height = Math.max(height, (part.y || 0) + this.scaleHeight(part, heightScale));
+        }
+        return { span: end - start, height: height };
+    }
+
+    scaleHeight(part, heightScale) {
+        return part.fixed ? part.height : Math.round(part.height * heightScale);
+    }
+
+    /**
+     * Pick a pattern the player can always clear at this point of the course
+     */
+    pickPattern(difficulty, speed, heightScale) {
+        const playerWidth = this.game.player.width;
+        const candidates = ENDLESS_PATTERNS.filter(pattern => {
+            if (pattern.minDifficulty > difficulty) return false;
+            const size = this.measure(pattern, heightScale);
+            // Leave a 25% margin so clearing a pattern never needs a frame-perfect jump
+            return size.span + playerWidth <= this.clearDistance(size.height, speed) * 0.75;
+        });
+
+        let total = 0;
+        candidates.forEach(pattern => { total += pattern.weight; });
+        let roll = this.random.next() * total;
+        for (const pattern of candidates) {
+            roll -= pattern.weight;
+            if (roll < 0) return pattern;
+        }
+        return candidates[0] || ENDLESS_PATTERNS[0];
+    }
+
+    /**
+     * Add patterns to the level until it reaches `untilX`
+     */
+    generate(untilX) {
+        while (this.nextX < untilX) {
+            const difficulty = this.difficultyAt(this.nextX);
+            const speed = this.speedAt(this.nextX);
+            const heightScale = 1 + ENDLESS_MAX_HEIGHT_BONUS * difficulty;
+            const pattern = this.pickPattern(difficulty, speed, heightScale);
+            const size = this.measure(pattern, heightScale);
+
+            for (const part of pattern.parts) {
+                this.game.addLevelObject(part.list, {
+                    x: this.nextX + part.x,
+                    y: part.y || 0,
+                    width: part.width,
+                    height: this.scaleHeight(part, heightScale),
+                    color: null
+                });
+            }
+
+            // A jump taken at the last moment must land before the next pattern, with
+            // time left to react; the extra slack shrinks as difficulty rises
+            const airDistance = this.clearDistance(0, speed);
+            const minGap = Math.max(0, airDistance - size.span) + this.game.player.width + speed * 12;
+            const slack = 60 + 300 * (1 - difficulty);
+            this.nextX += size.span + Math.round(minGap + this.random.next() * slack);
+            this.patternCount++;
+        }
+    }
+}
+
+// Wire endless mode controls on the start screen
+function setupEndlessMode() {
+    const instance = gameInstance || window.gameInstance;
+    if (!instance) return;
+
+    const seedInput = document.getElementById('endlessSeed');
+    const endlessButton = document.getElementById('endlessButton');
+    if (endlessButton) {
+        endlessButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const seed = seedInput && seedInput.value.trim();
+            instance.startEndless(seed || EndlessGenerator.randomSeed());
+        });
+    }
+
+    // Shared links: game.html?seed=abc123 loads that endless course, so Start runs it
+    const seed = (new URLSearchParams(window.location.search).get('seed') || '').trim();
+    if (seed) {
+        if (seedInput) seedInput.value = seed;
+        instance.setupEndless(seed);
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupEndlessMode);
+} else {
+    setupEndlessMode();
+}
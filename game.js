@@ -3,318 +3,360 @@
  * Auto-scrolling platformer with jump mechanics
  */
 
+// The simulation itself (physics, collisions and FIXED_TIMESTEP) lives in simulation.js
+const MAX_FRAME_TIME = 250; // Clamp long frames (tab switches, breakpoints) to avoid a catch-up spiral
+const RESUME_COUNTDOWN = 3000; // Milliseconds of 3-2-1 countdown before play resumes
+
 class GeometryDashGame {
-    constructor(canvas) {
+    /**
+     * options (all optional; see initGame for the embed API):
+     *   ui: element holding the start/game over/pause overlays (default: the canvas's parent)
+     *   keyTarget, gamepads: where input comes from (see InputManager)
+     *   muted: overrides the saved mute setting
+     *   ownsCanvas: remove the canvas from the page in destroy()
+     */
+    constructor(canvas, level = BUILT_IN_LEVELS.classic, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        this.ui = options.ui || canvas.parentElement || document;
+        this.listeners = []; // [target, type, handler] added by listen(), removed by destroy()
+        this.events = {}; // Event name -> callbacks registered with on()
+        this.frameId = null; // Pending requestAnimationFrame
+        this.destroyed = false;
+        this.ownsCanvas = !!options.ownsCanvas;
         
         // Set canvas resolution for Retina displays (will retry if dimensions not ready)
         this.resizeCanvas();
         
         // Game state
-        this.gameState = 'start'; // start, playing, dead, win
-        this.scrollSpeed = 5; // Constant scroll speed
+        this.gameState = 'start'; // start, playing, paused, dead, win, editing, replay
+        this.scrollSpeed = 5; // Current scroll speed (speed portals and endless mode change it)
+        this.baseScrollSpeed = 5; // The level's own scroll speed
         this.cameraX = 0; // Camera position for scrolling
-        
-        // Player properties
-        this.player = {
-            x: 100, // Fixed horizontal position
-            y: 0,
-            width: 30,
-            height: 30,
-            velocityY: 0,
-            rotation: 0,
-            rotationSpeed: 0,
-            isJumping: false,
-            jumpStartTime: 0,
-            color: '#ffffff', // White
-            groundY: 0 // Will be set based on ground level
-        };
-        
-        // Physics constants - tuned for clearing small obstacles
-        this.gravity = 0.8;
-        this.jumpPower = -16; // Initial jump velocity (slightly stronger)
-        this.maxJumpHold = 300; // Max milliseconds to hold jump
-        this.holdJumpBonus = 0.35; // Additional velocity per frame while holding
-        
-        // Input handling
-        this.keys = {
-            space: false,
-            mouse: false
-        };
-        this.jumpHeld = false;
-        this.jumpHeldTime = 0;
-        
-        // Level data - Complete playable demo level
-        this.level = {
-            width: 8000, // Total level width
-            groundHeight: 50,
-            obstacles: [],
-            platforms: [],
-            spikes: []
-        };
-        
-        // Parallax layers
+        this.previousCameraX = 0; // Camera position at the previous simulation step (for interpolation)
+        this.camera = new Camera(); // What part of the level is drawn (see camera.js)
+        this.palette = new LevelPalette(); // Colors the level is drawn in (see themes.js)
+        this.staticLayer = new StaticLayerCache(); // Cached tiles of the static level objects (see static-layer.js)
+        this.runStartX = 0; // Where the current run started (editor playtests can start mid-level)
+        this.editor = null; // LevelEditor attached to this game, if any
+        
+        // Pause menu
+        this.countdown = null; // Milliseconds left before resuming (null while the menu is open)
+        this.pausedAccumulator = 0; // Unsimulated time carried over from before the pause
+        this.autoPause = this.loadAutoPauseSetting(); // Pause when the window loses focus
+        
+        // Player properties (see Simulation.createRunner)
+        this.player = Simulation.createRunner();
+        
+        // Physics constants (see DEFAULT_PHYSICS in simulation.js)
+        Object.assign(this, DEFAULT_PHYSICS);
+        this.viewHeight = DEFAULT_VIEW_HEIGHT; // Logical canvas height the level is laid out for
+        
+        // Keyboard, pointer and gamepad input (see input.js)
+        this.input = new InputManager(this, { keyTarget: options.keyTarget, gamepads: options.gamepads });
+        this.stepCount = 0; // Simulation steps since the run started
+        
+        // Run recording, replays and ghost racing (see replay.js)
+        this.recorder = null; // RunRecorder for the current attempt
+        this.lastRun = null; // Recording of the most recent finished attempt
+        this.replay = null; // Playback state while gameState is 'replay'
+        this.ghost = null; // Runner following the best recorded run
+        this.ghostEnabled = this.loadGhostSetting();
+        
+        // Endless mode (see endless.js) - null when playing a fixed level
+        this.endless = null;
+        
+        // Practice mode checkpoints (see practice.js) - null outside practice mode
+        this.practice = null;
+        
+        // Two-player race (see race.js) - null outside race mode
+        this.race = null;
+        
+        // Level data - filled in by setLevel()
+        this.level = null;
+        this.levelData = null;
+        
+        // Parallax layers (`color` names the palette color they are drawn in)
         this.parallaxLayers = [
-            { speed: 0.2, color: '#2a2a2a', elements: [] }, // Background (slow) - dark grey
-            { speed: 0.5, color: '#3a3a3a', elements: [] }, // Mid layer (medium) - medium grey
-            { speed: 1.0, color: '#4a4a4a', elements: [] }   // Foreground (fast) - lighter grey
+            { speed: 0.2, color: 'parallaxFar', elements: [] }, // Background (slow)
+            { speed: 0.5, color: 'parallaxMid', elements: [] }, // Mid layer (medium)
+            { speed: 1.0, color: 'parallaxNear', elements: [] }   // Foreground (fast)
         ];
         
         // Particles for player trail
         this.particles = [];
         
-        // Audio system
-        this.audio = {
-            bgMusic: null,
-            jumpSound: null,
-            deathSound: null,
-            musicPlaying: false
-        };
+        // Lifetime stats and achievements (see stats.js)
+        this.stats = new PlayerStats();
+        
+        // Cube design, colors and trail (see icons.js)
+        this.icon = PlayerIcon.load(this.stats);
+        this.player.color = this.icon.primary;
+        
+        // Sound effects and music (see audio.js)
+        this.audio = new AudioManager({ muted: options.muted });
+        this.audio.loadSamples();
+        
+        // Reduced motion, high contrast, audio cues and announcements (see accessibility.js)
+        this.accessibility = new AccessibilityManager();
+        this.accessibility.createLiveRegion(this.ui === document ? document.body : this.ui);
+        
+        // Difficulty preset and assists (see difficulty.js)
+        this.difficulty = new DifficultyManager();
+        this.applyDifficulty();
         
         // Score and UI
         this.score = 0;
         this.distance = 0;
-        this.highScore = this.loadHighScore();
+        this.highScore = 0; // Best distance on the current level's leaderboard (set by setLevel)
+        this.attempt = 0; // Leaderboard attempt number of the current run
+        this.lastEntry = null; // Leaderboard entry of the most recent finished run
+        this.bestPercent = 0; // Furthest percent of the current level reached on the leaderboard
+        this.sessionAttempts = {}; // Level id -> attempts started since the page loaded
+        this.levelDeaths = []; // Where deaths happened on the current level (see heatmap.js)
+        this.levelCoins = []; // Coins ever collected on the current level (see coins.js)
+        this.runCoins = new Set(); // Indices of the coins collected this run
+        this.lastScore = null; // RunScore breakdown of the most recent finished run
         
         // Initialize level
-        this.createLevel();
-        this.initParallax();
-        this.initAudio();
+        this.setLevel(level);
+        this.applyAccessibility();
         this.setupEventListeners();
         
         // Start game loop
         this.lastTime = performance.now();
+        this.accumulator = 0; // Unsimulated time carried between frames
+        this.renderAlpha = 1; // How far rendering is between the last two simulation steps
+        this.renderCameraX = 0;
+        this.frameAlpha = 1;
         this.gameLoop();
     }
     
     /**
-     * Create a complete playable demo level with small, jumpable obstacles
+     * Load a level from a definition object (see LEVEL_FORMAT.md)
+     * Throws a LevelFormatError if the definition is invalid
      */
-    createLevel() {
-        // Use logical canvas height (not scaled)
-        const logicalHeight = this.canvas.offsetHeight || 600;
-        const groundY = logicalHeight - this.level.groundHeight;
-        this.player.groundY = groundY - this.player.height;
-        this.player.y = this.player.groundY;
-        
-        // Calculate max jump height (approximately 150-180px based on physics)
-        const maxJumpHeight = 180;
-        
-        // Level design - small, jumpable block obstacles
-        let x = 500; // Start after initial safe zone
-        
-        // Section 1: Easy warm-up - small ground blocks
-        for (let i = 0; i < 4; i++) {
-            this.level.obstacles.push({
-                x: x + i * 120,
-                y: groundY - 25, // Small blocks on ground
-                width: 35,
-                height: 25,
-                color: '#d0d0d0' // Light grey blocks
-            });
+    setLevel(definition) {
+        const data = LevelFormat.parse(definition);
+        const widthChanged = !this.level || this.level.width !== data.width;
+        
+        this.levelData = data;
+        this.level = Simulation.createLevel(data);
+        this.scrollSpeed = data.settings.scrollSpeed;
+        this.baseScrollSpeed = this.scrollSpeed;
+        this.audio.setMusicTrack(data.settings.music, data.settings.musicVolume);
+        this.highScore = this.loadHighScore();
+        this.bestPercent = this.loadBestPercent();
+        this.levelDeaths = DeathHeatmap.get(data.id);
+        this.levelCoins = CoinStore.get(data.id);
+        this.runCoins = new Set();
+        
+        this.layoutLevel();
+        if (widthChanged) {
+            this.initParallax();
         }
-        x += 480;
         
-        // Section 2: Jumpable blocks - low blocks that can be jumped over
-        for (let i = 0; i < 5; i++) {
-            this.level.obstacles.push({
-                x: x + i * 100,
-                y: groundY - 30, // Low blocks
-                width: 40,
-                height: 30,
-                color: '#b0b0b0' // Medium grey blocks
-            });
+        if (this.gameState !== 'start') {
+            this.gameState = 'start';
+            this.cameraX = 0;
+            this.particles = [];
         }
-        x += 500;
+        this.palette.reset(this);
         
-        // Section 3: Alternating pattern - jump over blocks
-        for (let i = 0; i < 6; i++) {
-            this.level.obstacles.push({
-                x: x + i * 90,
-                y: groundY - (i % 2 === 0 ? 25 : 35), // Alternating heights
-                width: 35,
-                height: i % 2 === 0 ? 25 : 35,
-                color: '#909090' // Darker grey blocks
+        return this.level;
+    }
+    
+    /**
+     * Fetch a level file (or accept a definition object) and load it
+     */
+    loadLevel(source) {
+        const request = typeof source === 'string'
+            ? fetch(source).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load level "${source}" (HTTP ${response.status})`);
+                }
+                return response.json();
+            })
+            : Promise.resolve(source);
+        
+        return request
+            .then(definition => this.setLevel(definition))
+            .catch(error => {
+                console.error('Failed to load level:', error.message);
+                throw error;
             });
-        }
-        x += 540;
+    }
+    
+    /**
+     * Convert ground-relative level coordinates to screen coordinates
+     * Called again whenever the logical canvas height changes
+     */
+    layoutLevel(logicalHeight = this.canvas.offsetHeight || DEFAULT_VIEW_HEIGHT) {
+        this.viewHeight = logicalHeight;
+        const groundY = Simulation.layoutLevel(this.level, logicalHeight);
         
-        // Section 4: Spaced blocks - rhythm timing
-        for (let i = 0; i < 8; i++) {
-            this.level.obstacles.push({
-                x: x + i * 80,
-                y: groundY - 30,
-                width: 30,
-                height: 30,
-                color: '#c0c0c0' // Light grey blocks
-            });
+        this.player.groundY = groundY - this.player.height;
+        if (this.gameState === 'start' || this.gameState === 'dead') {
+            this.player.y = this.player.groundY;
         }
-        x += 640;
-        
-        // Section 5: Mixed small blocks
-        for (let i = 0; i < 7; i++) {
-            const height = 20 + (i % 3) * 10; // Vary height slightly
-            this.level.obstacles.push({
-                x: x + i * 85,
-                y: groundY - height,
-                width: 35,
-                height: height,
-                color: '#a0a0a0' // Medium grey blocks
-            });
+        if (this.ghost) {
+            this.ghost.groundY = this.player.groundY;
         }
-        x += 595;
-        
-        // Section 6: Final sequence - small blocks
-        for (let i = 0; i < 10; i++) {
-            this.level.obstacles.push({
-                x: x + i * 70,
-                y: groundY - 28,
-                width: 32,
-                height: 28,
-                color: '#e0e0e0' // Very light grey blocks
-            });
+        if (this.race) {
+            this.race.racers.forEach(racer => { racer.player.groundY = this.player.groundY; });
         }
-        x += 700;
-        
-        // Section 7: Victory zone - clear path
-        // No obstacles, just clear path to end
-        
-        this.level.width = x + 300; // End of level
     }
     
     /**
-     * Initialize parallax background elements
+     * Add an object (level format coordinates) to the running level
      */
-    initParallax() {
-        const logicalHeight = this.canvas.offsetHeight || 600;
-        this.parallaxLayers.forEach((layer, layerIndex) => {
-            layer.elements = [];
-            const elementCount = 15 + layerIndex * 5;
-            
-            for (let i = 0; i < elementCount; i++) {
-                layer.elements.push({
-                    x: Math.random() * this.level.width,
-                    y: Math.random() * (logicalHeight - this.level.groundHeight),
-                    size: 20 + Math.random() * 40,
-                    opacity: 0.1 + layerIndex * 0.1
-                });
-            }
-        });
+    addLevelObject(listName, object) {
+        const runtime = Object.assign({}, object, { elevation: object.y });
+        Simulation.placeObject(runtime, this.viewHeight - this.level.groundHeight);
+        Simulation.addObject(this.level, listName, runtime);
+        this.staticLayer.invalidate(runtime);
+        return runtime;
     }
     
     /**
-     * Initialize audio system
+     * Switch to endless mode with the given seed and start a run
      */
-    initAudio() {
-        // Create audio context for sound generation
-        // Will be resumed on user interaction (required by browsers)
-        try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            // Audio context starts suspended, will resume on first user interaction
-            if (this.audioContext.state === 'suspended') {
-                this.audioContextReady = false;
-            } else {
-                this.audioContextReady = true;
-            }
-        } catch (e) {
-            console.log('Audio context not supported');
-            this.audioContext = null;
-            this.audioContextReady = false;
-        }
+    startEndless(seed) {
+        this.stopPractice();
+        this.stopRace();
+        this.setupEndless(seed);
+        this.gameState = 'start';
+        this.hideGameOverScreen();
+        this.startGame();
     }
     
     /**
-     * Resume audio context (called on user interaction)
+     * Start a practice run of the current level, optionally dropping a checkpoint every `autoInterval` pixels
      */
-    resumeAudioContext() {
-        if (this.audioContext && this.audioContext.state === 'suspended') {
-            this.audioContext.resume().then(() => {
-                this.audioContextReady = true;
-                if (this.gameState === 'playing') {
-                    this.startBackgroundMusic();
-                }
-            }).catch(e => {
-                console.log('Could not resume audio context:', e);
-            });
-        }
+    startPractice(autoInterval = 0) {
+        this.stopEndless();
+        this.stopRace();
+        this.gameState = 'start';
+        this.hideGameOverScreen();
+        this.practice = new PracticeSession(this, autoInterval);
+        this.startGame();
+    }
+    
+    stopPractice() {
+        this.practice = null;
+    }
+    
+    /**
+     * Start a two-player race on the current level (endless courses have no finish line)
+     */
+    startRace() {
+        this.stopEndless();
+        this.stopPractice();
+        this.gameState = 'start';
+        this.hideGameOverScreen();
+        this.race = new RaceSession(this);
+        this.startGame();
+    }
+    
+    stopRace() {
+        this.race = null;
     }
     
     /**
-     * Generate background music using Web Audio API
+     * Load the endless base level and a generator for the seed (without starting)
      */
-    startBackgroundMusic() {
-        if (!this.audioContext || !this.audioContextReady) return;
+    setupEndless(seed) {
+        if (!this.endless) {
+            this.levelBeforeEndless = this.levelData;
+        }
         
-        // Simple looping beat
-        const playBeat = () => {
-            if (this.gameState !== 'playing' && this.gameState !== 'start') return;
-            
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            
-            oscillator.frequency.value = 220 + Math.sin(Date.now() * 0.001) * 20;
-            oscillator.type = 'sine';
-            
-            gainNode.gain.setValueAtTime(0.05, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.1);
-            
-            oscillator.start(this.audioContext.currentTime);
-            oscillator.stop(this.audioContext.currentTime + 0.1);
-            
-            setTimeout(playBeat, 500);
+        this.setLevel(ENDLESS_LEVEL);
+        this.level.width = Infinity;
+        this.endless = {
+            seed: String(seed),
+            generator: new EndlessGenerator(this, seed)
         };
-        
-        if (this.gameState === 'playing' || this.gameState === 'start') {
-            playBeat();
-        }
+        this.highScore = this.loadHighScore();
     }
     
     /**
-     * Play jump sound effect
+     * Leave endless mode and reload the level that was loaded before it
      */
-    playJumpSound() {
-        if (!this.audioContext || !this.audioContextReady) return;
-        
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        oscillator.frequency.value = 400;
-        oscillator.type = 'square';
+    stopEndless() {
+        if (!this.endless) return;
         
-        gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.1);
-        
-        oscillator.start(this.audioContext.currentTime);
-        oscillator.stop(this.audioContext.currentTime + 0.1);
+        this.endless = null;
+        this.setLevel(this.levelBeforeEndless);
+        this.levelBeforeEndless = null;
+        this.highScore = this.loadHighScore();
     }
     
     /**
-     * Play death sound effect
+     * Clear generated objects and start the endless course over from the seed
      */
-    playDeathSound() {
-        if (!this.audioContext || !this.audioContextReady) return;
-        
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+    resetEndless() {
+        ['obstacles', 'spikes', 'platforms'].forEach(listName => {
+            this.level[listName] = [];
+            Simulation.indexList(this.level, listName);
+        });
+        this.staticLayer.clear();
+        this.endless.generator.reset();
+        this.scrollSpeed = this.endless.generator.baseSpeed;
+    }
+    
+    /**
+     * Ramp speed, generate upcoming patterns and drop ones that scrolled past
+     */
+    updateEndless() {
+        const generator = this.endless.generator;
+        const logicalWidth = this.canvas.offsetWidth || 1200;
+        const behindX = this.cameraX - 200;
         
-        oscillator.frequency.value = 150;
-        oscillator.type = 'sawtooth';
+        this.scrollSpeed = generator.speedAt(this.cameraX);
+        generator.generate(this.cameraX + logicalWidth + 400);
         
-        gainNode.gain.setValueAtTime(0.2, this.audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.3);
+        ['obstacles', 'spikes', 'platforms'].forEach(listName => {
+            const list = this.level[listName];
+            if (list.length && list[0].x + list[0].width < behindX) {
+                this.level[listName] = list.filter(object => object.x + object.width >= behindX);
+                Simulation.indexList(this.level, listName);
+            }
+        });
+    }
+    
+    /**
+     * Initialize parallax background elements
+     */
+    initParallax() {
+        const groundY = this.viewHeight - this.level.groundHeight;
+        this.parallaxLayers.forEach((layer, layerIndex) => {
+            layer.elements = [];
+            const elementCount = 15 + layerIndex * 5;
+            // Spread over as much of the sky as the camera can show at this layer's speed
+            const top = Math.min(0, this.level.ceilingY) * layer.speed;
+            
+            for (let i = 0; i < elementCount; i++) {
+                layer.elements.push({
+                    x: Math.random() * this.getParallaxSpan(),
+                    y: top + Math.random() * (groundY - top),
+                    size: 20 + Math.random() * 40,
+                    opacity: 0.1 + layerIndex * 0.1
+                });
+            }
+        });
+    }
+    
+    /**
+     * Resume audio on user interaction (browsers keep it suspended until then)
+     */
+    unlockAudio() {
+        if (this.audio.ready) return;
         
-        oscillator.start(this.audioContext.currentTime);
-        oscillator.stop(this.audioContext.currentTime + 0.3);
+        this.audio.unlock().then(ready => {
+            if (ready && this.gameState === 'playing') {
+                this.audio.playMusic();
+            }
+        });
     }
     
     /**
@@ -331,7 +373,9 @@ class GeometryDashGame {
             width = 1200;
             height = 600;
             // Retry after a short delay
-            setTimeout(() => this.resizeCanvas(), 50);
+            setTimeout(() => {
+                if (!this.destroyed) this.resizeCanvas();
+            }, 50);
         }
         
         const dpr = window.devicePixelRatio || 1;
@@ -342,13 +386,9 @@ class GeometryDashGame {
         this.canvas.style.width = width + 'px';
         this.canvas.style.height = height + 'px';
         
-        // Recalculate ground position (use logical height, not scaled)
+        // Recalculate level positions (use logical height, not scaled)
         if (this.level) {
-            const groundY = height - this.level.groundHeight;
-            this.player.groundY = groundY - this.player.height;
-            if (this.gameState === 'start' || this.gameState === 'dead') {
-                this.player.y = this.player.groundY;
-            }
+            this.layoutLevel(height);
         }
     }
     
@@ -356,234 +396,292 @@ class GeometryDashGame {
      * Setup event listeners for controls
      */
     setupEventListeners() {
-        // Keyboard controls - use window to catch spacebar anywhere
-        const keyDownHandler = (e) => {
-            if (e.code === 'Space' || e.key === ' ') {
-                e.preventDefault();
-                this.handleJumpStart();
-            }
-        };
-        
-        const keyUpHandler = (e) => {
-            if (e.code === 'Space' || e.key === ' ') {
-                e.preventDefault();
-                this.handleJumpEnd();
-            }
-        };
-        
-        window.addEventListener('keydown', keyDownHandler);
-        window.addEventListener('keyup', keyUpHandler);
-        
-        // Store handlers for cleanup if needed
-        this.keyDownHandler = keyDownHandler;
-        this.keyUpHandler = keyUpHandler;
+        // Keyboard and gamepad bindings
+        this.input.attach();
         
         // Mouse controls - also allow starting game by clicking canvas
-        this.canvas.addEventListener('mousedown', (e) => {
+        this.listen(this.canvas, 'mousedown', (e) => {
             e.preventDefault();
+            if (this.input.keyTarget === this.canvas) {
+                this.canvas.focus(); // preventDefault() stops the click from focusing it
+            }
+            if (this.isPauseButtonHit(e)) {
+                this.pause();
+                return;
+            }
             // If game is in start state, clicking canvas will start it
             if (this.gameState === 'start') {
                 this.startGame();
             } else {
-                this.handleJumpStart();
+                this.input.press('pointer', this.getPointerPlayer(e));
             }
         });
         
-        this.canvas.addEventListener('mouseup', (e) => {
+        this.listen(this.canvas, 'mouseup', (e) => {
             e.preventDefault();
-            this.handleJumpEnd();
+            this.input.release('pointer');
         });
         
-        // Touch controls
-        this.canvas.addEventListener('touchstart', (e) => {
+        // Touch controls (each finger is its own source, so two players can share a screen)
+        this.listen(this.canvas, 'touchstart', (e) => {
             e.preventDefault();
-            this.handleJumpStart();
+            if (this.isPauseButtonHit(e.changedTouches[0])) {
+                this.pause();
+                return;
+            }
+            Array.from(e.changedTouches).forEach(touch => {
+                this.input.press(`touch:${touch.identifier}`, this.getPointerPlayer(touch));
+            });
         });
         
-        this.canvas.addEventListener('touchend', (e) => {
+        this.listen(this.canvas, 'touchend', (e) => {
             e.preventDefault();
-            this.handleJumpEnd();
+            Array.from(e.changedTouches).forEach(touch => {
+                this.input.release(`touch:${touch.identifier}`);
+            });
         });
         
         // Prevent context menu on right click
-        this.canvas.addEventListener('contextmenu', (e) => {
+        this.listen(this.canvas, 'contextmenu', (e) => {
             e.preventDefault();
         });
         
         // Handle window resize
-        window.addEventListener('resize', () => {
+        this.listen(window, 'resize', () => {
             this.resizeCanvas();
         });
+        
+        // Pause when the window loses focus (keyup events are lost while unfocused)
+        this.listen(window, 'blur', () => {
+            this.input.releaseAll();
+            if (this.autoPause) this.pause();
+        });
+        
+        // Same for an embedded game whose canvas loses keyboard focus
+        if (this.input.keyTarget !== window) {
+            this.listen(this.input.keyTarget, 'blur', () => {
+                this.input.releaseAll();
+            });
+        }
+        
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden && this.autoPause) this.pause();
+        });
+        
+        // Follow the system's reduced motion setting as it changes
+        if (this.accessibility.motionQuery) {
+            this.listen(this.accessibility.motionQuery, 'change', () => this.applyAccessibility());
+        }
+    }
+    
+    /**
+     * addEventListener that destroy() undoes
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push([target, type, handler]);
+    }
+    
+    /**
+     * Register a callback for a game event: start, jump, death, win, score or coin
+     * Callbacks receive a detail object ({ level, distance, ... })
+     */
+    on(name, callback) {
+        (this.events[name] = this.events[name] || []).push(callback);
+        return this;
+    }
+    
+    off(name, callback) {
+        if (this.events[name]) {
+            this.events[name] = this.events[name].filter(registered => registered !== callback);
+        }
+        return this;
+    }
+    
+    emit(name, detail = {}) {
+        const callbacks = this.events[name];
+        if (!callbacks) return;
+        
+        const event = Object.assign({ level: this.level.id, distance: this.distance }, detail);
+        callbacks.slice().forEach(callback => {
+            try {
+                callback(event, this);
+            } catch (error) {
+                console.error(`Error in "${name}" callback:`, error);
+            }
+        });
     }
     
     /**
-     * Handle jump start (tap or hold)
+     * Stop the game for good: cancels the frame loop, closes the audio context
+     * and removes every listener it added
      */
-    handleJumpStart() {
-        // Resume audio context on first user interaction
-        if (!this.audioContextReady && this.audioContext) {
-            this.resumeAudioContext();
+    destroy() {
+        if (this.destroyed) return;
+        
+        this.destroyed = true;
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        this.input.detach();
+        this.listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        this.events = {};
+        this.audio.close();
+        this.accessibility.removeLiveRegion();
+        if (this.ownsCanvas) {
+            this.canvas.remove();
         }
+    }
+    
+    /**
+     * Handle jump start (tap or hold) for `playerIndex` (player 2 only plays in races)
+     */
+    handleJumpStart(playerIndex = 0) {
+        this.unlockAudio();
         
         if (this.gameState === 'start') {
             this.startGame();
             return;
         }
         
-        if (this.gameState === 'dead') {
+        if (this.gameState === 'dead' || this.gameState === 'win') {
             this.restart();
             return;
         }
         
+        // Without a pause menu (embedded games) a press resumes
+        if (this.gameState === 'paused' && !this.getElement('pauseScreen')) {
+            this.resume();
+            return;
+        }
+        
         if (this.gameState !== 'playing') return;
         
-        if (!this.player.isJumping && this.isOnGround()) {
-            // Start jump
-            this.player.velocityY = this.jumpPower;
-            this.player.isJumping = true;
-            this.jumpHeld = true;
-            this.jumpHeldTime = 0;
-            this.player.rotationSpeed = 15; // Start rotation
-            this.playJumpSound();
-        } else if (this.player.isJumping && this.jumpHeld) {
-            // Continue holding jump for higher jump
-            this.jumpHeldTime++;
-            if (this.jumpHeldTime < this.maxJumpHold / 16) { // Convert ms to frames (60fps)
-                this.player.velocityY += this.holdJumpBonus;
-            }
+        if (this.race) {
+            this.race.press(playerIndex);
+            return;
+        }
+        
+        if (this.recorder) {
+            this.recorder.record(this.stepCount, true);
+        }
+        
+        if (this.startJump()) {
+            if (!this.isPlaytest()) this.stats.jumped();
+            this.emit('jump');
         }
     }
     
     /**
      * Handle jump end (release)
      */
-    handleJumpEnd() {
-        this.jumpHeld = false;
-        this.jumpHeldTime = 0;
-    }
-    
-    /**
-     * Check if player is on ground or platform
-     */
-    isOnGround() {
-        const logicalHeight = this.canvas.offsetHeight || 600;
+    handleJumpEnd(playerIndex = 0) {
+        if (this.gameState === 'paused') return; // Applied by finishResume() so the recording stays exact
         
-        // Check ground (with small tolerance for floating point)
-        if (this.player.y + this.player.height >= this.player.groundY - 2) {
-            return true;
+        if (this.race) {
+            this.race.release(playerIndex);
+            return;
         }
         
-        // Check platforms
-        for (const platform of this.level.platforms) {
-            const platformScreenX = platform.x - this.cameraX;
-            if (platformScreenX < this.player.x + this.player.width &&
-                platformScreenX + platform.width > this.player.x &&
-                Math.abs((this.player.y + this.player.height) - platform.y) < 5 &&
-                this.player.velocityY >= 0) {
-                return true;
-            }
+        if (this.gameState === 'playing' && this.recorder) {
+            this.recorder.record(this.stepCount, false);
         }
         
-        return false;
+        this.releaseJump(this.player);
+    }
+    
+    /**
+     * Press jump for the player, with the jump sound or orb effect
+     * Returns what pressJump() did
+     */
+    startJump() {
+        const jump = this.pressJump(this.player);
+        if (jump === 'orb') {
+            this.bounceFeedback('orb', this.colorOf(this.player.lastOrb, 'orb'));
+        } else if (jump) {
+            this.audio.play('jump');
+        }
+        return jump;
+    }
+    
+    /**
+     * Apply a jump press to a runner (the player, or a ghost/replay driven by recorded input)
+     * Returns 'jump' or 'orb' if a jump started, false otherwise
+     */
+    pressJump(player) {
+        return Simulation.pressJump(this, player);
+    }
+    
+    releaseJump(player) {
+        Simulation.releaseJump(player);
+    }
+    
+    isOnGround(player = this.player) {
+        return Simulation.isOnGround(this, player);
     }
     
     /**
-     * Update game logic
+     * Advance the simulation by one fixed step (FIXED_TIMESTEP milliseconds)
      */
     update() {
-        if (this.gameState !== 'playing') return;
+        if (this.gameState !== 'playing' && this.gameState !== 'replay') return;
+        if (this.gameState === 'replay' && this.replay.ended) return;
         
-        // Update camera (auto-scroll)
-        this.cameraX += this.scrollSpeed;
-        this.distance = Math.floor(this.cameraX / 10);
-        this.score = this.distance;
-        
-        // Update player physics
-        this.player.velocityY += this.gravity;
-        this.player.y += this.player.velocityY;
-        
-        // Update player rotation
-        if (this.player.isJumping) {
-            this.player.rotation += this.player.rotationSpeed;
-            if (this.player.rotation >= 360) {
-                this.player.rotation -= 360;
-            }
-        } else {
-            // Continuous rotation like Geometry Dash
-            this.player.rotation += 5;
-            if (this.player.rotation >= 360) {
-                this.player.rotation -= 360;
-            }
+        // Racers each take their own step (see race.js)
+        if (this.race) {
+            this.stepCount++;
+            this.race.update();
+            return;
         }
         
-        // Ground collision (use logical height)
-        const logicalHeight = this.canvas.offsetHeight || 600;
-        const groundY = logicalHeight - this.level.groundHeight;
-        if (this.player.y + this.player.height >= this.player.groundY) {
-            this.player.y = this.player.groundY;
-            this.player.velocityY = 0;
-            this.player.isJumping = false;
-            this.player.rotationSpeed = 0;
+        // Recorded input for this step (replays and the ghost)
+        if (this.gameState === 'replay') {
+            this.applyRecordedInput(this.replay, this.player);
         }
-        
-        // Platform collision (top only)
-        for (const platform of this.level.platforms) {
-            const platformScreenX = platform.x - this.cameraX;
-            
-            if (platformScreenX < this.player.x + this.player.width &&
-                platformScreenX + platform.width > this.player.x &&
-                this.player.y + this.player.height > platform.y &&
-                this.player.y < platform.y + platform.height &&
-                this.player.velocityY > 0) {
-                
-                // Landing on top of platform
-                if (this.player.y + this.player.height <= platform.y + 10) {
-                    this.player.y = platform.y - this.player.height;
-                    this.player.velocityY = 0;
-                    this.player.isJumping = false;
-                    this.player.rotationSpeed = 0;
-                }
-            }
+        if (this.ghost && !this.ghost.dead) {
+            this.applyRecordedInput(this.ghost.playback, this.ghost);
         }
         
-        // Ceiling collision
-        if (this.player.y < 0) {
-            this.player.y = 0;
-            this.player.velocityY = 0;
+        // Remember where things were for render interpolation
+        this.previousCameraX = this.cameraX;
+        
+        if (this.endless) {
+            this.updateEndless();
         }
         
-        // Check collisions with obstacles
-        for (const obstacle of this.level.obstacles) {
-            const obstacleScreenX = obstacle.x - this.cameraX;
-            
-            if (this.checkCollision(
-                this.player.x, this.player.y, this.player.width, this.player.height,
-                obstacleScreenX, obstacle.y, obstacle.width, obstacle.height
-            )) {
-                this.die();
-                return;
-            }
+        // Update camera (auto-scroll)
+        this.cameraX += this.scrollSpeed;
+        this.stepCount++;
+        const distance = Math.floor(this.cameraX / 10);
+        const scored = distance !== this.distance;
+        this.distance = distance;
+        this.score = this.getRunScore(false).total;
+        if (scored && this.gameState === 'playing') {
+            this.emit('score', { highScore: this.highScore });
         }
         
-        // Check collisions with spikes
-        for (const spike of this.level.spikes) {
-            const spikeScreenX = spike.x - this.cameraX;
-            
-            if (this.checkCollision(
-                this.player.x, this.player.y, this.player.width, this.player.height,
-                spikeScreenX, spike.y, spike.width, spike.height
-            )) {
-                this.die();
-                return;
-            }
+        if (this.ghost && !this.ghost.dead && !this.updatePlayer(this.ghost)) {
+            this.ghost.dead = true;
         }
         
-        // Check if player fell off screen (use logical height)
-        const logicalHeight = this.canvas.offsetHeight || 600;
-        if (this.player.y > logicalHeight) {
+        const fallSpeed = this.player.isJumping ? Math.abs(this.player.velocityY) : 0;
+        if (!this.updatePlayer(this.player)) {
             this.die();
             return;
         }
+        if (fallSpeed > 0 && !this.player.isJumping && this.gameState === 'playing') {
+            this.camera.shake(Math.min(4, fallSpeed / 5), 150); // Landing thud
+        }
+        this.collectCoins();
+        this.camera.update(this);
+        this.palette.update(this);
+        
+        const cue = this.accessibility.nextCue(this, this.stepCount);
+        if (cue) this.audio.play(cue);
+        
+        if (this.practice) {
+            this.practice.update();
+        }
         
         // Check win condition
         if (this.cameraX >= this.level.width) {
@@ -599,31 +697,92 @@ class GeometryDashGame {
     }
     
     /**
-     * Check collision between two rectangles
+     * Step one runner's physics and collisions
+     * Returns false if the runner died this step
      */
-    checkCollision(x1, y1, w1, h1, x2, y2, w2, h2) {
-        return x1 < x2 + w2 &&
-               x1 + w1 > x2 &&
-               y1 < y2 + h2 &&
-               y1 + h1 > y2;
+    updatePlayer(player) {
+        return Simulation.step(this, player);
+    }
+    
+    /**
+     * Called by Simulation.step() when a pad launches a runner
+     */
+    padLaunched(player, pad) {
+        if (player === this.player && this.gameState === 'playing') {
+            this.bounceFeedback('pad', this.colorOf(pad, 'pad'));
+        }
+    }
+    
+    /**
+     * Pick up the coins the player is touching (replays pick them up too, but
+     * only full runs keep them, see saveCoins())
+     */
+    collectCoins() {
+        const player = this.player;
+        const left = this.cameraX + player.x;
+        this.level.index.coins.query(left, left + player.width).forEach(index => {
+            const coin = this.level.coins[index];
+            if (this.runCoins.has(index) || !Simulation.checkCollision(
+                player.x, player.y, player.width, player.height,
+                coin.x - this.cameraX, coin.y, coin.width, coin.height
+            )) return;
+            
+            this.runCoins.add(index);
+            this.score = this.getRunScore(false).total;
+            if (this.gameState === 'playing') {
+                this.bounceFeedback(coin.secret ? 'secretCoin' : 'coin', this.colorOf(coin, 'coin'));
+                this.emit('coin', { index: index, secret: coin.secret, coins: this.runCoins.size });
+                this.accessibility.announce(coin.secret ? 'Secret coin!' : 'Coin');
+            }
+        });
+    }
+    
+    /**
+     * Score breakdown of the current run so far (see RunScore in coins.js);
+     * `finished` runs without a death get the no-death bonus
+     */
+    getRunScore(finished) {
+        const coins = [...this.runCoins].map(index => this.level.coins[index]);
+        const deaths = this.practice ? this.practice.deaths : 0;
+        return RunScore.breakdown(this.distance, coins, finished && deaths === 0);
+    }
+    
+    /**
+     * Remember the coins this run collected (runs that count for the leaderboard only)
+     */
+    saveCoins() {
+        if (this.isPlaytest() || this.practice) return;
+        this.levelCoins = CoinStore.record(this.level.id, [...this.runCoins]);
+    }
+    
+    /**
+     * Feed recorded press/release events due at the current step to a runner
+     */
+    applyRecordedInput(playback, player) {
+        const events = playback.recording.inputs;
+        while (playback.eventIndex < events.length && events[playback.eventIndex][0] <= this.stepCount) {
+            if (events[playback.eventIndex][1]) {
+                this.pressJump(player);
+            } else {
+                this.releaseJump(player);
+            }
+            playback.eventIndex++;
+        }
     }
     
     /**
      * Update particle effects
      */
     updateParticles() {
-        // Add new particles for trail
-        if (this.gameState === 'playing') {
-            this.particles.push({
-                x: this.player.x + this.player.width / 2,
-                y: this.player.y + this.player.height / 2,
-                vx: (Math.random() - 0.5) * 2,
-                vy: (Math.random() - 0.5) * 2,
-                life: 20,
-                maxLife: 20,
-                size: 3 + Math.random() * 3,
-                color: this.player.color
-            });
+        // Add new particles for trail (in the icon's trail style)
+        if (this.gameState === 'playing' && !this.accessibility.reduceMotion) {
+            const particle = PlayerIcon.trailParticle(
+                this.icon,
+                this.cameraX + this.player.x + this.player.width / 2,
+                this.player.y + this.player.height / 2,
+                this.stepCount
+            );
+            if (particle) this.particles.push(particle);
         }
         
         // Update existing particles
@@ -650,63 +809,132 @@ class GeometryDashGame {
      * Update parallax layers
      */
     updateParallax() {
+        const span = this.getParallaxSpan();
         this.parallaxLayers.forEach(layer => {
             layer.elements.forEach(element => {
                 element.x -= this.scrollSpeed * layer.speed;
-                if (element.x + element.size < -this.cameraX) {
-                    element.x = this.level.width + Math.random() * 500;
+                // Wrap elements that scrolled off the left edge back around to the right
+                if (element.x - this.cameraX * layer.speed + element.size < 0) {
+                    element.x += span + Math.random() * 500;
                 }
             });
         });
     }
     
     /**
-     * Render game graphics
+     * Width the parallax elements are spread across (endless levels have no width)
+     */
+    getParallaxSpan() {
+        return isFinite(this.level.width) ? this.level.width : 4000;
+    }
+    
+    /**
+     * Render game graphics
      */
     render() {
+        // Interpolate between the last two simulation steps for smooth motion
+        const simulating = this.gameState === 'playing' || this.gameState === 'paused' ||
+            (this.gameState === 'replay' && !this.replay.ended);
+        const alpha = simulating ? this.renderAlpha : 1;
+        this.frameAlpha = alpha;
+        
+        // Races draw each player's view side by side
+        if (this.race) {
+            this.race.draw(this.ctx, alpha);
+        } else {
+            this.drawWorld(alpha);
+        }
+        
+        // Draw UI (or the editor overlay while editing)
+        if (this.gameState === 'editing' && this.editor) {
+            this.editor.drawOverlay(this.ctx);
+        } else {
+            this.drawUI();
+        }
+    }
+    
+    /**
+     * Draw the level and runners through the camera onto a view `screenWidth` logical pixels wide
+     */
+    drawWorld(alpha, screenWidth = this.canvas.offsetWidth || 1200) {
+        this.renderCameraX = this.previousCameraX + (this.cameraX - this.previousCameraX) * alpha;
+        if (this.gameState === 'start' || this.gameState === 'editing') {
+            this.camera.reset(this);
+            this.palette.reset(this);
+        }
+        if (this.gameState !== 'editing') {
+            Simulation.updateMotion(this, this.renderCameraX); // The editor shows moving objects where they start
+        }
+        this.camera.frame(this, alpha, screenWidth);
+        
         // Clear canvas
-        this.ctx.fillStyle = '#1a1a1a';
+        this.ctx.fillStyle = this.palette.colors.background;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
-        // Draw parallax layers
-        this.drawParallax();
+        // Draw parallax layers (not in races: the layers wrap around one camera position)
+        if (!this.race) {
+            this.drawParallax();
+        }
+        
+        // Everything else in the level is drawn in world coordinates through the camera
+        this.camera.begin(this.ctx);
         
         // Draw ground
         this.drawGround();
         
-        // Draw obstacles
-        this.drawObstacles();
+        // Draw obstacles, spikes and platforms (the static ones from cached tiles when possible)
+        const staticDrawn = this.staticLayer.draw(this);
+        this.drawObstacles(staticDrawn);
+        this.drawSpikes(staticDrawn);
+        this.drawPlatforms(staticDrawn);
+        
+        // Draw jump pads, orbs and coins
+        this.drawPads();
+        this.drawOrbs();
+        this.drawCoins();
         
-        // Draw spikes
-        this.drawSpikes();
+        // Draw portals
+        this.drawPortals();
         
-        // Draw platforms
-        this.drawPlatforms();
+        // Draw practice checkpoints
+        if (this.practice) {
+            this.practice.draw(this.ctx);
+        }
         
         // Draw particles
         this.drawParticles();
         
-        // Draw player
-        this.drawPlayer();
+        // Draw ghost of the best run behind the player
+        if (this.ghost && !this.ghost.dead) {
+            this.drawPlayer(this.ghost, 0.35);
+        }
+        
+        // Draw player (see-through while passing through hazards after a shielded hit)
+        if (!(this.gameState === 'replay' && this.replay.ended)) {
+            this.drawPlayer(this.player, this.player.graceSteps > 0 ? 0.5 : 1);
+            this.drawShield();
+        }
         
-        // Draw UI
-        this.drawUI();
+        this.camera.end(this.ctx);
     }
     
     /**
      * Draw parallax background layers
      */
     drawParallax() {
+        if (this.accessibility.reduceMotion) return;
+        
+        const view = this.camera.view;
         this.parallaxLayers.forEach((layer, layerIndex) => {
-            this.ctx.fillStyle = layer.color;
+            this.camera.begin(this.ctx, layer.speed);
+            this.ctx.fillStyle = this.palette.colors[layer.color];
             this.ctx.globalAlpha = layer.elements[0]?.opacity || 0.2;
             
+            const left = view.left * layer.speed;
             layer.elements.forEach(element => {
-                const screenX = element.x - (this.cameraX * layer.speed);
-                
-                if (screenX > -element.size && screenX < this.canvas.width) {
+                if (element.x + element.size > left && element.x < left + view.width) {
                     this.ctx.fillRect(
-                        screenX,
+                        element.x,
                         element.y,
                         element.size,
                         element.size
@@ -715,6 +943,7 @@ class GeometryDashGame {
             });
             
             this.ctx.globalAlpha = 1;
+            this.camera.end(this.ctx);
         });
     }
     
@@ -722,193 +951,352 @@ class GeometryDashGame {
      * Draw ground
      */
     drawGround() {
-        const logicalHeight = this.canvas.offsetHeight || 600;
-        const groundY = logicalHeight - this.level.groundHeight;
-        
-        const logicalWidth = this.canvas.offsetWidth || 1200;
+        const view = this.camera.view;
+        const groundY = this.viewHeight - this.level.groundHeight;
+        const bottom = Math.max(this.viewHeight, view.top + view.height);
         
-        // Ground fill
-        this.ctx.fillStyle = '#2a2a2a';
-        this.ctx.fillRect(0, groundY, logicalWidth, this.level.groundHeight);
+        // Ground fill (down to the bottom of the view when zoomed out)
+        this.ctx.fillStyle = this.palette.colors.ground;
+        this.ctx.fillRect(view.left, groundY, view.width, bottom - groundY);
         
         // Ground line
-        this.ctx.strokeStyle = '#555';
+        this.ctx.strokeStyle = this.palette.colors.groundLine;
         this.ctx.lineWidth = 2;
         this.ctx.beginPath();
-        this.ctx.moveTo(0, groundY);
-        this.ctx.lineTo(logicalWidth, groundY);
+        this.ctx.moveTo(view.left, groundY);
+        this.ctx.lineTo(view.left + view.width, groundY);
+        
+        // Levels with a height have a ceiling, drawn like the ground
+        const ceilingY = this.level.ceilingY;
+        if (this.level.height !== null && ceilingY > view.top) {
+            this.ctx.fillRect(view.left, view.top, view.width, ceilingY - view.top);
+            this.ctx.moveTo(view.left, ceilingY);
+            this.ctx.lineTo(view.left + view.width, ceilingY);
+        }
         this.ctx.stroke();
     }
     
     /**
-     * Draw obstacles - small, colorful blocks
+     * Objects of a movable level list in the camera's view, found through the level's spatial index
      */
-    drawObstacles() {
-        for (const obstacle of this.level.obstacles) {
-            const screenX = obstacle.x - this.cameraX;
-            
-            if (screenX > -obstacle.width && screenX < this.canvas.width) {
-                const color = obstacle.color || '#c0c0c0'; // Default to grey if no color
-                
-                // Main block
-                this.ctx.fillStyle = color;
-                this.ctx.fillRect(screenX, obstacle.y, obstacle.width, obstacle.height);
-                
-                // Highlight on top and left
-                this.ctx.fillStyle = this.lightenColor(color, 30);
-                this.ctx.fillRect(screenX, obstacle.y, obstacle.width, 3);
-                this.ctx.fillRect(screenX, obstacle.y, 3, obstacle.height);
-                
-                // Shadow on bottom and right
-                this.ctx.fillStyle = this.darkenColor(color, 30);
-                this.ctx.fillRect(screenX, obstacle.y + obstacle.height - 3, obstacle.width, 3);
-                this.ctx.fillRect(screenX + obstacle.width - 3, obstacle.y, 3, obstacle.height);
-            }
+    getVisibleObjects(listName) {
+        const view = this.camera.view;
+        return Simulation.nearby(this.level, listName, view.left, view.left + view.width)
+            .filter(object => this.camera.isVisible(object));
+    }
+    
+    /**
+     * Draw obstacles - small, colorful blocks (only the moving ones once `staticDrawn`, see static-layer.js)
+     */
+    drawObstacles(staticDrawn = false) {
+        for (const obstacle of this.getVisibleObjects('obstacles')) {
+            if (!staticDrawn || obstacle.motion) this.drawObstacle(this.ctx, obstacle);
         }
     }
     
+    drawObstacle(ctx, obstacle) {
+        const color = this.colorOf(obstacle, 'obstacle');
+        
+        // Main block
+        ctx.fillStyle = color;
+        ctx.fillRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+        
+        // Highlight on top and left
+        ctx.fillStyle = Colors.lighten(color, 30);
+        ctx.fillRect(obstacle.x, obstacle.y, obstacle.width, 3);
+        ctx.fillRect(obstacle.x, obstacle.y, 3, obstacle.height);
+        
+        // Shadow on bottom and right
+        ctx.fillStyle = Colors.darken(color, 30);
+        ctx.fillRect(obstacle.x, obstacle.y + obstacle.height - 3, obstacle.width, 3);
+        ctx.fillRect(obstacle.x + obstacle.width - 3, obstacle.y, 3, obstacle.height);
+    }
+    
     /**
-     * Lighten a color
+     * Draw spikes (only the moving ones once `staticDrawn`)
      */
-    lightenColor(color, percent) {
-        const num = parseInt(color.replace("#", ""), 16);
-        const r = Math.min(255, (num >> 16) + percent);
-        const g = Math.min(255, ((num >> 8) & 0x00FF) + percent);
-        const b = Math.min(255, (num & 0x0000FF) + percent);
-        return "#" + ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0');
+    drawSpikes(staticDrawn = false) {
+        for (const spike of this.getVisibleObjects('spikes')) {
+            if (!staticDrawn || spike.motion) this.drawSpike(this.ctx, spike);
+        }
+    }
+    
+    drawSpike(ctx, spike) {
+        const color = this.colorOf(spike, 'spike');
+        ctx.fillStyle = color;
+        ctx.strokeStyle = Colors.darken(color, 32);
+        ctx.lineWidth = 2;
+        
+        // Draw triangle spike
+        ctx.beginPath();
+        ctx.moveTo(spike.x + spike.width / 2, spike.y);
+        ctx.lineTo(spike.x, spike.y + spike.height);
+        ctx.lineTo(spike.x + spike.width, spike.y + spike.height);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
     }
     
     /**
-     * Darken a color
+     * Draw platforms (only the moving ones once `staticDrawn`)
      */
-    darkenColor(color, percent) {
-        const num = parseInt(color.replace("#", ""), 16);
-        const r = Math.max(0, (num >> 16) - percent);
-        const g = Math.max(0, ((num >> 8) & 0x00FF) - percent);
-        const b = Math.max(0, (num & 0x0000FF) - percent);
-        return "#" + ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0');
+    drawPlatforms(staticDrawn = false) {
+        for (const platform of this.getVisibleObjects('platforms')) {
+            if (!staticDrawn || platform.motion) this.drawPlatform(this.ctx, platform);
+        }
+    }
+    
+    drawPlatform(ctx, platform) {
+        const color = this.colorOf(platform, 'platform');
+        ctx.fillStyle = color;
+        ctx.strokeStyle = Colors.darken(color, 32);
+        ctx.lineWidth = 2;
+        
+        // Platform fill
+        ctx.fillRect(platform.x, platform.y, platform.width, platform.height);
+        
+        // Platform outline
+        ctx.strokeRect(platform.x, platform.y, platform.width, platform.height);
+        
+        // Platform highlight
+        ctx.fillStyle = Colors.lighten(color, 32);
+        ctx.fillRect(platform.x, platform.y, platform.width, 3);
     }
     
     /**
-     * Draw spikes (if any remain in level)
+     * Ring around the player while the shield assist still has a hit left
      */
-    drawSpikes() {
-        if (this.level.spikes.length === 0) return;
+    drawShield() {
+        const player = this.player;
+        if (player.hitsTaken >= this.shieldHits) return;
         
-        this.ctx.fillStyle = '#808080'; // Grey
-        this.ctx.strokeStyle = '#606060';
+        const renderY = player.previousY + (player.y - player.previousY) * this.frameAlpha;
+        this.ctx.save();
+        this.ctx.strokeStyle = Colors.withAlpha(this.palette.colors.hudAccent, 0.6);
         this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(
+            this.renderCameraX + player.x + player.width / 2, renderY + player.height / 2,
+            Math.max(player.width, player.height) * 0.8, 0, Math.PI * 2
+        );
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw player as rotating cube (ghosts are drawn the same way, translucent)
+     */
+    drawPlayer(player = this.player, opacity = 1) {
+        this.ctx.save();
+        this.ctx.globalAlpha = opacity;
+        
+        const renderY = player.previousY + (player.y - player.previousY) * this.frameAlpha;
+        const centerX = this.renderCameraX + player.x + player.width / 2; // Runners stay at player.x on screen
+        const centerY = renderY + player.height / 2;
+        
+        // Translate to center for rotation
+        this.ctx.translate(centerX, centerY);
+        if (player.gravityFlipped) {
+            this.ctx.scale(1, -1); // Upside down on the ceiling
+        }
+        if (!this.accessibility.reduceMotion) {
+            this.ctx.rotate((player.rotation * Math.PI) / 180);
+        }
+        
+        if (player.mode === 'ship') {
+            this.drawShip(player);
+            this.ctx.restore();
+            return;
+        }
+        
+        // Cube in the player's design and colors (see icons.js); designs are square
+        if (player.height !== player.width) {
+            this.ctx.scale(1, player.height / player.width);
+        }
+        PlayerIcon.draw(this.ctx, this.icon, player.width);
         
-        for (const spike of this.level.spikes) {
-            const screenX = spike.x - this.cameraX;
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw jump pads as glowing half-domes
+     */
+    drawPads() {
+        for (const pad of this.getVisibleObjects('pads')) {
+            const color = this.colorOf(pad, 'pad');
+            this.ctx.save();
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = 10;
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.ellipse(pad.x + pad.width / 2, pad.y + pad.height, pad.width / 2, pad.height, 0, Math.PI, 0);
+            this.ctx.fill();
+            this.ctx.restore();
+        }
+    }
+    
+    /**
+     * Draw jump orbs as pulsing rings
+     */
+    drawOrbs() {
+        const pulse = this.accessibility.reduceMotion ? 1 : 1 + Math.sin(this.stepCount * 0.15) * 0.08;
+        
+        for (const orb of this.getVisibleObjects('orbs')) {
+            const color = this.colorOf(orb, 'orb');
+            const radius = Math.min(orb.width, orb.height) / 2;
+            const centerX = orb.x + orb.width / 2;
+            const centerY = orb.y + orb.height / 2;
             
-            if (screenX > -spike.width && screenX < this.canvas.width) {
-                // Draw triangle spike
-                this.ctx.beginPath();
-                this.ctx.moveTo(screenX + spike.width / 2, spike.y);
-                this.ctx.lineTo(screenX, spike.y + spike.height);
-                this.ctx.lineTo(screenX + spike.width, spike.y + spike.height);
-                this.ctx.closePath();
-                this.ctx.fill();
-                this.ctx.stroke();
-            }
+            this.ctx.save();
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = 12;
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, radius * 0.6, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.strokeStyle = Colors.lighten(color, 30);
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, radius * pulse, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.restore();
         }
     }
     
     /**
-     * Draw platforms
+     * Draw the coins not yet picked up this run as spinning discs (secret coins
+     * carry a star); coins collected on an earlier run are see-through
      */
-    drawPlatforms() {
-        this.ctx.fillStyle = '#d0d0d0'; // Light grey
-        this.ctx.strokeStyle = '#b0b0b0';
-        this.ctx.lineWidth = 2;
+    drawCoins() {
+        const spin = this.accessibility.reduceMotion ? 1 : Math.abs(Math.cos(this.stepCount * 0.06));
         
-        for (const platform of this.level.platforms) {
-            const screenX = platform.x - this.cameraX;
+        const view = this.camera.view;
+        this.level.index.coins.query(view.left, view.left + view.width).forEach(index => {
+            const coin = this.level.coins[index];
+            if (this.runCoins.has(index) || !this.camera.isVisible(coin)) return;
             
-            if (screenX > -platform.width && screenX < this.canvas.width) {
-                // Platform fill
-                this.ctx.fillRect(screenX, platform.y, platform.width, platform.height);
-                
-                // Platform outline
-                this.ctx.strokeRect(screenX, platform.y, platform.width, platform.height);
-                
-                // Platform highlight
-                this.ctx.fillStyle = '#f0f0f0';
-                this.ctx.fillRect(screenX, platform.y, platform.width, 3);
-                this.ctx.fillStyle = '#d0d0d0';
+            const color = this.colorOf(coin, 'coin');
+            const radius = Math.min(coin.width, coin.height) / 2;
+            const centerX = coin.x + coin.width / 2;
+            const centerY = coin.y + coin.height / 2;
+            
+            this.ctx.save();
+            this.ctx.globalAlpha = this.levelCoins.includes(index) ? 0.4 : 1;
+            this.ctx.translate(centerX, centerY);
+            this.ctx.scale(Math.max(0.15, spin), 1);
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = coin.secret ? 16 : 8;
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.shadowBlur = 0;
+            this.ctx.strokeStyle = Colors.darken(color, 25);
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, radius * 0.65, 0, Math.PI * 2);
+            this.ctx.stroke();
+            if (coin.secret) {
+                this.ctx.fillStyle = Colors.lighten(color, 40);
+                this.ctx.beginPath();
+                for (let point = 0; point < 10; point++) {
+                    const angle = -Math.PI / 2 + point * Math.PI / 5;
+                    const distance = point % 2 === 0 ? radius * 0.55 : radius * 0.25;
+                    this.ctx.lineTo(Math.cos(angle) * distance, Math.sin(angle) * distance);
+                }
+                this.ctx.closePath();
+                this.ctx.fill();
             }
-        }
+            this.ctx.restore();
+        });
     }
     
     /**
-     * Draw player as rotating cube
+     * Draw the ship body (context is already centered on the player and rotated)
      */
-    drawPlayer() {
-        this.ctx.save();
-        
-        const centerX = this.player.x + this.player.width / 2;
-        const centerY = this.player.y + this.player.height / 2;
-        
-        // Translate to center for rotation
-        this.ctx.translate(centerX, centerY);
-        this.ctx.rotate((this.player.rotation * Math.PI) / 180);
+    drawShip(player) {
+        const halfWidth = player.width / 2;
+        const halfHeight = player.height / 2;
         
-        // Draw cube with glow effect
-        this.ctx.shadowColor = this.player.color;
+        this.ctx.shadowColor = player.color;
         this.ctx.shadowBlur = 15;
+        this.ctx.fillStyle = player.color;
+        this.ctx.beginPath();
+        this.ctx.moveTo(halfWidth + 4, halfHeight * 0.3);
+        this.ctx.lineTo(-halfWidth, halfHeight);
+        this.ctx.lineTo(-halfWidth, -halfHeight * 0.1);
+        this.ctx.closePath();
+        this.ctx.fill();
         
-        // Main cube
-        this.ctx.fillStyle = this.player.color;
-        this.ctx.fillRect(
-            -this.player.width / 2,
-            -this.player.height / 2,
-            this.player.width,
-            this.player.height
-        );
-        
-        // Cube face details
+        // Small cube riding in the cockpit
         this.ctx.shadowBlur = 0;
-                this.ctx.fillStyle = '#e0e0e0';
-                this.ctx.fillRect(
-                    -this.player.width / 2 + 5,
-                    -this.player.height / 2 + 5,
-                    this.player.width - 10,
-                    this.player.height - 10
-                );
-        
-        // Cube edges
+        this.ctx.fillStyle = this.icon.secondary;
+        this.ctx.fillRect(-halfWidth + 4, -halfHeight, halfWidth, halfHeight);
         this.ctx.strokeStyle = '#ffffff';
         this.ctx.lineWidth = 2;
-        this.ctx.strokeRect(
-            -this.player.width / 2,
-            -this.player.height / 2,
-            this.player.width,
-            this.player.height
-        );
-        
-        this.ctx.restore();
+        this.ctx.strokeRect(-halfWidth + 4, -halfHeight, halfWidth, halfHeight);
+    }
+    
+    /**
+     * Draw portals as glowing rings colored by what they do
+     */
+    drawPortals() {
+        for (const portal of this.level.portals) {
+            if (this.camera.isVisible(portal)) {
+                const color = this.getPortalColor(portal);
+                const centerX = portal.x + portal.width / 2;
+                const centerY = portal.y + portal.height / 2;
+                
+                this.ctx.save();
+                this.ctx.shadowColor = color;
+                this.ctx.shadowBlur = 12;
+                this.ctx.strokeStyle = color;
+                this.ctx.lineWidth = 4;
+                this.ctx.beginPath();
+                this.ctx.ellipse(centerX, centerY, portal.width / 2, portal.height / 2, 0, 0, Math.PI * 2);
+                this.ctx.stroke();
+                this.ctx.restore();
+                
+                // Label so portals can be told apart without relying on color
+                this.ctx.fillStyle = color;
+                this.ctx.font = 'bold 12px Arial';
+                this.ctx.textAlign = 'center';
+                this.ctx.fillText(this.getPortalLabel(portal), centerX, portal.y - 6);
+            }
+        }
+    }
+    
+    getPortalColor(portal) {
+        if (portal.type === 'gravity') return portal.gravity === 'flipped' ? '#ffd400' : '#00aaff';
+        if (portal.type === 'mode') return portal.mode === 'ship' ? '#ff66cc' : '#66ff66';
+        return portal.speed < 1 ? '#ff9900' : portal.speed > 1 ? '#ff3366' : '#00ffcc';
+    }
+    
+    getPortalLabel(portal) {
+        if (portal.type === 'gravity') return portal.gravity === 'flipped' ? 'FLIP' : 'NORMAL';
+        if (portal.type === 'mode') return portal.mode.toUpperCase();
+        return `${portal.speed}x`;
     }
     
     /**
      * Draw particle effects
      */
     drawParticles() {
+        if (this.particles.length === 0) return;
+        
+        // One blur setting for every particle (changing shadowBlur is slow)
+        this.ctx.save();
+        this.ctx.shadowBlur = 5;
         for (const particle of this.particles) {
-            const alpha = particle.life / particle.maxLife;
-            this.ctx.globalAlpha = alpha;
-        this.ctx.fillStyle = particle.color;
+            this.ctx.globalAlpha = particle.life / particle.maxLife;
+            this.ctx.fillStyle = particle.color;
             this.ctx.shadowColor = particle.color;
-            this.ctx.shadowBlur = 5;
             
             this.ctx.beginPath();
             this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
             this.ctx.fill();
-            
-            this.ctx.shadowBlur = 0;
         }
-        
-        this.ctx.globalAlpha = 1;
+        this.ctx.restore();
     }
     
     /**
@@ -917,173 +1305,1100 @@ class GeometryDashGame {
     drawUI() {
         const logicalWidth = this.canvas.offsetWidth || 1200;
         const logicalHeight = this.canvas.offsetHeight || 600;
+        const colors = this.palette.colors;
         
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = 'bold 24px Arial';
-        this.ctx.textAlign = 'left';
-        this.ctx.fillText(`Distance: ${this.distance}m`, 20, 40);
-        this.ctx.fillText(`High Score: ${this.highScore}m`, 20, 70);
-        
-        if (this.gameState === 'dead') {
-            this.ctx.fillStyle = '#ffffff';
-            this.ctx.font = 'bold 48px Arial';
-            this.ctx.textAlign = 'center';
-            this.ctx.fillText('DEAD', logicalWidth / 2, logicalHeight / 2);
-            this.ctx.fillStyle = '#e0e0e0';
+        if (this.race) {
+            this.race.drawHud(this.ctx, logicalWidth, logicalHeight);
+        } else {
+            this.ctx.fillStyle = colors.hud;
             this.ctx.font = 'bold 24px Arial';
-            this.ctx.fillText('Press SPACE or CLICK to restart', logicalWidth / 2, logicalHeight / 2 + 50);
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`Distance: ${this.distance}m`, 20, 40);
+            this.ctx.fillText(`High Score: ${this.highScore}m`, 20, 70);
+            if (this.endless) {
+                this.ctx.font = '16px Arial';
+                this.ctx.fillStyle = colors.hudAccent;
+                this.ctx.fillText(`ENDLESS  Seed: ${this.endless.seed}`, 20, 95);
+            } else if (this.practice) {
+                this.ctx.font = '16px Arial';
+                this.ctx.fillStyle = '#00ff88';
+                this.ctx.fillText(`PRACTICE  ${this.practice.describe()}`, 20, 95);
+            }
+            if (this.difficulty.preset !== 'normal') {
+                this.ctx.font = '16px Arial';
+                this.ctx.fillStyle = colors.hudMuted;
+                this.ctx.fillText(this.difficulty.describe().toUpperCase(), 20, this.endless || this.practice ? 117 : 95);
+            }
+            
+            if (this.gameState !== 'start') {
+                this.drawProgressBar(logicalWidth);
+            }
+            if (this.level.coins.length > 0) {
+                this.drawCoinTally(logicalWidth);
+            }
+        }
+        
+        if (this.gameState === 'playing') {
+            this.drawPauseButton();
+        } else if (this.gameState === 'paused') {
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+            this.ctx.fillRect(0, 0, logicalWidth, logicalHeight);
+            if (this.countdown !== null) {
+                this.ctx.fillStyle = colors.hud;
+                this.ctx.font = 'bold 96px Arial';
+                this.ctx.textAlign = 'center';
+                this.ctx.fillText(Math.ceil(this.countdown / 1000), logicalWidth / 2, logicalHeight / 2);
+            } else if (!this.getElement('pauseScreen')) {
+                this.drawPrompt('PAUSED', 'Press SPACE or CLICK to resume', logicalWidth, logicalHeight);
+            }
+        } else if (this.gameState === 'start') {
+            if (!this.getElement('startScreen')) {
+                this.drawPrompt(this.level.name, 'Press SPACE or CLICK to start', logicalWidth, logicalHeight);
+            }
+        } else if (this.gameState === 'replay') {
+            this.ctx.fillStyle = colors.hudAccent;
+            this.ctx.font = 'bold 20px Arial';
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(this.replay.paused ? 'REPLAY (PAUSED)' : `REPLAY ${this.replay.speed}x`, logicalWidth - 20, 40);
+            if (this.replay.ended) {
+                this.ctx.fillStyle = colors.hud;
+                this.ctx.font = 'bold 48px Arial';
+                this.ctx.textAlign = 'center';
+                this.ctx.fillText(this.replay.recording.completed ? 'VICTORY!' : 'END OF RUN', logicalWidth / 2, logicalHeight / 2);
+            }
+        } else if (this.gameState === 'dead') {
+            this.drawPrompt('DEAD', 'Press SPACE or CLICK to restart', logicalWidth, logicalHeight);
+            if (!this.getElement('gameOverScreen')) {
+                this.drawScoreBreakdown(logicalWidth, logicalHeight);
+            }
+        } else if (this.gameState === 'win' && this.race) {
+            this.drawPrompt(this.race.describeWinner(), 'Press SPACE or CLICK to race again', logicalWidth, logicalHeight);
         } else if (this.gameState === 'win') {
-            this.ctx.fillStyle = '#ffffff';
-            this.ctx.font = 'bold 48px Arial';
+            this.drawPrompt('VICTORY!', 'Press SPACE or CLICK to play again', logicalWidth, logicalHeight);
+            this.drawScoreBreakdown(logicalWidth, logicalHeight);
+        }
+        
+        this.stats.drawToasts(this.ctx, logicalWidth);
+    }
+    
+    /**
+     * Large centred title with a hint underneath
+     */
+    drawPrompt(title, hint, logicalWidth, logicalHeight) {
+        this.ctx.fillStyle = this.palette.colors.hud;
+        this.ctx.font = 'bold 48px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(title, logicalWidth / 2, logicalHeight / 2);
+        this.ctx.fillStyle = this.palette.colors.hudMuted;
+        this.ctx.font = 'bold 24px Arial';
+        this.ctx.fillText(hint, logicalWidth / 2, logicalHeight / 2 + 50);
+    }
+    
+    /**
+     * The last run's score and where it came from, under the end-of-run prompt
+     */
+    drawScoreBreakdown(logicalWidth, logicalHeight) {
+        if (!this.lastScore) return;
+        
+        const colors = this.palette.colors;
+        let y = logicalHeight / 2 + 90;
+        this.ctx.textAlign = 'center';
+        this.ctx.font = '18px Arial';
+        this.ctx.fillStyle = colors.hudMuted;
+        RunScore.describe(this.lastScore).forEach(line => {
+            this.ctx.fillText(line, logicalWidth / 2, y);
+            y += 24;
+        });
+        this.ctx.font = 'bold 24px Arial';
+        this.ctx.fillStyle = colors.hudAccent;
+        this.ctx.fillText(`Score: ${this.lastScore.total}`, logicalWidth / 2, y + 6);
+    }
+    
+    /**
+     * One slot per coin in the level, left of the pause button: filled once
+     * picked up this run, faint if collected on an earlier run
+     */
+    drawCoinTally(logicalWidth) {
+        const coins = this.level.coins;
+        const colors = this.palette.colors;
+        const spacing = 20;
+        const startX = this.getPauseButtonRect().x - 20 - (coins.length - 1) * spacing;
+        const y = 36;
+        
+        coins.forEach((coin, index) => {
+            const x = startX + index * spacing;
+            const color = this.colorOf(coin, 'coin');
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, coin.secret ? 8 : 7, 0, Math.PI * 2);
+            if (this.runCoins.has(index)) {
+                this.ctx.fillStyle = color;
+                this.ctx.fill();
+            } else if (this.levelCoins.includes(index)) {
+                this.ctx.fillStyle = Colors.withAlpha(color, 0.35);
+                this.ctx.fill();
+            }
+            this.ctx.strokeStyle = coin.secret ? colors.hudAccent : color;
+            this.ctx.lineWidth = 2;
+            this.ctx.stroke();
+        });
+    }
+    
+    /**
+     * Screen area of the HUD pause button (logical pixels)
+     */
+    getPauseButtonRect() {
+        const logicalWidth = this.canvas.offsetWidth || 1200;
+        return { x: logicalWidth - 56, y: 16, width: 40, height: 40 };
+    }
+    
+    isPauseButtonHit(pointer) {
+        if (this.gameState !== 'playing' || !pointer) return false;
+        
+        const bounds = this.canvas.getBoundingClientRect();
+        const rect = this.getPauseButtonRect();
+        const x = pointer.clientX - bounds.left;
+        const y = pointer.clientY - bounds.top;
+        return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+    }
+    
+    /**
+     * Player a click or touch is for: in a race the left half of the canvas
+     * belongs to player 1 and the right half to player 2
+     */
+    getPointerPlayer(pointer) {
+        if (!this.race) return 0;
+        
+        const bounds = this.canvas.getBoundingClientRect();
+        return pointer.clientX - bounds.left < bounds.width / 2 ? 0 : 1;
+    }
+    
+    /**
+     * Level progress bar with the death heatmap under it, the best-% marker
+     * and the session attempt counter (endless mode only gets the counter)
+     */
+    drawProgressBar(logicalWidth) {
+        const width = Math.min(400, logicalWidth - 320);
+        const x = (logicalWidth - width) / 2;
+        const y = 20;
+        const height = 10;
+        const colors = this.palette.colors;
+        
+        if (this.gameState !== 'replay') {
             this.ctx.textAlign = 'center';
-            this.ctx.fillText('VICTORY!', logicalWidth / 2, logicalHeight / 2);
+            this.ctx.font = '14px Arial';
+            this.ctx.fillStyle = colors.hudMuted;
+            this.ctx.fillText(`Attempt ${this.getSessionAttempt()}`, logicalWidth / 2, y + height + 40);
+        }
+        if (!isFinite(this.level.width)) return;
+        
+        const progress = Math.min(1, Math.max(0, this.renderCameraX / this.level.width));
+        this.ctx.fillStyle = Colors.withAlpha(colors.hud, 0.15);
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.fillStyle = colors.progress;
+        this.ctx.fillRect(x, y, width * progress, height);
+        drawDeathHeatmap(this.ctx, this.levelDeaths, this.level.width, x, y + height + 2, width, 5);
+        
+        if (this.bestPercent > 0) {
+            const markerX = x + width * this.bestPercent / 100;
+            this.ctx.fillStyle = '#ffd400';
+            this.ctx.fillRect(markerX - 1, y - 4, 2, height + 8);
         }
+        
+        this.ctx.fillStyle = colors.hud;
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(`${Math.floor(progress * 100)}%`, x + width + 10, y + height);
+    }
+    
+    drawPauseButton() {
+        const rect = this.getPauseButtonRect();
+        this.ctx.fillStyle = Colors.withAlpha(this.palette.colors.hud, 0.15);
+        this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        this.ctx.fillStyle = this.palette.colors.hud;
+        this.ctx.fillRect(rect.x + 12, rect.y + 10, 6, 20);
+        this.ctx.fillRect(rect.x + 22, rect.y + 10, 6, 20);
     }
     
     /**
-     * Start the game
+     * Start the game, optionally from a point part-way through the level
      */
-    startGame() {
+    startGame(fromX = 0) {
         if (this.gameState === 'playing') return; // Already playing
         
         console.log('Game.startGame() called, current state:', this.gameState);
         this.gameState = 'playing';
-        this.cameraX = 0;
-        this.player.y = this.player.groundY;
-        this.player.velocityY = 0;
-        this.player.isJumping = false;
-        this.player.rotation = 0;
+        this.runStartX = fromX;
+        this.cameraX = fromX;
+        this.previousCameraX = fromX;
+        this.scrollSpeed = this.baseScrollSpeed;
+        this.resetRunner(this.player);
+        this.stepCount = 0;
+        this.accumulator = 0;
+        this.countdown = null;
         this.score = 0;
         this.distance = 0;
+        this.runCoins = new Set();
+        this.lastScore = null;
         this.particles = [];
-        this.startBackgroundMusic();
+        if (this.endless) {
+            this.resetEndless();
+        }
+        if (this.practice) {
+            this.practice.reset(fromX);
+        }
+        if (this.race) {
+            this.race.reset();
+        }
+        this.hidePauseMenu();
+        
+        // Record full runs and race the best one (editor playtests, practice runs and races aren't recorded)
+        const fullRun = !this.isPlaytest() && !this.practice && !this.race;
+        this.replay = null;
+        this.recorder = fullRun ? new RunRecorder(this) : null;
+        if (fullRun) {
+            this.attempt = Leaderboard.startAttempt(this.level, this.getRunMode());
+        }
+        this.ghost = this.createGhost();
+        
+        this.audio.stopMusic(); // Every attempt starts the track from the top
+        this.audio.playMusic();
         this.hideStartScreen();
+        
+        // Races don't count as attempts or towards stats
+        if (this.race) {
+            this.accessibility.announce('Race started');
+        } else {
+            this.sessionAttempts[this.level.id] = this.getSessionAttempt() + 1;
+            if (!this.isPlaytest()) this.stats.runStarted(this);
+            this.emit('start', { attempt: this.getSessionAttempt() });
+            this.accessibility.announce(`Attempt ${this.getSessionAttempt()} started`);
+        }
         console.log('Game started, state is now:', this.gameState);
     }
     
+    /**
+     * Whether the current run is a level editor playtest, which may be of unsaved
+     * changes: playtests aren't recorded, scored or counted in stats
+     */
+    isPlaytest() {
+        return Boolean(this.editor && this.editor.playtesting);
+    }
+    
+    /**
+     * Put a runner back at the start position
+     */
+    resetRunner(player) {
+        return Simulation.resetRunner(player);
+    }
+    
+    /**
+     * Switch to a new icon choice (see icons.js) and save it
+     */
+    setIcon(icon) {
+        this.icon = icon;
+        this.player.color = icon.primary;
+        PlayerIcon.save(icon);
+    }
+    
+    /**
+     * Change accessibility settings (see AccessibilityManager.update) and apply them
+     */
+    setAccessibility(changes) {
+        this.accessibility.update(changes);
+        this.applyAccessibility();
+    }
+    
+    /**
+     * Switch to a difficulty preset id, or change some assists (see DifficultyManager.update),
+     * and apply them; the high score shown becomes the one on the new board
+     */
+    setDifficulty(change) {
+        if (typeof change === 'string') {
+            this.difficulty.setPreset(change);
+        } else {
+            this.difficulty.update(change);
+        }
+        this.applyDifficulty();
+        this.highScore = this.loadHighScore();
+        this.bestPercent = this.loadBestPercent();
+    }
+    
+    /**
+     * Give the simulation the hitbox and shield assists (the game speed is read by gameLoop)
+     */
+    applyDifficulty() {
+        Object.assign(this, this.difficulty.physics());
+    }
+    
+    /**
+     * Called by Simulation.step() when the shield absorbs a hit
+     */
+    shieldBroken(player) {
+        if (player !== this.player || this.gameState !== 'playing') return;
+        
+        this.audio.play('shield');
+        this.spawnBurstParticles(this.palette.colors.hudAccent, 16);
+        this.camera.shake(5, 200);
+        this.accessibility.announce('Shield broken');
+    }
+    
+    /**
+     * Make the camera, particles and palette follow the accessibility settings
+     */
+    applyAccessibility() {
+        const reduceMotion = this.accessibility.reduceMotion;
+        this.camera.shakeEnabled = !reduceMotion;
+        if (reduceMotion) this.particles = [];
+        this.palette.forcedTheme = this.accessibility.highContrast ? HIGH_CONTRAST_THEME : null;
+        this.palette.snap(this);
+        if (this.race) {
+            this.race.applyAccessibility();
+        }
+    }
+    
+    /**
+     * An object's own color, or the palette's for its kind (always the palette's in high contrast)
+     */
+    colorOf(object, field) {
+        return (!this.accessibility.highContrast && object.color) || this.palette.colors[field];
+    }
+    
+    /**
+     * Announcement for the end of a run, e.g. "Died at 45%, 320 metres, 2 coins, score 420. New high score!"
+     */
+    describeRunEnd(outcome, isNewHighScore) {
+        const percent = this.getProgressPercent();
+        const where = percent === null || outcome !== 'Died' ? '' : ` at ${percent}%`;
+        const coins = this.runCoins.size > 0 ? `, ${this.runCoins.size} ${this.runCoins.size === 1 ? 'coin' : 'coins'}` : '';
+        return `${outcome}${where}, ${this.distance} metres${coins}, score ${this.score}.${isNewHighScore ? ' New high score!' : ''}`;
+    }
+    
+    /**
+     * Toast any designs or trails the last run unlocked
+     */
+    announceUnlocks() {
+        PlayerIcon.takeNewUnlocks(this.icon, this.stats).forEach(item => {
+            this.stats.notify('NEW ICON UNLOCKED', item.name);
+        });
+    }
+    
+    /**
+     * Create a ghost runner for the saved best run, if it was recorded with the same physics
+     */
+    createGhost() {
+        if (!this.ghostEnabled || !this.recorder) return null;
+        
+        const best = ReplayStore.getBest(this.level.id);
+        if (!best || !RunRecorder.settingsMatch(best.settings, this.recorder.settings)) return null;
+        if ((best.seed || null) !== this.recorder.seed) return null; // Endless ghosts only race the same course
+        
+        const ghost = this.resetRunner(Object.assign({}, this.player));
+        ghost.playback = { recording: best, eventIndex: 0 };
+        ghost.dead = false;
+        return ghost;
+    }
+    
+    setGhostEnabled(enabled) {
+        this.ghostEnabled = enabled;
+        if (!enabled) this.ghost = null;
+        try {
+            localStorage.setItem('geometryDashGhostEnabled', enabled ? '1' : '0');
+        } catch (e) {
+            console.error('Failed to save ghost setting:', e);
+        }
+    }
+    
+    loadGhostSetting() {
+        try {
+            return localStorage.getItem('geometryDashGhostEnabled') !== '0';
+        } catch (e) {
+            return true;
+        }
+    }
+    
+    /**
+     * Finish recording the current attempt and keep it if it is the best for this level
+     * (assisted runs can still be watched, but never become the best run or the ghost)
+     */
+    finishRun(completed) {
+        if (!this.recorder) return;
+        
+        this.lastRun = this.recorder.finish({
+            steps: this.stepCount,
+            distance: this.distance,
+            completed: completed
+        });
+        this.recorder = null;
+        if (this.difficulty.preset === 'normal') {
+            ReplayStore.saveIfBest(this.lastRun);
+        }
+    }
+    
+    /**
+     * Replay a recorded run on the current level
+     */
+    startReplay(recording) {
+        if (recording.settings.timestep !== FIXED_TIMESTEP) {
+            throw new Error('This run was recorded with a different simulation timestep');
+        }
+        
+        // The endless course (or level) to go back to, restored by stopReplay()
+        if (this.replayEndlessSeed === undefined) {
+            this.replayEndlessSeed = this.endless ? this.endless.seed : null;
+        }
+        if (recording.seed) {
+            this.setupEndless(recording.seed);
+        }
+        if (recording.levelId !== this.level.id) {
+            if (!this.replay) this.restoreModeBeforeReplay();
+            throw new Error(`This run was recorded on level "${recording.levelId}", but "${this.level.id}" is loaded`);
+        }
+        
+        // Use the physics the run was recorded with, restored by stopReplay()
+        if (!this.replaySavedSettings) {
+            this.replaySavedSettings = RunRecorder.captureSettings(this);
+        }
+        this.applyPhysicsSettings(recording.settings);
+        
+        this.replay = {
+            recording: recording,
+            eventIndex: 0,
+            ended: false,
+            paused: false,
+            speed: 1
+        };
+        this.recorder = null;
+        this.ghost = null;
+        this.audio.stopMusic();
+        this.hideStartScreen();
+        this.hideGameOverScreen();
+        this.seekReplay(0);
+    }
+    
+    /**
+     * Jump to a step of the current replay by re-simulating from the start
+     */
+    seekReplay(step) {
+        if (!this.replay) return;
+        
+        this.gameState = 'replay';
+        this.replay.eventIndex = 0;
+        this.replay.ended = false;
+        this.cameraX = 0;
+        this.previousCameraX = 0;
+        this.runStartX = 0;
+        this.scrollSpeed = this.baseScrollSpeed;
+        this.resetRunner(this.player);
+        this.stepCount = 0;
+        this.accumulator = 0;
+        this.distance = 0;
+        this.score = 0;
+        this.runCoins = new Set();
+        if (this.endless) {
+            this.resetEndless();
+        }
+        
+        while (this.stepCount < step && !this.replay.ended) {
+            this.update();
+        }
+        this.particles = [];
+    }
+    
+    stopReplay() {
+        if (!this.replay) return;
+        
+        if (this.replaySavedSettings) {
+            this.applyPhysicsSettings(this.replaySavedSettings);
+            this.replaySavedSettings = null;
+        }
+        
+        this.restoreModeBeforeReplay();
+        
+        this.replay = null;
+        this.gameState = 'start';
+        this.cameraX = 0;
+        this.previousCameraX = 0;
+        this.resetRunner(this.player);
+        this.distance = 0;
+        this.score = 0;
+        this.runCoins = new Set();
+        this.particles = [];
+        
+        const startScreen = this.getElement('startScreen');
+        if (startScreen) startScreen.style.display = '';
+    }
+    
+    /**
+     * Go back to the endless course or level that was loaded before a replay switched it
+     */
+    restoreModeBeforeReplay() {
+        if (this.replayEndlessSeed === null) {
+            this.stopEndless();
+        } else if (this.replayEndlessSeed !== undefined) {
+            this.setupEndless(this.replayEndlessSeed);
+        }
+        this.replayEndlessSeed = undefined;
+    }
+    
+    applyPhysicsSettings(settings) {
+        this.gravity = settings.gravity;
+        this.jumpPower = settings.jumpPower;
+        this.maxJumpHold = settings.maxJumpHold;
+        this.holdJumpBonus = settings.holdJumpBonus;
+        this.scrollSpeed = settings.scrollSpeed;
+        this.baseScrollSpeed = settings.scrollSpeed;
+        this.player.width = settings.playerWidth;
+        this.player.height = settings.playerHeight;
+        this.hitboxInset = settings.hitboxInset || 0; // Missing from runs recorded before assists
+        this.shieldHits = settings.shieldHits || 0;
+        this.layoutLevel();
+    }
+    
     /**
      * Handle player death
      */
     die() {
         if (this.gameState === 'dead') return;
         
+        if (this.gameState === 'replay') {
+            this.replay.ended = true;
+            return;
+        }
+        
+        if (!this.isPlaytest()) this.stats.died(this);
+        this.announceUnlocks();
+        this.camera.shake(10, 400);
+        if (!this.endless && !this.isPlaytest()) { // Playtests may be of unsaved changes to the level
+            this.levelDeaths = DeathHeatmap.record(this.level.id, this.cameraX);
+        }
+        this.emit('death', { percent: this.getProgressPercent(), score: this.score });
+        
+        // Practice runs carry on from the last checkpoint
+        if (this.practice) {
+            this.accessibility.announce(`Died at ${this.getProgressPercent()}%, back to the last checkpoint`);
+            this.audio.play('death');
+            this.spawnBurstParticles();
+            this.practice.respawn();
+            if (!this.isPlaytest()) this.stats.runStarted(this); // Each respawn is a new attempt
+            return;
+        }
+        
         this.gameState = 'dead';
-        this.playDeathSound();
+        this.audio.stopMusic();
+        this.audio.play('death');
+        this.finishRun(false);
+        this.spawnBurstParticles();
+        this.saveCoins();
+        this.lastScore = this.getRunScore(false);
+        
+        const isNewHighScore = this.submitScore(false);
+        this.showGameOverScreen(isNewHighScore);
+        this.accessibility.announce(this.describeRunEnd('Died', isNewHighScore));
+    }
+    
+    /**
+     * Sound and particles when the player uses a pad or orb
+     */
+    bounceFeedback(kind, color) {
+        this.audio.play(kind);
+        this.spawnBurstParticles(color, 10);
+    }
+    
+    /**
+     * Burst of particles from the player (death, pads and orbs)
+     */
+    spawnBurstParticles(color = '#ffffff', count = 20) {
+        if (this.accessibility.reduceMotion) return;
         
-        // Death animation particles
-        for (let i = 0; i < 20; i++) {
+        for (let i = 0; i < count; i++) {
             this.particles.push({
-                x: this.player.x + this.player.width / 2,
+                x: this.cameraX + this.player.x + this.player.width / 2,
                 y: this.player.y + this.player.height / 2,
                 vx: (Math.random() - 0.5) * 10,
                 vy: (Math.random() - 0.5) * 10,
                 life: 30,
                 maxLife: 30,
                 size: 5 + Math.random() * 5,
-                color: '#ffffff'
+                color: color
             });
         }
-        
-        // Check high score
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
-            this.saveHighScore(this.highScore);
-        }
-        
-        this.showGameOverScreen();
     }
     
     /**
      * Handle level completion
      */
     win() {
+        if (this.gameState === 'replay') {
+            this.replay.ended = true;
+            return;
+        }
+        
         this.gameState = 'win';
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
-            this.saveHighScore(this.highScore);
+        this.audio.stopMusic();
+        this.finishRun(true);
+        this.lastScore = this.getRunScore(true);
+        this.score = this.lastScore.total;
+        this.emit('win', { percent: 100, score: this.score });
+        if (this.practice) {
+            this.practice.complete();
+            this.accessibility.announce('Practice run complete');
+            return; // Practice runs don't set high scores or count as completions
         }
+        if (!this.isPlaytest()) this.stats.won(this);
+        this.announceUnlocks();
+        this.saveCoins();
+        const isNewHighScore = this.submitScore(true);
+        this.accessibility.announce(this.describeRunEnd('Level complete', isNewHighScore));
+    }
+    
+    /**
+     * Put the finished run on the leaderboard (editor playtests don't count)
+     * Returns true if it beat the high score
+     */
+    submitScore(finished) {
+        this.lastEntry = null;
+        if (this.isPlaytest()) return false;
+        
+        this.lastEntry = {
+            name: Leaderboard.getPlayerName(),
+            distance: this.distance,
+            percent: finished ? 100 : this.getProgressPercent(),
+            date: new Date().toISOString(),
+            attempt: this.attempt,
+            finished: finished,
+            difficulty: this.difficulty.preset
+        };
+        Leaderboard.submit(this.level, this.getRunMode(), this.lastEntry);
+        
+        const isNewHighScore = this.distance > this.highScore;
+        this.highScore = Math.max(this.highScore, this.distance);
+        this.bestPercent = Math.max(this.bestPercent, this.lastEntry.percent || 0);
+        return isNewHighScore;
+    }
+    
+    /**
+     * How far through the level the player is (0-100), or null in endless mode
+     */
+    getProgressPercent() {
+        if (!isFinite(this.level.width)) return null;
+        return Math.min(100, Math.floor(this.cameraX / this.level.width * 100));
     }
     
     /**
      * Restart game
      */
     restart() {
-        this.startGame();
+        this.stats.endSegment(this); // Restarting from the pause menu still counts the distance covered
+        this.startGame(this.runStartX);
         this.hideGameOverScreen();
     }
     
     /**
-     * Main game loop
+     * Freeze the current run and open the pause menu
+     * (also cancels a resume countdown that is in progress)
+     */
+    pause() {
+        if (this.gameState === 'paused') {
+            this.countdown = null;
+            this.showPauseMenu();
+            return;
+        }
+        if (this.gameState !== 'playing') return;
+        
+        this.gameState = 'paused';
+        this.countdown = null;
+        this.pausedAccumulator = this.accumulator;
+        this.accumulator = 0;
+        this.audio.pauseMusic();
+        this.showPauseMenu();
+        this.accessibility.announce('Paused');
+    }
+    
+    /**
+     * Close the pause menu and count down before play continues
+     */
+    resume() {
+        if (this.gameState !== 'paused' || this.countdown !== null) return;
+        
+        this.countdown = RESUME_COUNTDOWN;
+        this.hidePauseMenu();
+        this.accessibility.announce(`Resuming in ${RESUME_COUNTDOWN / 1000} seconds`);
+    }
+    
+    togglePause() {
+        if (this.gameState === 'playing') {
+            this.pause();
+        } else if (this.gameState === 'paused') {
+            this.resume();
+        }
+    }
+    
+    /**
+     * Run the resume countdown on real time (called by the game loop while paused)
+     */
+    updateCountdown(frameTime) {
+        if (this.countdown === null) return;
+        
+        this.countdown -= frameTime;
+        if (this.countdown <= 0) {
+            this.finishResume();
+        }
+    }
+    
+    finishResume() {
+        this.countdown = null;
+        this.gameState = 'playing';
+        
+        // Carry on from the exact point we paused, without counting the paused time
+        this.lastTime = performance.now();
+        this.accumulator = this.pausedAccumulator;
+        this.pausedAccumulator = 0;
+        
+        // A jump (or ship thrust) held when pausing keeps going only if it is still held now
+        const players = this.race ? this.race.racers.map(racer => racer.player) : [this.player];
+        players.forEach((player, index) => {
+            if (player.inputHeld && !this.input.isJumpHeld(index)) {
+                this.handleJumpEnd(index);
+            }
+        });
+        
+        this.audio.playMusic();
+    }
+    
+    /**
+     * Abandon the paused run and go back to the start screen (or the editor when playtesting)
+     */
+    quitToMenu() {
+        if (this.gameState !== 'paused') return;
+        
+        this.countdown = null;
+        this.recorder = null; // Abandoned runs aren't saved
+        this.ghost = null;
+        this.audio.stopMusic();
+        this.stats.endSegment(this);
+        this.hidePauseMenu();
+        
+        if (this.editor && this.editor.playtesting) {
+            this.editor.stopPlaytest();
+            return;
+        }
+        
+        this.returnToStart();
+    }
+    
+    /**
+     * Leave any mode, reset the level and show the start screen
+     */
+    returnToStart() {
+        this.stopEndless();
+        this.stopPractice();
+        this.stopRace();
+        this.gameState = 'start';
+        this.cameraX = 0;
+        this.previousCameraX = 0;
+        this.resetRunner(this.player);
+        this.distance = 0;
+        this.score = 0;
+        this.runCoins = new Set();
+        this.particles = [];
+        
+        const startScreen = this.getElement('startScreen');
+        if (startScreen) startScreen.style.display = '';
+    }
+    
+    setAutoPause(enabled) {
+        this.autoPause = enabled;
+        try {
+            localStorage.setItem('geometryDashAutoPause', enabled ? '1' : '0');
+        } catch (e) {
+            console.error('Failed to save auto-pause setting:', e);
+        }
+    }
+    
+    loadAutoPauseSetting() {
+        try {
+            return localStorage.getItem('geometryDashAutoPause') !== '0';
+        } catch (e) {
+            return true;
+        }
+    }
+    
+    /**
+     * Main game loop - runs the simulation in fixed steps and renders once per frame
      */
     gameLoop() {
         const currentTime = performance.now();
-        const deltaTime = currentTime - this.lastTime;
+        const frameTime = Math.min(currentTime - this.lastTime, MAX_FRAME_TIME);
         this.lastTime = currentTime;
         
         if (!document.hidden) {
-            this.update();
+            this.input.pollGamepads();
+            if (this.gameState === 'replay') {
+                this.accumulator += this.replay.paused ? 0 : frameTime * this.replay.speed;
+            } else if (this.gameState === 'paused') {
+                this.updateCountdown(frameTime);
+            } else {
+                this.accumulator += frameTime * this.difficulty.settings.gameSpeed;
+            }
+            while (this.accumulator >= FIXED_TIMESTEP) {
+                this.update();
+                this.accumulator -= FIXED_TIMESTEP;
+            }
+            this.renderAlpha = this.accumulator / FIXED_TIMESTEP;
             this.render();
+        } else {
+            this.accumulator = 0;
         }
         
-        requestAnimationFrame(() => this.gameLoop());
+        if (!this.destroyed) {
+            this.frameId = requestAnimationFrame(() => this.gameLoop());
+        }
     }
     
     /**
      * UI Helper functions
+     * Overlays are looked up inside this game's UI root; embedded games have none
+     * and draw their prompts on the canvas instead (see drawUI)
      */
+    getElement(id) {
+        return this.ui.querySelector(`#${id}`);
+    }
+    
     hideStartScreen() {
-        const startScreen = document.getElementById('startScreen');
+        const startScreen = this.getElement('startScreen');
         if (startScreen) {
             startScreen.style.display = 'none';
             console.log('Start screen hidden');
-        } else {
-            console.warn('Start screen element not found');
         }
     }
     
-    showGameOverScreen() {
-        const gameOverScreen = document.getElementById('gameOverScreen');
-        const finalScore = document.getElementById('finalScore');
-        const newHighScore = document.getElementById('newHighScore');
+    showGameOverScreen(isNewHighScore = false) {
+        const gameOverScreen = this.getElement('gameOverScreen');
+        const finalScore = this.getElement('finalScore');
+        const newHighScore = this.getElement('newHighScore');
+        
+        const breakdown = this.getElement('scoreBreakdown');
         
         if (gameOverScreen) gameOverScreen.style.display = 'block';
-        if (finalScore) finalScore.textContent = `Distance: ${this.distance}m`;
-        if (newHighScore && this.score > this.loadHighScore()) {
-            newHighScore.style.display = 'block';
+        if (finalScore) {
+            finalScore.textContent = this.endless
+                ? `Score: ${this.lastScore.total} (seed ${this.endless.seed})`
+                : `Score: ${this.lastScore.total}`;
+        }
+        if (breakdown) {
+            const lines = RunScore.describe(this.lastScore);
+            if (this.level.coins.length > 0) {
+                lines.push(`Coins found on this level: ${this.levelCoins.length}/${this.level.coins.length}`);
+            }
+            breakdown.innerHTML = '';
+            lines.forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                breakdown.appendChild(item);
+            });
         }
+        if (newHighScore) newHighScore.style.display = isNewHighScore ? 'block' : 'none';
+        this.drawGameOverHeatmap();
     }
     
+    /**
+     * Death heatmap for the level on the game over screen, with this run's death marked
+     */
+    drawGameOverHeatmap() {
+        const canvas = this.getElement('gameOverHeatmap');
+        if (!canvas || !canvas.getContext) return;
+        
+        canvas.style.display = isFinite(this.level.width) ? '' : 'none';
+        if (!isFinite(this.level.width)) return;
+        
+        const ctx = canvas.getContext('2d');
+        const barY = 8;
+        const barHeight = 16;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.fillRect(0, barY, canvas.width, barHeight);
+        drawDeathHeatmap(ctx, this.levelDeaths, this.level.width, 0, barY, canvas.width, barHeight);
+        
+        const markers = [
+            { percent: this.bestPercent, color: '#ffd400' },
+            { percent: this.cameraX / this.level.width * 100, color: '#ffffff' }
+        ];
+        markers.forEach(marker => {
+            if (marker.percent <= 0) return;
+            ctx.fillStyle = marker.color;
+            ctx.fillRect(Math.min(canvas.width - 2, canvas.width * marker.percent / 100), 0, 2, barHeight + 16);
+        });
+    }
+    
+    /**
+     * Race results (see race.js): who won, how far each player got and how often they crashed
+     */
+    showRaceResults() {
+        const raceScreen = this.getElement('raceScreen');
+        const winner = this.getElement('raceWinner');
+        const results = this.getElement('raceResults');
+        
+        if (raceScreen) raceScreen.style.display = 'block';
+        if (winner) winner.textContent = this.race.describeWinner();
+        if (results) {
+            results.innerHTML = '';
+            this.race.racers.forEach(racer => {
+                const row = document.createElement('tr');
+                if (racer === this.race.winner) {
+                    row.className = 'leaderboard-highlight';
+                }
+                [
+                    racer.name,
+                    `${racer.best}m`,
+                    racer.finished ? 'Finished' : `${this.race.getBestPercent(racer)}%`,
+                    `${racer.deaths}`
+                ].forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                results.appendChild(row);
+            });
+        }
+    }
+    
+    /**
+     * Hide the game over screen (and the race results, the race's game over screen)
+     */
     hideGameOverScreen() {
-        const gameOverScreen = document.getElementById('gameOverScreen');
+        const gameOverScreen = this.getElement('gameOverScreen');
+        const raceScreen = this.getElement('raceScreen');
         if (gameOverScreen) gameOverScreen.style.display = 'none';
+        if (raceScreen) raceScreen.style.display = 'none';
+    }
+    
+    showPauseMenu() {
+        const pauseScreen = this.getElement('pauseScreen');
+        if (pauseScreen) pauseScreen.style.display = 'flex';
+        this.showPauseSettings(false);
+    }
+    
+    hidePauseMenu() {
+        const pauseScreen = this.getElement('pauseScreen');
+        if (pauseScreen) pauseScreen.style.display = 'none';
+    }
+    
+    /**
+     * Switch the pause menu between its main buttons and the settings panel
+     */
+    showPauseSettings(show) {
+        const menu = this.getElement('pauseMenu');
+        const settings = this.getElement('pauseSettings');
+        if (menu) menu.hidden = show;
+        if (settings) settings.hidden = !show;
     }
     
     /**
-     * High score management
+     * Leaderboard board the current run goes on (see leaderboard.js)
      */
+    getRunMode() {
+        const mode = this.endless ? 'endless' : 'normal';
+        const preset = this.difficulty.preset;
+        return preset === 'normal' ? mode : `${mode}/${preset}`;
+    }
+    
     loadHighScore() {
-        try {
-            const stored = localStorage.getItem('geometryDashHighScore');
-            return stored ? parseInt(stored, 10) : 0;
-        } catch (e) {
-            return 0;
-        }
+        const best = Leaderboard.getBest(this.level.id, this.getRunMode());
+        return best ? best.distance : 0;
     }
     
-    saveHighScore(score) {
-        try {
-            localStorage.setItem('geometryDashHighScore', score.toString());
-        } catch (e) {
-            console.error('Failed to save high score:', e);
+    loadBestPercent() {
+        const best = Leaderboard.getBest(this.level.id, this.getRunMode());
+        return best && best.percent ? best.percent : 0;
+    }
+    
+    getSessionAttempt() {
+        return this.sessionAttempts[this.level.id] || 0;
+    }
+}
+
+const GAME_EVENTS = ['start', 'jump', 'death', 'win', 'score', 'coin'];
+
+/**
+ * Embed a game in `container` (a selector or element). If the container is a canvas
+ * the game draws on it, otherwise a canvas is created inside it. Any number of games
+ * can run on one page; each returned game has on()/off() and destroy().
+ *
+ *   initGame('#my-container', {
+ *       width: 800, height: 400,          // Canvas size (width defaults to the container's)
+ *       level: 'classic',                 // Built-in level id or a level definition
+ *       speed: 7,                         // Scroll speed override (1-20)
+ *       theme: 'neon',                    // Theme name (see themes.js), or an object of
+ *                                         // color overrides like { background: '#001122' }
+ *       muted: true,
+ *       on: { death: (event) => console.log(event.distance) }
+ *   });
+ *
+ * Embedded games only take keys while their canvas has focus and ignore gamepads
+ * unless options.globalKeys is set.
+ */
+function initGame(container, options = {}) {
+    const element = typeof container === 'string' ? document.querySelector(container) : container;
+    if (!element) {
+        throw new Error(`initGame: no element matches "${container}"`);
+    }
+    
+    let canvas = element;
+    if (element.tagName !== 'CANVAS') {
+        canvas = document.createElement('canvas');
+        canvas.className = 'embedded-game';
+        canvas.style.display = 'block';
+        canvas.style.width = options.width ? `${options.width}px` : '100%';
+        canvas.style.height = `${options.height || 400}px`;
+        element.appendChild(canvas);
+    }
+    if (!options.globalKeys) {
+        canvas.tabIndex = 0; // Focusable so it can receive key events
+    }
+    
+    const game = new GeometryDashGame(canvas, resolveEmbedLevel(options), {
+        ui: options.ui || (canvas === element ? canvas.parentElement : element),
+        keyTarget: options.globalKeys ? window : canvas,
+        gamepads: !!options.globalKeys,
+        muted: options.muted,
+        ownsCanvas: canvas !== element // A canvas created here goes away with the game
+    });
+    
+    const callbacks = options.on || {};
+    GAME_EVENTS.forEach(name => {
+        if (typeof callbacks[name] === 'function') game.on(name, callbacks[name]);
+    });
+    return game;
+}
+
+/**
+ * Level definition for initGame's level, speed and theme options
+ */
+function resolveEmbedLevel(options) {
+    let definition = options.level || BUILT_IN_LEVELS.classic;
+    if (typeof definition === 'string') {
+        if (!BUILT_IN_LEVELS[definition]) {
+            throw new Error(`initGame: unknown level "${definition}"`);
         }
+        definition = BUILT_IN_LEVELS[definition];
+    }
+    if (options.speed === undefined && !options.theme) return definition;
+    
+    const settings = Object.assign({}, definition.settings);
+    if (options.speed !== undefined) settings.scrollSpeed = options.speed;
+    const overrides = { settings: settings };
+    if (typeof options.theme === 'string') {
+        overrides.theme = options.theme;
+    } else if (options.theme) {
+        overrides.colors = Object.assign({}, definition.colors, options.theme);
     }
+    return Object.assign({}, definition, overrides);
 }
 
-// Global game instance
+// The full-page game on game.html (the other scripts reach it through gameInstance)
 let gameInstance = null;
 
-// Initialize game function
-function initGame() {
+function initMainGame() {
     if (gameInstance) {
         return; // Already initialized
     }
@@ -1095,7 +2410,7 @@ function initGame() {
     }
     
     try {
-        gameInstance = new GeometryDashGame(canvas);
+        gameInstance = initGame(canvas, { ui: document, globalKeys: true });
         window.gameInstance = gameInstance;
         console.log('Game initialized successfully');
     } catch (error) {
@@ -1113,7 +2428,7 @@ function startGame() {
     
     if (!instance) {
         console.log('No game instance, initializing...');
-        initGame();
+        initMainGame();
         // Try again after initialization
         setTimeout(() => {
             const retryInstance = gameInstance || window.gameInstance;
@@ -1157,8 +2472,11 @@ function restartGame() {
 
 // Initialize when DOM is ready
 function setupGame() {
+    // Pages that only embed games (see initGame) have no main game
+    if (!document.getElementById('gameCanvas')) return;
+    
     // Initialize game
-    initGame();
+    initMainGame();
     
     // Setup button handlers
     const startButton = document.getElementById('startButton');
@@ -1185,6 +2503,27 @@ function setupGame() {
         console.warn('Start button not found');
     }
     
+    // Restart button on the game over screen
+    const restartButton = document.getElementById('restartButton');
+    if (restartButton) {
+        restartButton.addEventListener('click', function(e) {
+            e.preventDefault();
+            restartGame();
+        });
+    }
+    
+    setupPauseMenu();
+    
+    // The rest needs a game (initMainGame() only alerts if it fails)
+    const instance = gameInstance || window.gameInstance;
+    if (!instance) return;
+    
+    setupAudioControls(instance.audio);
+    setupAccessibilityControls(instance);
+    setupDifficultyControls(instance);
+    setupControlsScreen(instance.input);
+    updateStartIconPreview(instance);
+    
     // Allow clicking canvas to start
     const canvas = document.getElementById('gameCanvas');
     if (canvas) {
@@ -1198,6 +2537,51 @@ function setupGame() {
     }
 }
 
+// Wire the pause menu buttons and settings
+function setupPauseMenu() {
+    const instance = gameInstance || window.gameInstance;
+    const pauseScreen = document.getElementById('pauseScreen');
+    if (!instance || !pauseScreen) return;
+    
+    const ghostToggle = document.getElementById('pauseGhostToggle');
+    const actions = {
+        resume: () => instance.resume(),
+        restart: () => instance.restart(),
+        settings: () => {
+            if (ghostToggle) ghostToggle.checked = instance.ghostEnabled;
+            instance.showPauseSettings(true);
+        },
+        back: () => instance.showPauseSettings(false),
+        quit: () => instance.quitToMenu()
+    };
+    pauseScreen.querySelectorAll('[data-pause-action]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const action = actions[button.dataset.pauseAction];
+            if (action) action();
+            button.blur(); // Keep Space from re-triggering the button
+        });
+    });
+    
+    const autoPauseToggle = document.getElementById('autoPauseToggle');
+    if (autoPauseToggle) {
+        autoPauseToggle.checked = instance.autoPause;
+        autoPauseToggle.addEventListener('change', () => {
+            instance.setAutoPause(autoPauseToggle.checked);
+        });
+    }
+    
+    // Same setting as the ghost checkbox on the start screen
+    if (ghostToggle) {
+        ghostToggle.addEventListener('change', () => {
+            instance.setGhostEnabled(ghostToggle.checked);
+            const startToggle = document.getElementById('ghostToggle');
+            if (startToggle) startToggle.checked = ghostToggle.checked;
+        });
+    }
+}
+
 // Run setup when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', setupGame);
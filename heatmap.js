@@ -0,0 +1,68 @@
+/**
+ * Death Heatmap
+ * Remembers where (cameraX) every death on a level happened, and draws those
+ * positions as a strip along the level's length so the hardest spots stand out.
+ */
+
+const DEATH_HEATMAP_STORAGE_KEY = 'geometryDashDeathHeatmap';
+const DEATH_HEATMAP_LIMIT = 1000; // Deaths kept per level (oldest are dropped first)
+
+const DeathHeatmap = {
+    loadAll() {
+        try {
+            const stored = localStorage.getItem(DEATH_HEATMAP_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * Death positions recorded on a level, oldest first
+     */
+    get(levelId) {
+        return this.loadAll()[levelId] || [];
+    },
+
+    /**
+     * Add a death at `x` and return the level's updated list
+     */
+    record(levelId, x) {
+        const all = this.loadAll();
+        const deaths = all[levelId] || [];
+        deaths.push(Math.round(x));
+        if (deaths.length > DEATH_HEATMAP_LIMIT) {
+            deaths.splice(0, deaths.length - DEATH_HEATMAP_LIMIT);
+        }
+        all[levelId] = deaths;
+
+        try {
+            localStorage.setItem(DEATH_HEATMAP_STORAGE_KEY, JSON.stringify(all));
+        } catch (e) {
+            console.error('Failed to save death heatmap:', e);
+        }
+        return deaths;
+    }
+};
+
+/**
+ * Draw `deaths` (level x positions) as a heat strip covering `levelWidth`;
+ * the more deaths fall in a column, the more opaque it is
+ */
+function drawDeathHeatmap(ctx, deaths, levelWidth, x, y, width, height) {
+    if (deaths.length === 0 || !isFinite(levelWidth)) return;
+
+    const binWidth = 3;
+    const counts = new Array(Math.max(1, Math.ceil(width / binWidth))).fill(0);
+    deaths.forEach(deathX => {
+        const bin = Math.floor(Math.min(1, Math.max(0, deathX / levelWidth)) * (counts.length - 1));
+        counts[bin]++;
+    });
+
+    const most = Math.max(...counts);
+    counts.forEach((count, bin) => {
+        if (count === 0) return;
+        ctx.fillStyle = `rgba(255, 68, 68, ${0.2 + 0.8 * count / most})`;
+        ctx.fillRect(x + bin * binWidth, y, binWidth, height);
+    });
+}
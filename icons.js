@@ -0,0 +1,420 @@
+/**
+ * Player Icons
+ * Cube designs (drawn procedurally in two colors), trail styles, the saved
+ * icon choice, cosmetics that unlock at distance milestones, and the icon
+ * customizer overlay with its previews.
+ *
+ * Unlock rules work like achievement rules (see ACHIEVEMENTS in stats.js):
+ * an item unlocks once PlayerStats.getStat(rule.stat) reaches rule.atLeast.
+ */
+
+const ICON_STORAGE_KEY = 'geometryDashIcon';
+
+const DEFAULT_ICON = {
+    primary: '#ffffff',
+    secondary: '#e0e0e0',
+    design: 'classic',
+    trail: 'solid'
+};
+
+/**
+ * Cube designs; draw() paints a cube of `size` centred on the origin
+ */
+const ICON_DESIGNS = [
+    {
+        id: 'classic',
+        name: 'Classic',
+        unlock: null,
+        draw(ctx, size, icon) {
+            const half = size / 2;
+            ctx.fillStyle = icon.secondary;
+            ctx.fillRect(-half + 5, -half + 5, size - 10, size - 10);
+        }
+    },
+    {
+        id: 'face',
+        name: 'Face',
+        unlock: null,
+        draw(ctx, size, icon) {
+            ctx.fillStyle = icon.secondary;
+            ctx.fillRect(-size * 0.3, -size * 0.22, size * 0.18, size * 0.18);
+            ctx.fillRect(size * 0.12, -size * 0.22, size * 0.18, size * 0.18);
+            ctx.fillRect(-size * 0.3, size * 0.12, size * 0.6, size * 0.12);
+        }
+    },
+    {
+        id: 'cross',
+        name: 'Cross',
+        unlock: { stat: 'distance', atLeast: 500 },
+        draw(ctx, size, icon) {
+            const bar = size * 0.24;
+            ctx.fillStyle = icon.secondary;
+            ctx.fillRect(-bar / 2, -size / 2 + 4, bar, size - 8);
+            ctx.fillRect(-size / 2 + 4, -bar / 2, size - 8, bar);
+        }
+    },
+    {
+        id: 'rings',
+        name: 'Rings',
+        unlock: { stat: 'distance', atLeast: 2000 },
+        draw(ctx, size, icon) {
+            ctx.strokeStyle = icon.secondary;
+            ctx.lineWidth = size * 0.08;
+            [0.32, 0.16].forEach(radius => {
+                ctx.beginPath();
+                ctx.arc(0, 0, size * radius, 0, Math.PI * 2);
+                ctx.stroke();
+            });
+        }
+    },
+    {
+        id: 'split',
+        name: 'Split',
+        unlock: { stat: 'distance', atLeast: 5000 },
+        draw(ctx, size, icon) {
+            const half = size / 2;
+            ctx.fillStyle = icon.secondary;
+            ctx.beginPath();
+            ctx.moveTo(half, -half);
+            ctx.lineTo(half, half);
+            ctx.lineTo(-half, half);
+            ctx.closePath();
+            ctx.fill();
+        }
+    },
+    {
+        id: 'checker',
+        name: 'Checker',
+        unlock: { stat: 'distance', atLeast: 10000 },
+        draw(ctx, size, icon) {
+            const cell = size / 3;
+            ctx.fillStyle = icon.secondary;
+            for (let row = 0; row < 3; row++) {
+                for (let column = 0; column < 3; column++) {
+                    if ((row + column) % 2 === 0) {
+                        ctx.fillRect(-size / 2 + column * cell, -size / 2 + row * cell, cell, cell);
+                    }
+                }
+            }
+        }
+    }
+];
+
+/**
+ * Trail styles; particle() returns the particle left behind at a point on one
+ * simulation step (null for none)
+ */
+const TRAIL_STYLES = [
+    {
+        id: 'solid',
+        name: 'Solid',
+        unlock: null,
+        particle(icon, x, y) {
+            return {
+                x: x, y: y,
+                vx: (Math.random() - 0.5) * 2,
+                vy: (Math.random() - 0.5) * 2,
+                life: 20, maxLife: 20,
+                size: 3 + Math.random() * 3,
+                color: icon.primary
+            };
+        }
+    },
+    {
+        id: 'none',
+        name: 'None',
+        unlock: null,
+        particle() {
+            return null;
+        }
+    },
+    {
+        id: 'sparkle',
+        name: 'Sparkle',
+        unlock: { stat: 'distance', atLeast: 1000 },
+        particle(icon, x, y, step) {
+            if (step % 2) return null; // Sparser than a solid trail
+            return {
+                x: x + (Math.random() - 0.5) * 20,
+                y: y + (Math.random() - 0.5) * 20,
+                vx: (Math.random() - 0.5) * 4,
+                vy: (Math.random() - 0.5) * 4,
+                life: 25, maxLife: 25,
+                size: 1 + Math.random() * 2.5,
+                color: Math.random() < 0.5 ? icon.secondary : '#ffffff'
+            };
+        }
+    },
+    {
+        id: 'rainbow',
+        name: 'Rainbow',
+        unlock: { stat: 'bestRun', atLeast: 300 },
+        particle(icon, x, y, step) {
+            return {
+                x: x, y: y,
+                vx: -1, vy: 0,
+                life: 30, maxLife: 30,
+                size: 5,
+                color: `hsl(${(step * 8) % 360}, 100%, 60%)`
+            };
+        }
+    }
+];
+
+const PlayerIcon = {
+    /**
+     * Saved icon choice; designs and trails `stats` hasn't unlocked fall back to the defaults
+     */
+    load(stats) {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(ICON_STORAGE_KEY)) || {};
+        } catch (e) {
+            saved = {};
+        }
+
+        const icon = Object.assign({}, DEFAULT_ICON);
+        ['primary', 'secondary'].forEach(field => {
+            if (typeof saved[field] === 'string' && /^#[0-9a-f]{6}$/i.test(saved[field])) icon[field] = saved[field];
+        });
+        const design = ICON_DESIGNS.find(item => item.id === saved.design);
+        if (design && this.isUnlocked(design, stats)) icon.design = design.id;
+        const trail = TRAIL_STYLES.find(item => item.id === saved.trail);
+        if (trail && this.isUnlocked(trail, stats)) icon.trail = trail.id;
+        icon.announced = Array.isArray(saved.announced) ? saved.announced : [];
+        return icon;
+    },
+
+    save(icon) {
+        try {
+            localStorage.setItem(ICON_STORAGE_KEY, JSON.stringify(icon));
+        } catch (e) {
+            console.error('Failed to save icon:', e);
+        }
+    },
+
+    isUnlocked(item, stats) {
+        return !item.unlock || (!!stats && stats.getStat(item.unlock.stat) >= item.unlock.atLeast);
+    },
+
+    /**
+     * What it takes to unlock an item, e.g. "Travel 2,000m in total"
+     */
+    describeUnlock(item) {
+        const metres = `${item.unlock.atLeast.toLocaleString('en-US')}m`;
+        return item.unlock.stat === 'bestRun' ? `Travel ${metres} in a single run` : `Travel ${metres} in total`;
+    },
+
+    /**
+     * Designs and trails unlocked since the player was last told; marks them as told
+     */
+    takeNewUnlocks(icon, stats) {
+        const unlocked = ICON_DESIGNS.concat(TRAIL_STYLES).filter(item =>
+            item.unlock && !icon.announced.includes(item.id) && this.isUnlocked(item, stats)
+        );
+        if (unlocked.length > 0) {
+            icon.announced = icon.announced.concat(unlocked.map(item => item.id));
+            this.save(icon);
+        }
+        return unlocked;
+    },
+
+    /**
+     * Draw a cube of `size` centred on the origin (the caller positions and rotates it)
+     */
+    draw(ctx, icon, size) {
+        const design = ICON_DESIGNS.find(item => item.id === icon.design) || ICON_DESIGNS[0];
+        const half = size / 2;
+
+        // Body with glow effect
+        ctx.shadowColor = icon.primary;
+        ctx.shadowBlur = 15;
+        ctx.fillStyle = icon.primary;
+        ctx.fillRect(-half, -half, size, size);
+        ctx.shadowBlur = 0;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(-half, -half, size, size);
+        ctx.clip(); // Designs stay inside the cube
+        design.draw(ctx, size, icon);
+        ctx.restore();
+
+        // Cube edges
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(-half, -half, size, size);
+    },
+
+    /**
+     * Trail particle for one simulation step at (x, y), or null
+     */
+    trailParticle(icon, x, y, step) {
+        const style = TRAIL_STYLES.find(item => item.id === icon.trail) || TRAIL_STYLES[0];
+        return style.particle(icon, x, y, step);
+    },
+
+    /**
+     * Draw the icon with a sample of its trail on a preview canvas
+     */
+    drawPreview(canvas, icon) {
+        const ctx = canvas.getContext('2d');
+        const size = Math.min(canvas.height * 0.6, 48);
+        const centerX = canvas.width - size;
+        const centerY = canvas.height / 2;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Trail particles laid out behind the cube as if it had been running
+        for (let step = 0; step < 24; step++) {
+            const particle = this.trailParticle(icon, 0, 0, step);
+            if (!particle) continue;
+            const age = step / 24;
+            ctx.globalAlpha = 1 - age;
+            ctx.fillStyle = particle.color;
+            ctx.beginPath();
+            ctx.arc(centerX - size / 2 - step * 6 + particle.x, centerY + particle.y * 0.5, particle.size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.globalAlpha = 1;
+
+        ctx.save();
+        ctx.translate(centerX, centerY);
+        this.draw(ctx, icon, size);
+        ctx.restore();
+    }
+};
+
+/**
+ * Icon customizer overlay
+ */
+class IconScreen {
+    constructor(root) {
+        this.root = root;
+        this.preview = root.querySelector('#iconPreview');
+        this.primary = root.querySelector('#iconPrimary');
+        this.secondary = root.querySelector('#iconSecondary');
+        this.designs = root.querySelector('#iconDesigns');
+        this.trails = root.querySelector('#iconTrails');
+        this.game = null;
+
+        [this.primary, this.secondary].forEach(input => {
+            if (!input) return;
+            input.addEventListener('input', () => {
+                this.change({ [input === this.primary ? 'primary' : 'secondary']: input.value });
+            });
+        });
+
+        root.querySelectorAll('[data-icon-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (button.dataset.iconAction === 'close') {
+                    this.close();
+                } else if (button.dataset.iconAction === 'reset') {
+                    this.change({ primary: DEFAULT_ICON.primary, secondary: DEFAULT_ICON.secondary });
+                }
+                button.blur();
+            });
+        });
+
+        // Keys belong to the overlay while it is open
+        window.addEventListener('keydown', (e) => {
+            if (!this.isOpen) return;
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        }, true);
+        window.addEventListener('keyup', (e) => {
+            if (this.isOpen) e.stopPropagation();
+        }, true);
+    }
+
+    get isOpen() {
+        return this.root.style.display === 'flex';
+    }
+
+    show(game) {
+        this.game = game;
+        this.root.style.display = 'flex';
+        this.render();
+    }
+
+    close() {
+        this.root.style.display = 'none';
+    }
+
+    change(choices) {
+        this.game.setIcon(Object.assign({}, this.game.icon, choices));
+        this.render();
+    }
+
+    render() {
+        const icon = this.game.icon;
+        if (this.primary) this.primary.value = icon.primary;
+        if (this.secondary) this.secondary.value = icon.secondary;
+        this.renderChoices(this.designs, ICON_DESIGNS, 'design');
+        this.renderChoices(this.trails, TRAIL_STYLES, 'trail');
+        if (this.preview) PlayerIcon.drawPreview(this.preview, icon);
+        updateStartIconPreview(this.game);
+    }
+
+    /**
+     * One button per design or trail; locked ones say how to unlock them
+     */
+    renderChoices(container, items, field) {
+        if (!container) return;
+
+        container.innerHTML = '';
+        items.forEach(item => {
+            const unlocked = PlayerIcon.isUnlocked(item, this.game.stats);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'controls-chip';
+            button.textContent = unlocked ? item.name : `${item.name} (locked)`;
+            button.disabled = !unlocked;
+            button.setAttribute('aria-pressed', String(this.game.icon[field] === item.id));
+            if (this.game.icon[field] === item.id) button.classList.add('selected');
+            if (!unlocked) button.title = PlayerIcon.describeUnlock(item);
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.change({ [field]: item.id });
+            });
+            container.appendChild(button);
+        });
+    }
+}
+
+/**
+ * Redraw the icon preview on the start screen (if the page has one)
+ */
+function updateStartIconPreview(game) {
+    const canvas = document.getElementById('startIconPreview');
+    if (canvas && game) PlayerIcon.drawPreview(canvas, game.icon);
+}
+
+// Wire the icon customizer (the game is looked up on click, so load order doesn't matter)
+function setupIconCustomizer() {
+    const root = document.getElementById('iconScreen');
+    if (!root) return;
+
+    const screen = new IconScreen(root);
+    window.iconScreen = screen;
+
+    document.querySelectorAll('[data-icon-open]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const instance = gameInstance || window.gameInstance;
+            if (!instance) return;
+
+            screen.show(instance);
+            button.blur();
+        });
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupIconCustomizer);
+} else {
+    setupIconCustomizer();
+}
@@ -0,0 +1,463 @@
+/**
+ * Input
+ * Maps the "jump", "jump2" and "pause" actions from the keyboard (rebindable,
+ * saved to localStorage), the mouse/touchscreen and gamepads (Gamepad API,
+ * remappable buttons) onto GeometryDashGame, and drives the controls settings
+ * screen.
+ *
+ * Jump is held while any source holding it is down, so pressing Space while
+ * the mouse is already held doesn't jump twice, and the jump only ends once
+ * every source is released. Each player tracks their own sources: "jump2" and
+ * the second gamepad only play player 2 in race mode (see race.js).
+ */
+
+const INPUT_BINDINGS_STORAGE_KEY = 'geometryDashBindings';
+const INPUT_ACTIONS = ['jump', 'jump2', 'pause'];
+const INPUT_ACTION_NAMES = { jump: 'Jump', jump2: 'Jump (player 2)', pause: 'Pause' };
+
+// Gamepad buttons use the standard mapping (0 = A / Cross, 9 = Start)
+const DEFAULT_BINDINGS = {
+    jump: { keys: ['Space', 'ArrowUp'], buttons: [0] },
+    jump2: { keys: ['Enter'], buttons: [] }, // Player 2 in race mode
+    pause: { keys: ['Escape', 'KeyP'], buttons: [9] }
+};
+
+const GAMEPAD_BUTTON_NAMES = [
+    'A / Cross', 'B / Circle', 'X / Square', 'Y / Triangle', 'LB', 'RB', 'LT', 'RT',
+    'Back', 'Start', 'Left stick', 'Right stick', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'
+];
+
+class InputManager {
+    /**
+     * options.keyTarget: element whose key events control the game (default window; embedded
+     * games use their canvas so only the focused game responds)
+     * options.gamepads: false to ignore gamepads
+     */
+    constructor(game, options = {}) {
+        this.game = game;
+        this.keyTarget = options.keyTarget || window;
+        this.gamepadsEnabled = options.gamepads !== false;
+        this.bindings = InputManager.loadBindings();
+        this.held = [new Set(), new Set()]; // Sources holding jump for each player ('key:Space', 'pointer', 'touch:3', 'pad:0:0', ...)
+        this.gamepads = {}; // Connected gamepad index -> id
+        this.padButtons = {}; // Gamepad index -> pressed state of each button at the last poll
+        this.onGamepadsChange = null; // Called when a gamepad connects or disconnects (refreshes the controls screen)
+        this.onNextButton = null; // Set by the controls screen while waiting for a button to bind
+
+        this.handleKeyDown = (e) => this.keyDown(e);
+        this.handleKeyUp = (e) => this.keyUp(e);
+        this.handleGamepadConnected = (e) => this.gamepadConnected(e.gamepad);
+        this.handleGamepadDisconnected = (e) => this.gamepadDisconnected(e.gamepad);
+    }
+
+    attach() {
+        this.keyTarget.addEventListener('keydown', this.handleKeyDown);
+        this.keyTarget.addEventListener('keyup', this.handleKeyUp);
+        if (this.gamepadsEnabled) {
+            window.addEventListener('gamepadconnected', this.handleGamepadConnected);
+            window.addEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+        }
+    }
+
+    detach() {
+        this.keyTarget.removeEventListener('keydown', this.handleKeyDown);
+        this.keyTarget.removeEventListener('keyup', this.handleKeyUp);
+        window.removeEventListener('gamepadconnected', this.handleGamepadConnected);
+        window.removeEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+        this.held.forEach(sources => sources.clear());
+    }
+
+    static loadBindings() {
+        const bindings = InputManager.copyBindings(DEFAULT_BINDINGS);
+        try {
+            const stored = JSON.parse(localStorage.getItem(INPUT_BINDINGS_STORAGE_KEY));
+            INPUT_ACTIONS.forEach(action => {
+                const saved = stored && stored[action];
+                if (!saved) return;
+                if (Array.isArray(saved.keys)) bindings[action].keys = saved.keys.filter(code => typeof code === 'string');
+                if (Array.isArray(saved.buttons)) bindings[action].buttons = saved.buttons.filter(Number.isInteger);
+            });
+        } catch (e) {
+            // Fall back to the defaults
+        }
+        return bindings;
+    }
+
+    static copyBindings(bindings) {
+        const copy = {};
+        INPUT_ACTIONS.forEach(action => {
+            copy[action] = { keys: bindings[action].keys.slice(), buttons: bindings[action].buttons.slice() };
+        });
+        return copy;
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(INPUT_BINDINGS_STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.error('Failed to save controls:', e);
+        }
+    }
+
+    /**
+     * Bind a key code or gamepad button ('keys' / 'buttons') to an action,
+     * taking it away from any other action that had it
+     */
+    bind(action, device, value) {
+        INPUT_ACTIONS.forEach(other => {
+            this.bindings[other][device] = this.bindings[other][device].filter(bound => bound !== value);
+        });
+        this.bindings[action][device].push(value);
+        this.saveBindings();
+    }
+
+    unbind(action, device, value) {
+        this.bindings[action][device] = this.bindings[action][device].filter(bound => bound !== value);
+        this.saveBindings();
+    }
+
+    resetBindings() {
+        this.bindings = InputManager.copyBindings(DEFAULT_BINDINGS);
+        this.saveBindings();
+    }
+
+    actionFor(device, value) {
+        return INPUT_ACTIONS.find(action => this.bindings[action][device].includes(value)) || null;
+    }
+
+    isJumpHeld(player = 0) {
+        return this.held[player].size > 0;
+    }
+
+    /**
+     * Player holding jump with `source`, or -1
+     */
+    playerHolding(source) {
+        return this.held.findIndex(sources => sources.has(source));
+    }
+
+    /**
+     * A jump source went down for `player` (0 or 1); the first one to go down starts the jump
+     */
+    press(source, player = 0) {
+        if (this.playerHolding(source) !== -1) return;
+
+        const wasHeld = this.isJumpHeld(player);
+        this.held[player].add(source);
+        if (!wasHeld) {
+            this.game.handleJumpStart(player);
+        }
+    }
+
+    /**
+     * A jump source was released; the jump ends when the last one is
+     */
+    release(source) {
+        const player = this.playerHolding(source);
+        if (player === -1) return;
+
+        this.held[player].delete(source);
+        if (!this.isJumpHeld(player)) {
+            this.game.handleJumpEnd(player);
+        }
+    }
+
+    /**
+     * Let go of everything (the window lost focus, so release events won't arrive)
+     */
+    releaseAll() {
+        this.held.forEach((sources, player) => {
+            if (sources.size === 0) return;
+
+            sources.clear();
+            this.game.handleJumpEnd(player);
+        });
+    }
+
+    keyDown(e) {
+        const action = this.actionFor('keys', e.code);
+        if (!action) return;
+
+        // Player 2's keys (Enter by default) keep their usual meaning outside races
+        if (action === 'jump2' && !this.game.race) return;
+
+        // Keys typed into form fields are text, not game input
+        const tag = e.target && e.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+        e.preventDefault();
+        if (e.repeat) return; // Holding is tracked by jumpHeld, not key repeat
+
+        if (action === 'jump' || action === 'jump2') {
+            this.press(`key:${e.code}`, action === 'jump2' ? 1 : 0);
+        } else if (action === 'pause') {
+            // Esc belongs to the editor while playtesting (it returns to editing)
+            if (e.code === 'Escape' && this.game.editor && this.game.editor.playtesting) return;
+            this.game.togglePause();
+        }
+    }
+
+    keyUp(e) {
+        if (this.playerHolding(`key:${e.code}`) !== -1) {
+            e.preventDefault();
+            this.release(`key:${e.code}`);
+        }
+    }
+
+    gamepadConnected(gamepad) {
+        this.gamepads[gamepad.index] = gamepad.id;
+        this.padButtons[gamepad.index] = gamepad.buttons.map(button => button.pressed);
+        this.game.accessibility.announce('Controller connected');
+        if (this.onGamepadsChange) this.onGamepadsChange();
+    }
+
+    gamepadDisconnected(gamepad) {
+        delete this.gamepads[gamepad.index];
+        delete this.padButtons[gamepad.index];
+        this.held.flatMap(sources => Array.from(sources))
+            .filter(source => source.startsWith(`pad:${gamepad.index}:`))
+            .forEach(source => this.release(source));
+        this.game.accessibility.announce('Controller disconnected');
+
+        // Losing the controller mid-run shouldn't cost the run
+        if (this.game.gameState === 'playing') {
+            this.game.pause();
+        }
+        if (this.onGamepadsChange) this.onGamepadsChange();
+    }
+
+    /**
+     * Read gamepad buttons (the Gamepad API has no button events); called once per frame
+     */
+    pollGamepads() {
+        if (!this.gamepadsEnabled || !navigator.getGamepads) return;
+
+        const pads = navigator.getGamepads();
+        for (const gamepad of pads) {
+            if (!gamepad) continue;
+            if (!(gamepad.index in this.gamepads)) {
+                this.gamepadConnected(gamepad); // Pads connected before the page loaded don't always fire the event
+            }
+
+            const previous = this.padButtons[gamepad.index] || [];
+            const current = gamepad.buttons.map(button => button.pressed);
+            current.forEach((pressed, button) => {
+                if (pressed === !!previous[button]) return;
+                if (pressed) {
+                    this.padButtonDown(gamepad.index, button);
+                } else {
+                    this.release(`pad:${gamepad.index}:${button}`);
+                }
+            });
+            this.padButtons[gamepad.index] = current;
+        }
+    }
+
+    padButtonDown(padIndex, button) {
+        if (this.onNextButton) {
+            const callback = this.onNextButton;
+            this.onNextButton = null;
+            callback(button);
+            return;
+        }
+
+        // In a race the second gamepad plays player 2
+        const action = this.actionFor('buttons', button);
+        const race = !!this.game.race;
+        if (action === 'jump') {
+            this.press(`pad:${padIndex}:${button}`, race && padIndex === 1 ? 1 : 0);
+        } else if (action === 'jump2' && race) {
+            this.press(`pad:${padIndex}:${button}`, 1);
+        } else if (action === 'pause') {
+            this.game.togglePause();
+        }
+    }
+
+    static keyLabel(code) {
+        const names = { Space: 'Space', ArrowUp: 'Up arrow', ArrowDown: 'Down arrow', ArrowLeft: 'Left arrow', ArrowRight: 'Right arrow', Escape: 'Esc' };
+        if (names[code]) return names[code];
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^Digit\d$/.test(code)) return code.slice(5);
+        return code;
+    }
+
+    static buttonLabel(button) {
+        return GAMEPAD_BUTTON_NAMES[button] || `Button ${button}`;
+    }
+}
+
+/**
+ * Controls settings overlay: shows each action's keys and gamepad buttons,
+ * and adds/removes bindings
+ */
+class ControlsScreen {
+    constructor(root, input) {
+        this.root = root;
+        this.input = input;
+        this.list = root.querySelector('#controlsBindings');
+        this.padStatus = root.querySelector('#controlsGamepads');
+        this.status = root.querySelector('#controlsStatus');
+        this.listening = null; // { action, device } while waiting for a key or button
+
+        root.querySelectorAll('[data-controls-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (button.dataset.controlsAction === 'close') {
+                    this.close();
+                } else if (button.dataset.controlsAction === 'reset') {
+                    this.input.resetBindings();
+                    this.render();
+                }
+                button.blur();
+            });
+        });
+
+        // Keys belong to the overlay while it is open; the next key is bound while listening
+        window.addEventListener('keydown', (e) => {
+            if (!this.isOpen) return;
+            e.stopPropagation();
+            if (this.listening && this.listening.device === 'keys') {
+                e.preventDefault();
+                this.input.bind(this.listening.action, 'keys', e.code);
+                this.stopListening();
+            } else if (e.key === 'Escape') {
+                this.close();
+            }
+        }, true);
+        window.addEventListener('keyup', (e) => {
+            if (this.isOpen) e.stopPropagation();
+        }, true);
+
+        this.input.onGamepadsChange = () => {
+            if (this.isOpen) this.render();
+        };
+    }
+
+    get isOpen() {
+        return this.root.style.display === 'flex';
+    }
+
+    show() {
+        this.root.style.display = 'flex';
+        this.render();
+    }
+
+    close() {
+        this.stopListening();
+        this.root.style.display = 'none';
+    }
+
+    listen(action, device) {
+        this.listening = { action: action, device: device };
+        const name = INPUT_ACTION_NAMES[action].toLowerCase();
+        this.setStatus(device === 'keys'
+            ? `Press a key for ${name}...`
+            : `Press a gamepad button for ${name}...`);
+        if (device === 'buttons') {
+            this.input.onNextButton = (button) => {
+                this.input.bind(action, 'buttons', button);
+                this.stopListening();
+            };
+        }
+    }
+
+    stopListening() {
+        this.listening = null;
+        this.input.onNextButton = null;
+        this.setStatus('');
+        this.render();
+    }
+
+    setStatus(text) {
+        if (this.status) this.status.textContent = text;
+    }
+
+    render() {
+        if (this.list) {
+            this.list.innerHTML = '';
+            INPUT_ACTIONS.forEach(action => this.list.appendChild(this.renderAction(action)));
+        }
+        if (this.padStatus) {
+            const names = Object.values(this.input.gamepads);
+            this.padStatus.textContent = names.length
+                ? `Gamepad connected: ${names.join(', ')}`
+                : 'No gamepad connected - press a button on your controller to connect it';
+        }
+    }
+
+    renderAction(action) {
+        const row = document.createElement('div');
+        row.className = 'controls-row';
+
+        const name = document.createElement('span');
+        name.className = 'controls-action';
+        name.textContent = INPUT_ACTION_NAMES[action];
+        row.appendChild(name);
+
+        const bindings = this.input.bindings[action];
+        bindings.keys.forEach(code => {
+            row.appendChild(this.createChip(InputManager.keyLabel(code), () => this.input.unbind(action, 'keys', code)));
+        });
+        bindings.buttons.forEach(button => {
+            row.appendChild(this.createChip(`Pad ${InputManager.buttonLabel(button)}`, () => this.input.unbind(action, 'buttons', button)));
+        });
+        if (action !== 'pause') {
+            const fixed = document.createElement('span');
+            fixed.className = 'controls-chip fixed';
+            fixed.textContent = action === 'jump' ? 'Click / Tap' : 'Right half in races';
+            row.appendChild(fixed);
+        }
+
+        row.appendChild(this.createButton('+ Key', () => this.listen(action, 'keys')));
+        row.appendChild(this.createButton('+ Button', () => this.listen(action, 'buttons')));
+        return row;
+    }
+
+    createChip(label, remove) {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'controls-chip';
+        chip.textContent = `${label} ×`;
+        chip.title = 'Remove';
+        chip.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            remove();
+            this.render();
+        });
+        return chip;
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'editor-btn';
+        button.textContent = label;
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            onClick();
+            button.blur();
+        });
+        return button;
+    }
+}
+
+// Wire the controls screen to the game's input once the game is ready
+function setupControlsScreen(input) {
+    const root = document.getElementById('controlsScreen');
+    if (!root) return;
+
+    const screen = new ControlsScreen(root, input);
+    window.controlsScreen = screen;
+
+    document.querySelectorAll('[data-controls-open]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            screen.show();
+            button.blur();
+        });
+    });
+}
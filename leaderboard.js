@@ -0,0 +1,460 @@
+/**
+ * Local Leaderboard
+ * Keeps the top runs for every level and mode in localStorage, drives the
+ * leaderboard screen, and exports/imports boards as JSON so scores from
+ * different machines can be merged.
+ *
+ * A board is keyed by `<levelId>:<mode>` (mode is 'normal' or 'endless') and
+ * stores its own level name and attempt counter, so an exported file makes
+ * sense on a machine that doesn't have the level. Runs on any difficulty but
+ * Normal get their own boards, with the preset after a slash in the mode
+ * (e.g. 'normal/easy' or 'endless/custom', see difficulty.js).
+ */
+
+const LEADERBOARD_STORAGE_KEY = 'geometryDashLeaderboard';
+const LEADERBOARD_FORMAT = 'cubic-leaderboard';
+const LEADERBOARD_VERSION = 1;
+const LEADERBOARD_SIZE = 10; // Entries kept per board
+const PLAYER_NAME_STORAGE_KEY = 'geometryDashPlayerName';
+
+// Single-value high scores from before the leaderboard, moved into it on first load
+const LEGACY_HIGH_SCORES = [
+    { key: 'geometryDashHighScore', levelId: 'classic', mode: 'normal' },
+    { key: 'geometryDashEndlessHighScore', levelId: 'endless', mode: 'endless', levelName: 'Endless' }
+];
+
+const Leaderboard = {
+    boardKey(levelId, mode) {
+        return `${levelId}:${mode}`;
+    },
+
+    loadAll() {
+        let data;
+        try {
+            const stored = localStorage.getItem(LEADERBOARD_STORAGE_KEY);
+            data = stored ? JSON.parse(stored) : null;
+        } catch (e) {
+            data = null;
+        }
+        if (!data || data.version !== LEADERBOARD_VERSION || !data.boards) {
+            data = { version: LEADERBOARD_VERSION, boards: {} };
+        }
+
+        if (this.migrateLegacyScores(data)) {
+            this.saveAll(data);
+        }
+        return data;
+    },
+
+    saveAll(data) {
+        try {
+            localStorage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(data));
+            return true;
+        } catch (e) {
+            console.error('Failed to save leaderboard:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Turn old single-value high scores into leaderboard entries (and remove the old keys)
+     * Returns true if anything was migrated
+     */
+    migrateLegacyScores(data) {
+        let migrated = false;
+
+        LEGACY_HIGH_SCORES.forEach(legacy => {
+            let distance;
+            try {
+                distance = parseInt(localStorage.getItem(legacy.key), 10);
+            } catch (e) {
+                return;
+            }
+            if (!(distance > 0)) return;
+
+            const level = typeof BUILT_IN_LEVELS !== 'undefined' ? BUILT_IN_LEVELS[legacy.levelId] : null;
+            const board = this.getBoard(data, legacy.levelId, legacy.mode, legacy.levelName || (level && level.name));
+            const percent = level && legacy.mode === 'normal'
+                ? Math.min(100, Math.floor(distance * 10 / level.width * 100))
+                : null;
+            this.insert(board, {
+                name: this.getPlayerName(),
+                distance: distance,
+                percent: percent,
+                date: new Date().toISOString(),
+                attempt: null, // Not tracked before the leaderboard
+                finished: percent === 100
+            });
+
+            try {
+                localStorage.removeItem(legacy.key);
+            } catch (e) {
+                // Keeping the old key only means it is migrated again (and deduplicated) next time
+            }
+            migrated = true;
+        });
+
+        return migrated;
+    },
+
+    /**
+     * The board for a level and mode, created if it doesn't exist yet
+     */
+    getBoard(data, levelId, mode, levelName) {
+        const key = this.boardKey(levelId, mode);
+        if (!data.boards[key]) {
+            data.boards[key] = { levelId: levelId, mode: mode, levelName: levelName || levelId, attempts: 0, entries: [] };
+        }
+        if (levelName) {
+            data.boards[key].levelName = levelName;
+        }
+        return data.boards[key];
+    },
+
+    getEntries(levelId, mode) {
+        const board = this.loadAll().boards[this.boardKey(levelId, mode)];
+        return board ? board.entries : [];
+    },
+
+    getBest(levelId, mode) {
+        return this.getEntries(levelId, mode)[0] || null;
+    },
+
+    /**
+     * Count a new attempt on a board and return its number
+     */
+    startAttempt(level, mode) {
+        const data = this.loadAll();
+        const board = this.getBoard(data, level.id, mode, level.name);
+        board.attempts++;
+        this.saveAll(data);
+        return board.attempts;
+    },
+
+    /**
+     * Add a finished run; returns its rank (0 = new best) or -1 if it didn't make the board
+     */
+    submit(level, mode, entry) {
+        const data = this.loadAll();
+        const board = this.getBoard(data, level.id, mode, level.name);
+        const rank = this.insert(board, Object.assign({ name: this.getPlayerName() }, entry));
+        if (rank >= 0 && !this.saveAll(data)) return -1;
+        return rank;
+    },
+
+    /**
+     * Put an entry into a board's sorted list, keeping the top LEADERBOARD_SIZE
+     * Returns the entry's rank, or -1 if it didn't make the cut or is already there
+     */
+    insert(board, entry) {
+        if (board.entries.some(existing => this.sameEntry(existing, entry))) return -1;
+
+        board.entries.push(entry);
+        board.entries.sort((a, b) => this.compare(a, b));
+        board.entries.length = Math.min(board.entries.length, LEADERBOARD_SIZE);
+        return board.entries.indexOf(entry);
+    },
+
+    /**
+     * Finished runs first, then longer runs, then older runs (the first to set a score keeps it)
+     */
+    compare(a, b) {
+        if (a.finished !== b.finished) return a.finished ? -1 : 1;
+        if (a.distance !== b.distance) return b.distance - a.distance;
+        return String(a.date).localeCompare(String(b.date));
+    },
+
+    sameEntry(a, b) {
+        return a.name === b.name && a.distance === b.distance && a.attempt === b.attempt &&
+            a.finished === b.finished && (a.date === b.date || a.attempt === null);
+    },
+
+    getPlayerName() {
+        try {
+            return localStorage.getItem(PLAYER_NAME_STORAGE_KEY) || 'Player';
+        } catch (e) {
+            return 'Player';
+        }
+    },
+
+    setPlayerName(name) {
+        const trimmed = String(name).trim().slice(0, 20);
+        try {
+            if (trimmed) {
+                localStorage.setItem(PLAYER_NAME_STORAGE_KEY, trimmed);
+            } else {
+                localStorage.removeItem(PLAYER_NAME_STORAGE_KEY);
+            }
+        } catch (e) {
+            console.error('Failed to save player name:', e);
+        }
+    },
+
+    /**
+     * Everything on the leaderboard as an exportable object
+     */
+    exportData() {
+        return {
+            format: LEADERBOARD_FORMAT,
+            version: LEADERBOARD_VERSION,
+            exportedAt: new Date().toISOString(),
+            boards: this.loadAll().boards
+        };
+    },
+
+    /**
+     * Check an exported leaderboard loaded from a file
+     */
+    validate(file) {
+        if (!file || typeof file !== 'object') throw new Error('Leaderboard file must contain an object');
+        if (file.format !== LEADERBOARD_FORMAT) throw new Error('Not a leaderboard export');
+        if (file.version !== LEADERBOARD_VERSION) throw new Error(`Unsupported leaderboard version ${file.version}`);
+        if (!file.boards || typeof file.boards !== 'object') throw new Error('Leaderboard file has no boards');
+
+        Object.keys(file.boards).forEach(key => {
+            const board = file.boards[key];
+            if (!board || typeof board.levelId !== 'string' || typeof board.mode !== 'string') {
+                throw new Error(`Board "${key}" is missing its level or mode`);
+            }
+            if (!Array.isArray(board.entries) || board.entries.some(entry =>
+                !entry || typeof entry.name !== 'string' || typeof entry.distance !== 'number'
+            )) {
+                throw new Error(`Board "${key}" has invalid entries`);
+            }
+        });
+        return file;
+    },
+
+    /**
+     * Merge an exported leaderboard into this one; returns the number of entries added
+     */
+    importData(file) {
+        this.validate(file);
+        const data = this.loadAll();
+        let added = 0;
+
+        Object.keys(file.boards).forEach(key => {
+            const source = file.boards[key];
+            const board = this.getBoard(data, source.levelId, source.mode, source.levelName);
+            board.attempts = Math.max(board.attempts, source.attempts || 0);
+            source.entries.forEach(entry => {
+                const copy = {
+                    name: entry.name.slice(0, 20),
+                    distance: entry.distance,
+                    percent: typeof entry.percent === 'number' ? entry.percent : null,
+                    date: typeof entry.date === 'string' ? entry.date : null,
+                    attempt: typeof entry.attempt === 'number' ? entry.attempt : null,
+                    finished: !!entry.finished,
+                    difficulty: typeof entry.difficulty === 'string' ? entry.difficulty : 'normal'
+                };
+                if (this.insert(board, copy) >= 0) added++;
+            });
+        });
+
+        if (!this.saveAll(data)) throw new Error('Could not save the merged leaderboard');
+        return added;
+    }
+};
+
+/**
+ * Leaderboard overlay: board picker, score table, player name and import/export
+ */
+class LeaderboardScreen {
+    constructor(root) {
+        this.root = root;
+        this.boardSelect = root.querySelector('#leaderboardBoard');
+        this.table = root.querySelector('#leaderboardEntries');
+        this.nameInput = root.querySelector('#leaderboardName');
+        this.fileInput = root.querySelector('#leaderboardFile');
+        this.highlight = null; // Entry to highlight (the run just finished)
+
+        this.setupControls();
+    }
+
+    setupControls() {
+        const actions = {
+            close: () => this.close(),
+            export: () => this.download(),
+            import: () => this.fileInput && this.fileInput.click()
+        };
+        this.root.querySelectorAll('[data-leaderboard-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const action = actions[button.dataset.leaderboardAction];
+                if (action) action();
+                button.blur();
+            });
+        });
+
+        if (this.boardSelect) {
+            this.boardSelect.addEventListener('change', () => this.renderEntries());
+        }
+        if (this.nameInput) {
+            this.nameInput.addEventListener('change', () => {
+                Leaderboard.setPlayerName(this.nameInput.value);
+                this.nameInput.value = Leaderboard.getPlayerName();
+            });
+        }
+
+        // Keys belong to the overlay while it is open (so typing a name doesn't start the game behind it)
+        window.addEventListener('keydown', (e) => {
+            if (!this.isOpen) return;
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        }, true);
+        window.addEventListener('keyup', (e) => {
+            if (this.isOpen) e.stopPropagation();
+        }, true);
+
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', () => {
+                const file = this.fileInput.files[0];
+                if (file) this.importFile(file);
+                this.fileInput.value = '';
+            });
+        }
+    }
+
+    /**
+     * Open the overlay showing the board for `levelId`/`mode`
+     */
+    show(levelId, mode) {
+        this.root.style.display = 'flex';
+        if (this.nameInput) {
+            this.nameInput.value = Leaderboard.getPlayerName();
+        }
+        this.renderBoards(Leaderboard.boardKey(levelId, mode));
+    }
+
+    close() {
+        this.root.style.display = 'none';
+    }
+
+    get isOpen() {
+        return this.root.style.display === 'flex';
+    }
+
+    /**
+     * Fill the board picker with every board that has scores (plus the selected one)
+     */
+    renderBoards(selectedKey) {
+        if (!this.boardSelect) return;
+
+        const boards = Leaderboard.loadAll().boards;
+        const keys = Object.keys(boards).filter(key => boards[key].entries.length > 0 || key === selectedKey);
+        if (!keys.includes(selectedKey)) keys.unshift(selectedKey);
+
+        this.boardSelect.innerHTML = '';
+        keys.forEach(key => {
+            const board = boards[key];
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = board
+                ? `${board.levelName}${this.describeMode(board.mode)}`
+                : key.split(':')[0];
+            this.boardSelect.appendChild(option);
+        });
+        this.boardSelect.value = selectedKey;
+        this.renderEntries();
+    }
+
+    /**
+     * Label suffix for a board's mode: '' for normal, ' (endless)', ' (Easy)', ' (endless, Hard)'...
+     */
+    describeMode(mode) {
+        const [base, preset] = mode.split('/');
+        const parts = base === 'normal' ? [] : [base];
+        if (preset) {
+            parts.push(DIFFICULTY_PRESETS[preset] ? DIFFICULTY_PRESETS[preset].name : 'Custom');
+        }
+        return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+    }
+
+    renderEntries() {
+        if (!this.table) return;
+
+        const board = Leaderboard.loadAll().boards[this.boardSelect ? this.boardSelect.value : ''];
+        const entries = board ? board.entries : [];
+        this.table.innerHTML = '';
+
+        if (entries.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 6;
+            cell.textContent = 'No runs yet - go set one!';
+            row.appendChild(cell);
+            this.table.appendChild(row);
+            return;
+        }
+
+        entries.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            if (this.highlight && Leaderboard.sameEntry(entry, this.highlight)) {
+                row.className = 'leaderboard-highlight';
+            }
+            [
+                `${index + 1}`,
+                entry.name,
+                `${entry.distance}m`,
+                entry.finished ? 'Finished' : entry.percent === null ? '-' : `${entry.percent}%`,
+                entry.attempt === null ? '-' : `#${entry.attempt}`,
+                entry.date ? new Date(entry.date).toLocaleDateString() : '-'
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.table.appendChild(row);
+        });
+    }
+
+    download() {
+        const blob = new Blob([JSON.stringify(Leaderboard.exportData(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `leaderboard-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    importFile(file) {
+        file.text()
+            .then(text => Leaderboard.importData(JSON.parse(text)))
+            .then(added => {
+                this.renderBoards(this.boardSelect ? this.boardSelect.value : '');
+                alert(`Merged ${added} new ${added === 1 ? 'score' : 'scores'} into the leaderboard`);
+            })
+            .catch(error => alert(`Can't import leaderboard: ${error.message}`));
+    }
+}
+
+// Wire the leaderboard overlay and its buttons (the game is looked up on click, so load order doesn't matter)
+function setupLeaderboard() {
+    const root = document.getElementById('leaderboardScreen');
+    if (!root) return;
+
+    const screen = new LeaderboardScreen(root);
+    window.leaderboardScreen = screen;
+
+    document.querySelectorAll('[data-leaderboard-open]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const instance = gameInstance || window.gameInstance;
+            if (!instance) return;
+
+            screen.highlight = instance.lastEntry;
+            screen.show(instance.level.id, instance.getRunMode());
+            button.blur();
+        });
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupLeaderboard);
+} else {
+    setupLeaderboard();
+}
@@ -0,0 +1,1049 @@
+/**
+ * Level Editor
+ * In-browser editor for GeometryDashGame levels, drawn with the game's own renderer
+ */
+
+// Placement tools and the object each one creates
+const EDITOR_TOOLS = {
+    block: { list: 'obstacles', width: 30, height: 30 },
+    spike: { list: 'spikes', width: 30, height: 30 },
+    platform: { list: 'platforms', width: 120, height: 15, y: 60 },
+    portal: { list: 'portals', width: 30, height: 90 },
+    pad: { list: 'pads', width: 30, height: 8 },
+    orb: { list: 'orbs', width: 24, height: 24, y: 40 },
+    coin: { list: 'coins', width: 24, height: 24, y: 40 },
+    'secret-coin': { list: 'coins', width: 24, height: 24, y: 40, secret: true }
+};
+
+// Portal kinds offered by the portal tool (fields copied onto the new portal)
+const EDITOR_PORTALS = {
+    'gravity-flipped': { type: 'gravity', gravity: 'flipped' },
+    'gravity-normal': { type: 'gravity', gravity: 'normal' },
+    'speed-0.5': { type: 'speed', speed: 0.5 },
+    'speed-1': { type: 'speed', speed: 1 },
+    'speed-1.5': { type: 'speed', speed: 1.5 },
+    'speed-2': { type: 'speed', speed: 2 },
+    'mode-ship': { type: 'mode', mode: 'ship' },
+    'mode-cube': { type: 'mode', mode: 'cube' }
+};
+
+// Lists in draw order (later lists are drawn on top and hit-tested first)
+const EDITOR_LISTS = ['obstacles', 'spikes', 'platforms', 'pads', 'orbs', 'coins', 'portals'];
+
+// Motion given to an object when it is first set moving: up 60px and, depending on repeat, back
+const EDITOR_DEFAULT_KEYFRAMES = [{ time: 0, x: 0, y: 0 }, { time: 1000, x: 0, y: 60 }];
+const EDITOR_KEYFRAME_GAP = 1000; // Milliseconds after the last keyframe that "+ Keyframe" adds one
+
+const EDITOR_STORAGE_KEY = 'geometryDashEditorLevel';
+const EDITOR_MAX_UNDO = 100;
+
+class LevelEditor {
+    constructor(game, root) {
+        this.game = game;
+        this.root = root;
+        this.canvas = game.canvas;
+        this.timeline = root.querySelector('#editorTimeline');
+        this.status = root.querySelector('#editorStatus');
+
+        // Editor state
+        this.active = false;
+        this.playtesting = false;
+        this.tool = 'select'; // select or a key of EDITOR_TOOLS
+        this.portalKind = 'gravity-flipped'; // Key of EDITOR_PORTALS placed by the portal tool
+        this.snapEnabled = true;
+        this.gridSize = 10;
+        this.definition = null; // Level being edited (ground-relative level format)
+        this.selected = null; // { list, index }
+        this.selectedKeyframe = 0; // Index into the selected object's motion keyframes
+        this.drag = null;
+        this.timelineDragging = false;
+
+        // History of level snapshots (JSON strings)
+        this.undoStack = [];
+        this.redoStack = [];
+
+        game.editor = this;
+        this.setupControls();
+        this.setupCanvasEvents();
+    }
+
+    /**
+     * Enter editor mode, resuming the saved working copy if there is one
+     */
+    open() {
+        if (this.active) return;
+
+        this.game.stopEndless();
+        this.game.stopPractice();
+        this.definition = this.loadWorkingCopy() || this.clone(this.game.levelData);
+        this.selected = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.active = true;
+        this.playtesting = false;
+
+        this.game.hideStartScreen();
+        this.game.hideGameOverScreen();
+        this.root.style.display = 'block';
+        this.root.classList.remove('playtesting');
+
+        this.apply();
+        this.game.cameraX = 0;
+        this.syncInputs();
+        this.setStatus(`Editing "${this.definition.name}"`);
+    }
+
+    /**
+     * Leave editor mode and return to the start screen with the edited level loaded
+     */
+    close() {
+        if (!this.active) return;
+
+        this.saveWorkingCopy();
+        this.active = false;
+        this.playtesting = false;
+        this.root.style.display = 'none';
+        this.canvas.style.cursor = '';
+
+        this.game.gameState = 'start';
+        this.game.cameraX = 0;
+        this.game.setLevel(this.definition);
+        this.game.hideGameOverScreen();
+
+        const startScreen = document.getElementById('startScreen');
+        if (startScreen) startScreen.style.display = '';
+    }
+
+    /**
+     * Push the current definition into the game so it is rendered
+     * Returns false (and keeps the previous level) if the definition is invalid
+     */
+    apply() {
+        const cameraX = this.game.cameraX;
+
+        try {
+            this.game.setLevel(this.definition);
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return false;
+        }
+
+        if (!this.playtesting) {
+            this.game.gameState = 'editing';
+            this.game.cameraX = Math.min(cameraX, this.definition.width);
+        }
+        this.drawTimeline();
+        return true;
+    }
+
+    /**
+     * Wire toolbar buttons and inputs inside the editor root
+     */
+    setupControls() {
+        this.root.querySelectorAll('[data-editor-tool]').forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.editorTool));
+        });
+
+        const actions = {
+            undo: () => this.undo(),
+            redo: () => this.redo(),
+            delete: () => this.deleteSelected(),
+            playtest: () => this.playtest(),
+            stop: () => this.stopPlaytest(),
+            save: () => this.download(),
+            load: () => this.fileInput && this.fileInput.click(),
+            new: () => this.newLevel(),
+            close: () => this.close(),
+            'add-keyframe': () => this.addKeyframe(),
+            'remove-keyframe': () => this.removeKeyframe()
+        };
+        this.root.querySelectorAll('[data-editor-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                const action = actions[button.dataset.editorAction];
+                if (action) action();
+                button.blur(); // Keep Space from re-triggering the button
+            });
+        });
+
+        this.snapInput = this.root.querySelector('#editorSnap');
+        if (this.snapInput) {
+            this.snapInput.addEventListener('change', () => {
+                this.snapEnabled = this.snapInput.checked;
+            });
+        }
+
+        this.portalInput = this.root.querySelector('#editorPortalKind');
+        if (this.portalInput) {
+            this.portalInput.addEventListener('change', () => {
+                this.portalKind = this.portalInput.value;
+                this.setTool('portal');
+            });
+        }
+
+        this.gridInput = this.root.querySelector('#editorGrid');
+        if (this.gridInput) {
+            this.gridInput.addEventListener('change', () => {
+                this.gridSize = parseInt(this.gridInput.value, 10) || 10;
+            });
+        }
+
+        this.nameInput = this.root.querySelector('#editorLevelName');
+        if (this.nameInput) {
+            this.nameInput.addEventListener('change', () => {
+                const name = this.nameInput.value.trim() || 'Untitled Level';
+                this.commit(() => {
+                    this.definition.name = name;
+                    this.definition.id = this.slugify(name);
+                });
+            });
+        }
+
+        this.widthInput = this.root.querySelector('#editorLevelWidth');
+        if (this.widthInput) {
+            this.widthInput.addEventListener('change', () => {
+                const width = Math.max(this.minimumWidth(), parseInt(this.widthInput.value, 10) || 0);
+                this.commit(() => {
+                    this.definition.width = width;
+                });
+                this.widthInput.value = this.definition.width;
+            });
+        }
+
+        this.setupMotionControls();
+
+        this.fileInput = this.root.querySelector('#editorFile');
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', () => {
+                const file = this.fileInput.files[0];
+                if (file) this.importFile(file);
+                this.fileInput.value = '';
+            });
+        }
+
+        if (this.timeline) {
+            const seek = (e) => {
+                const rect = this.timeline.getBoundingClientRect();
+                const fraction = (e.clientX - rect.left) / rect.width;
+                const viewWidth = this.canvas.offsetWidth || 1200;
+                this.scrollTo(fraction * this.definition.width - viewWidth / 2);
+            };
+            this.timeline.addEventListener('mousedown', (e) => {
+                if (!this.active || this.playtesting) return;
+                this.timelineDragging = true;
+                seek(e);
+            });
+            window.addEventListener('mousemove', (e) => {
+                if (this.timelineDragging) seek(e);
+            });
+            window.addEventListener('mouseup', () => {
+                this.timelineDragging = false;
+            });
+        }
+    }
+
+    /**
+     * Motion panel: repeat (or none), easing, trigger and the selected keyframe's time
+     */
+    setupMotionControls() {
+        this.motionPanel = this.root.querySelector('#editorMotion');
+        this.motionRepeatInput = this.root.querySelector('#editorMotionRepeat');
+        this.motionEasingInput = this.root.querySelector('#editorMotionEasing');
+        this.motionTriggerInput = this.root.querySelector('#editorMotionTrigger');
+        this.keyframeTimeInput = this.root.querySelector('#editorKeyframeTime');
+
+        const changeMotion = (input, change) => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                const object = this.getSelectedObject();
+                if (object) this.commit(() => change(object, input.value));
+                this.syncMotionInputs();
+            });
+        };
+
+        changeMotion(this.motionRepeatInput, (object, repeat) => {
+            if (repeat === 'none') {
+                delete object.motion;
+                return;
+            }
+            if (!object.motion) {
+                object.motion = { keyframes: this.clone(EDITOR_DEFAULT_KEYFRAMES), easing: 'linear', repeat: repeat, trigger: null };
+                this.selectedKeyframe = 1;
+            }
+            object.motion.repeat = repeat;
+        });
+        changeMotion(this.motionEasingInput, (object, easing) => {
+            if (object.motion) object.motion.easing = easing;
+        });
+        changeMotion(this.motionTriggerInput, (object, value) => {
+            if (object.motion) object.motion.trigger = value === '' ? null : Math.max(0, parseInt(value, 10) || 0);
+        });
+        changeMotion(this.keyframeTimeInput, (object, value) => {
+            const keyframe = object.motion && object.motion.keyframes[this.selectedKeyframe];
+            if (keyframe) keyframe.time = Math.max(0, parseInt(value, 10) || 0);
+        });
+    }
+
+    /**
+     * Mouse and keyboard editing on the game canvas
+     */
+    setupCanvasEvents() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (!this.isEditing()) return;
+            this.handlePointerDown(this.getPointer(e));
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (!this.isEditing()) return;
+            const pointer = this.getPointer(e);
+            if (this.drag) {
+                this.handleDrag(pointer);
+            } else {
+                this.updateCursor(pointer);
+            }
+        });
+
+        window.addEventListener('mouseup', () => {
+            if (this.drag) {
+                this.drag = null;
+                this.saveWorkingCopy();
+            }
+        });
+
+        this.canvas.addEventListener('wheel', (e) => {
+            if (!this.isEditing()) return;
+            e.preventDefault();
+            this.scrollTo(this.game.cameraX + (Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY));
+        }, { passive: false });
+
+        window.addEventListener('keydown', (e) => {
+            if (!this.active) return;
+
+            const tag = e.target && e.target.tagName;
+            if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+            if (this.playtesting) {
+                if (e.key === 'Escape') this.stopPlaytest();
+                return;
+            }
+
+            const modifier = e.ctrlKey || e.metaKey;
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                this.deleteSelected();
+            } else if (modifier && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            } else if (modifier && e.key.toLowerCase() === 'y') {
+                e.preventDefault();
+                this.redo();
+            } else if (e.key === 'Escape') {
+                this.select(null);
+            } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                const step = (this.canvas.offsetWidth || 1200) / 4;
+                this.scrollTo(this.game.cameraX + (e.key === 'ArrowLeft' ? -step : step));
+            }
+        });
+    }
+
+    isEditing() {
+        return this.active && !this.playtesting;
+    }
+
+    /**
+     * Select an object (or nothing, with null) and show its motion in the motion panel
+     */
+    select(selection, keyframe = 0) {
+        this.selected = selection;
+        this.selectedKeyframe = keyframe;
+        this.syncMotionInputs();
+    }
+
+    getSelectedObject() {
+        return this.selected ? this.definition[this.selected.list][this.selected.index] || null : null;
+    }
+
+    /**
+     * Select an existing object, or place a new one with the current tool
+     * (the selected object's keyframe handles come first)
+     */
+    handlePointerDown(pointer) {
+        const keyframe = this.findKeyframeAt(pointer);
+        if (keyframe !== null) {
+            this.select(this.selected, keyframe);
+            this.drag = {
+                mode: 'keyframe',
+                snapshot: JSON.stringify(this.definition),
+                changed: false
+            };
+            return;
+        }
+
+        const hit = this.findObjectAt(pointer);
+
+        if (hit) {
+            const object = this.definition[hit.list][hit.index];
+            const world = this.toWorld(pointer);
+            this.select(hit);
+            this.drag = {
+                mode: this.isOnResizeHandle(object, pointer) ? 'resize' : 'move',
+                snapshot: JSON.stringify(this.definition),
+                offsetX: world.x - object.x,
+                offsetY: world.y - object.y,
+                changed: false
+            };
+            return;
+        }
+
+        const tool = EDITOR_TOOLS[this.tool];
+        if (!tool) {
+            this.select(null);
+            return;
+        }
+
+        const world = this.toWorld(pointer);
+        const object = {
+            x: this.clamp(this.snap(world.x - tool.width / 2), 0, this.definition.width - tool.width),
+            y: tool.y !== undefined ? Math.max(0, this.snap(world.y - tool.height / 2)) : 0,
+            width: tool.width,
+            height: tool.height
+        };
+        if (tool.list === 'portals') {
+            Object.assign(object, EDITOR_PORTALS[this.portalKind]);
+        }
+        if (tool.secret) {
+            object.secret = true;
+        }
+
+        this.pushUndo();
+        this.definition[tool.list].push(object);
+        this.select({ list: tool.list, index: this.definition[tool.list].length - 1 });
+        this.apply();
+        this.saveWorkingCopy();
+
+        this.drag = {
+            mode: 'move',
+            snapshot: null, // Placement already recorded an undo step
+            offsetX: world.x - object.x,
+            offsetY: world.y - object.y,
+            changed: true
+        };
+    }
+
+    /**
+     * Move or resize the selected object, or move one of its keyframes, while the
+     * mouse is held (moving objects are kept inside the level along their whole path)
+     */
+    handleDrag(pointer) {
+        if (!this.selected) return;
+
+        const object = this.definition[this.selected.list][this.selected.index];
+        const world = this.toWorld(pointer);
+        const path = this.getPathExtent(object);
+        const state = () => JSON.stringify([object.x, object.y, object.width, object.height, object.motion]);
+        const before = state();
+
+        if (this.drag.mode === 'keyframe') {
+            const keyframe = object.motion.keyframes[this.selectedKeyframe];
+            keyframe.x = this.clamp(this.snap(world.x - object.width / 2) - object.x, -object.x, this.definition.width - object.width - object.x);
+            keyframe.y = Math.max(-object.y, this.snap(world.y - object.height / 2) - object.y);
+        } else if (this.drag.mode === 'resize') {
+            object.width = this.clamp(this.snap(world.x - object.x), 5, this.definition.width - object.x - path.maxX);
+            object.height = Math.max(5, this.snap(world.y - object.y));
+        } else {
+            object.x = this.clamp(this.snap(world.x - this.drag.offsetX), -path.minX, this.definition.width - object.width - path.maxX);
+            object.y = Math.max(-path.minY, this.snap(world.y - this.drag.offsetY));
+        }
+
+        if (before === state()) return;
+
+        if (!this.drag.changed) {
+            this.pushUndo(this.drag.snapshot);
+            this.drag.changed = true;
+        }
+        this.apply();
+    }
+
+    updateCursor(pointer) {
+        const hit = this.findObjectAt(pointer);
+        if (this.findKeyframeAt(pointer) !== null) {
+            this.canvas.style.cursor = 'move';
+        } else if (hit) {
+            const object = this.definition[hit.list][hit.index];
+            this.canvas.style.cursor = this.isOnResizeHandle(object, pointer) ? 'nesw-resize' : 'move';
+        } else {
+            this.canvas.style.cursor = EDITOR_TOOLS[this.tool] ? 'crosshair' : 'default';
+        }
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this.root.querySelectorAll('[data-editor-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.editorTool === tool);
+        });
+    }
+
+    deleteSelected() {
+        if (!this.selected) return;
+
+        this.commit(() => {
+            this.definition[this.selected.list].splice(this.selected.index, 1);
+        });
+        this.select(null);
+    }
+
+    /**
+     * Add a keyframe EDITOR_KEYFRAME_GAP after the last one, where the last one is
+     */
+    addKeyframe() {
+        const object = this.getSelectedObject();
+        if (!object || !object.motion) return;
+
+        const keyframes = object.motion.keyframes;
+        const last = keyframes[keyframes.length - 1];
+        this.commit(() => {
+            keyframes.push({ time: last.time + EDITOR_KEYFRAME_GAP, x: last.x, y: last.y });
+        });
+        this.select(this.selected, keyframes.length - 1);
+    }
+
+    removeKeyframe() {
+        const object = this.getSelectedObject();
+        if (!object || !object.motion) return;
+
+        if (object.motion.keyframes.length <= 2) {
+            this.setStatus('A motion needs at least 2 keyframes - choose "Still" to stop the object moving', true);
+            return;
+        }
+        this.commit(() => {
+            object.motion.keyframes.splice(this.selectedKeyframe, 1);
+        });
+        this.select(this.selected, Math.min(this.selectedKeyframe, object.motion.keyframes.length - 1));
+    }
+
+    /**
+     * Apply a change to the definition as one undoable step
+     */
+    commit(change) {
+        const snapshot = JSON.stringify(this.definition);
+        change();
+
+        if (!this.apply()) {
+            this.definition = JSON.parse(snapshot);
+            this.apply();
+            return;
+        }
+
+        this.pushUndo(snapshot);
+        this.saveWorkingCopy();
+        this.syncInputs();
+    }
+
+    /**
+     * Undo / redo history
+     */
+    pushUndo(snapshot = JSON.stringify(this.definition)) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > EDITOR_MAX_UNDO) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+
+        this.redoStack.push(JSON.stringify(this.definition));
+        this.definition = JSON.parse(this.undoStack.pop());
+        this.afterHistoryChange();
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+
+        this.undoStack.push(JSON.stringify(this.definition));
+        this.definition = JSON.parse(this.redoStack.pop());
+        this.afterHistoryChange();
+    }
+
+    afterHistoryChange() {
+        this.select(null);
+        this.drag = null;
+        this.apply();
+        this.saveWorkingCopy();
+        this.syncInputs();
+    }
+
+    /**
+     * Start the real game physics from the current editor camera position
+     */
+    playtest() {
+        if (!this.active || this.playtesting) return;
+
+        this.playtestX = this.game.cameraX;
+        this.playtesting = true;
+        this.drag = null;
+        this.canvas.style.cursor = '';
+        this.root.classList.add('playtesting');
+
+        if (!this.apply()) {
+            this.stopPlaytest();
+            return;
+        }
+
+        this.game.gameState = 'start';
+        this.game.startGame(this.playtestX);
+        this.setStatus('Playtesting - press Esc to return to the editor');
+    }
+
+    stopPlaytest() {
+        if (!this.playtesting) return;
+
+        this.playtesting = false;
+        this.root.classList.remove('playtesting');
+        this.game.hideGameOverScreen();
+        this.game.hidePauseMenu();
+        this.game.countdown = null;
+        this.game.audio.stopMusic();
+        this.game.particles = [];
+        this.game.cameraX = this.playtestX;
+        this.apply();
+        this.setStatus(`Editing "${this.definition.name}"`);
+    }
+
+    newLevel() {
+        this.commit(() => {
+            this.definition = {
+                format: LevelFormat.FORMAT,
+                version: LevelFormat.VERSION,
+                id: 'custom-level',
+                name: 'Custom Level',
+                width: 3000,
+                groundHeight: this.definition.groundHeight,
+                settings: this.clone(this.definition.settings),
+                theme: this.definition.theme,
+                colors: this.clone(this.definition.colors),
+                sections: [],
+                obstacles: [],
+                spikes: [],
+                platforms: [],
+                portals: [],
+                pads: [],
+                orbs: [],
+                coins: []
+            };
+        });
+        this.select(null);
+        this.game.cameraX = 0;
+    }
+
+    /**
+     * Save / load level files
+     */
+    download() {
+        let level;
+        try {
+            level = LevelFormat.parse(this.definition);
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return;
+        }
+
+        const blob = new Blob([LevelFormat.stringify(level)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${level.id}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+
+        this.setStatus(`Saved ${level.id}.json`);
+    }
+
+    importFile(file) {
+        file.text()
+            .then(text => LevelFormat.parse(text))
+            .then(level => {
+                this.commit(() => {
+                    this.definition = level;
+                });
+                this.select(null);
+                this.game.cameraX = 0;
+                this.setStatus(`Loaded "${level.name}"`);
+            })
+            .catch(error => {
+                this.setStatus(error.message, true);
+            });
+    }
+
+    saveWorkingCopy() {
+        try {
+            localStorage.setItem(EDITOR_STORAGE_KEY, JSON.stringify(this.definition));
+        } catch (e) {
+            console.error('Failed to save editor level:', e);
+        }
+    }
+
+    loadWorkingCopy() {
+        try {
+            const stored = localStorage.getItem(EDITOR_STORAGE_KEY);
+            return stored ? LevelFormat.parse(stored) : null;
+        } catch (e) {
+            console.warn('Ignoring saved editor level:', e.message);
+            return null;
+        }
+    }
+
+    /**
+     * Scroll the editor view (clamped to the level)
+     */
+    scrollTo(cameraX) {
+        this.game.cameraX = this.clamp(Math.round(cameraX), 0, this.definition.width);
+        this.drawTimeline();
+    }
+
+    /**
+     * Coordinate helpers
+     */
+    getPointer(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    getGroundY() {
+        return (this.canvas.offsetHeight || 600) - this.definition.groundHeight;
+    }
+
+    // Screen position to level coordinates (x from level start, y above the ground)
+    toWorld(pointer) {
+        return {
+            x: pointer.x + this.game.cameraX,
+            y: this.getGroundY() - pointer.y
+        };
+    }
+
+    // Level object to its rectangle on screen
+    toScreenRect(object) {
+        return {
+            x: object.x - this.game.cameraX,
+            y: this.getGroundY() - object.y - object.height,
+            width: object.width,
+            height: object.height
+        };
+    }
+
+    findObjectAt(pointer) {
+        for (let l = EDITOR_LISTS.length - 1; l >= 0; l--) {
+            const list = EDITOR_LISTS[l];
+            const objects = this.definition[list];
+            for (let i = objects.length - 1; i >= 0; i--) {
+                const rect = this.toScreenRect(objects[i]);
+                if (pointer.x >= rect.x - 2 && pointer.x <= rect.x + rect.width + 2 &&
+                    pointer.y >= rect.y - 2 && pointer.y <= rect.y + rect.height + 2) {
+                    return { list, index: i };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Index of the selected object's keyframe whose handle is under the pointer, or null
+     */
+    findKeyframeAt(pointer) {
+        const object = this.getSelectedObject();
+        if (!object || !object.motion) return null;
+
+        const keyframes = object.motion.keyframes;
+        for (let i = keyframes.length - 1; i >= 0; i--) {
+            const handle = this.toKeyframeHandle(object, keyframes[i]);
+            if (Math.abs(pointer.x - handle.x) <= 7 && Math.abs(pointer.y - handle.y) <= 7) {
+                return i;
+            }
+        }
+        return null;
+    }
+
+    // Keyframe handles sit at the centre of the object as it is at that keyframe
+    toKeyframeHandle(object, keyframe) {
+        const rect = this.toScreenRect({ x: object.x + keyframe.x, y: object.y + keyframe.y, width: object.width, height: object.height });
+        return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+    }
+
+    // Furthest the object's keyframes take it from its own position in each direction
+    getPathExtent(object) {
+        const extent = { minX: 0, maxX: 0, minY: 0 };
+        if (object.motion) {
+            object.motion.keyframes.forEach(keyframe => {
+                extent.minX = Math.min(extent.minX, keyframe.x);
+                extent.maxX = Math.max(extent.maxX, keyframe.x);
+                extent.minY = Math.min(extent.minY, keyframe.y);
+            });
+        }
+        return extent;
+    }
+
+    // Resize handle sits on the top-right corner, opposite the object's ground-relative origin
+    isOnResizeHandle(object, pointer) {
+        const rect = this.toScreenRect(object);
+        return Math.abs(pointer.x - (rect.x + rect.width)) <= 6 && Math.abs(pointer.y - rect.y) <= 6;
+    }
+
+    snap(value) {
+        if (!this.snapEnabled) return Math.round(value);
+        return Math.round(value / this.gridSize) * this.gridSize;
+    }
+
+    clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    minimumWidth() {
+        let width = 100;
+        EDITOR_LISTS.forEach(list => {
+            this.definition[list].forEach(object => {
+                width = Math.max(width, object.x + object.width + this.getPathExtent(object).maxX);
+            });
+        });
+        return width;
+    }
+
+    slugify(name) {
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'custom-level';
+    }
+
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    syncInputs() {
+        if (this.nameInput) this.nameInput.value = this.definition.name;
+        if (this.widthInput) this.widthInput.value = this.definition.width;
+        if (this.snapInput) this.snapInput.checked = this.snapEnabled;
+        if (this.gridInput) this.gridInput.value = String(this.gridSize);
+        this.syncMotionInputs();
+    }
+
+    /**
+     * Show the motion panel for a selected movable object, filled in from its motion
+     */
+    syncMotionInputs() {
+        if (!this.motionPanel) return;
+
+        const object = this.getSelectedObject();
+        const movable = !!object && LevelFormat.MOVABLE_LISTS.includes(this.selected.list);
+        this.motionPanel.classList.toggle('visible', movable);
+        if (!movable) return;
+
+        const motion = object.motion;
+        const keyframe = motion && motion.keyframes[this.selectedKeyframe];
+        this.motionRepeatInput.value = motion ? motion.repeat : 'none';
+        this.motionEasingInput.value = motion ? motion.easing || 'linear' : 'linear';
+        this.motionTriggerInput.value = motion && motion.trigger !== null && motion.trigger !== undefined ? motion.trigger : '';
+        this.keyframeTimeInput.value = keyframe ? keyframe.time : '';
+        [this.motionEasingInput, this.motionTriggerInput, this.keyframeTimeInput].forEach(input => {
+            input.disabled = !motion;
+        });
+        this.root.querySelectorAll('[data-editor-action$="-keyframe"]').forEach(button => {
+            button.disabled = !motion;
+        });
+    }
+
+    setStatus(message, isError = false) {
+        if (!this.status) return;
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Draw grid, section markers and selection on top of the game's render
+     */
+    drawOverlay(ctx) {
+        const logicalWidth = this.canvas.offsetWidth || 1200;
+        const groundY = this.getGroundY();
+        const cameraX = this.game.cameraX;
+
+        // Grid (every cell when zoomed-in enough to read, otherwise every fifth)
+        const step = this.gridSize >= 20 ? this.gridSize : this.gridSize * 5;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = Math.ceil(cameraX / step) * step; x - cameraX < logicalWidth; x += step) {
+            ctx.moveTo(x - cameraX + 0.5, 0);
+            ctx.lineTo(x - cameraX + 0.5, groundY);
+        }
+        for (let y = groundY; y > 0; y -= step) {
+            ctx.moveTo(0, y + 0.5);
+            ctx.lineTo(logicalWidth, y + 0.5);
+        }
+        ctx.stroke();
+
+        // Section markers
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'left';
+        for (const section of this.definition.sections) {
+            const screenX = section.x - cameraX;
+            if (screenX < -200 || screenX > logicalWidth) continue;
+            ctx.strokeStyle = 'rgba(125, 211, 252, 0.5)';
+            ctx.beginPath();
+            ctx.moveTo(screenX, 0);
+            ctx.lineTo(screenX, groundY);
+            ctx.stroke();
+            ctx.fillStyle = '#7dd3fc';
+            ctx.fillText(section.name, screenX + 4, 100);
+        }
+
+        // Level end
+        const endX = this.definition.width - cameraX;
+        if (endX < logicalWidth) {
+            ctx.strokeStyle = '#00ff00';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(endX, 0);
+            ctx.lineTo(endX, groundY);
+            ctx.stroke();
+        }
+
+        // Selection outline and resize handle
+        if (this.selected) {
+            const object = this.definition[this.selected.list][this.selected.index];
+            if (object) {
+                const rect = this.toScreenRect(object);
+                ctx.strokeStyle = '#7dd3fc';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([4, 3]);
+                ctx.strokeRect(rect.x - 2, rect.y - 2, rect.width + 4, rect.height + 4);
+                ctx.setLineDash([]);
+                ctx.fillStyle = '#7dd3fc';
+                ctx.fillRect(rect.x + rect.width - 4, rect.y - 4, 8, 8);
+
+                if (object.motion) this.drawPath(ctx, object);
+            }
+        }
+
+        // Editor HUD
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 18px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText(`EDITOR - ${this.definition.name}`, 20, 30);
+        ctx.font = '14px Arial';
+        ctx.fillStyle = '#b0b0b0';
+        ctx.fillText(`x: ${Math.round(cameraX)} / ${this.definition.width}   tool: ${this.tool}`, 20, 52);
+        ctx.fillText('Playtest starts at the cube', this.game.player.x - 20, this.game.player.y - 12);
+    }
+
+    /**
+     * Draw the selected object's path: its outline at each keyframe, joined up,
+     * with numbered handles (the selected keyframe's filled in)
+     */
+    drawPath(ctx, object) {
+        const keyframes = object.motion.keyframes;
+        const handles = keyframes.map(keyframe => this.toKeyframeHandle(object, keyframe));
+
+        ctx.strokeStyle = 'rgba(255, 212, 0, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        handles.forEach((handle, index) => {
+            if (index === 0) {
+                ctx.moveTo(handle.x, handle.y);
+            } else {
+                ctx.lineTo(handle.x, handle.y);
+            }
+        });
+        if (object.motion.repeat === 'loop') ctx.lineTo(handles[0].x, handles[0].y);
+        ctx.stroke();
+
+        ctx.strokeStyle = 'rgba(255, 212, 0, 0.35)';
+        ctx.lineWidth = 1;
+        keyframes.forEach(keyframe => {
+            const rect = this.toScreenRect({ x: object.x + keyframe.x, y: object.y + keyframe.y, width: object.width, height: object.height });
+            ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        });
+        ctx.setLineDash([]);
+
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        handles.forEach((handle, index) => {
+            ctx.fillStyle = index === this.selectedKeyframe ? '#ffd400' : '#1a1a2e';
+            ctx.strokeStyle = '#ffd400';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(handle.x, handle.y, 7, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = index === this.selectedKeyframe ? '#1a1a2e' : '#ffd400';
+            ctx.fillText(String(index + 1), handle.x, handle.y + 0.5);
+        });
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    /**
+     * Draw the whole level in miniature with the visible area highlighted
+     */
+    drawTimeline() {
+        if (!this.timeline || !this.definition) return;
+
+        const width = this.timeline.offsetWidth || 1200;
+        const height = this.timeline.offsetHeight || 40;
+        if (this.timeline.width !== width) this.timeline.width = width;
+        if (this.timeline.height !== height) this.timeline.height = height;
+
+        const ctx = this.timeline.getContext('2d');
+        const scale = width / this.definition.width;
+        const groundLine = height - 6;
+
+        ctx.fillStyle = '#111111';
+        ctx.fillRect(0, 0, width, height);
+
+        EDITOR_LISTS.forEach(list => {
+            ctx.fillStyle = list === 'spikes' ? '#ff6666' : list === 'platforms' ? '#7dd3fc' : list === 'portals' || list === 'pads' ? '#ffd400' : list === 'orbs' ? '#ff66cc' : list === 'coins' ? '#ffc61a' : '#c0c0c0';
+            for (const object of this.definition[list]) {
+                const barHeight = Math.max(2, Math.min(groundLine, (object.y + object.height) / 8));
+                ctx.fillRect(object.x * scale, groundLine - barHeight, Math.max(1, object.width * scale), barHeight);
+            }
+        });
+
+        ctx.fillStyle = '#7dd3fc';
+        for (const section of this.definition.sections) {
+            ctx.fillRect(section.x * scale, 0, 1, height);
+        }
+
+        const viewWidth = this.canvas.offsetWidth || 1200;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(this.game.cameraX * scale + 0.5, 0.5, Math.max(4, viewWidth * scale), height - 1);
+    }
+}
+
+// Initialize the editor once the game is ready
+function setupLevelEditor() {
+    const root = document.getElementById('levelEditor');
+    const instance = gameInstance || window.gameInstance;
+    if (!root || !instance) return;
+
+    const editor = new LevelEditor(instance, root);
+    window.levelEditor = editor;
+
+    const editorButton = document.getElementById('editorButton');
+    if (editorButton) {
+        editorButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            editor.open();
+        });
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupLevelEditor);
+} else {
+    setupLevelEditor();
+}
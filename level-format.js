@@ -0,0 +1,439 @@
+/**
+ * Level Format
+ * Versioned JSON level definitions for GeometryDashGame
+ *
+ * Object positions are ground-relative: `x` is measured in pixels from the
+ * start of the level and `y` is the height of the object's bottom edge above
+ * the ground line. The game converts them to screen coordinates whenever the
+ * canvas is resized, so levels don't depend on the logical canvas height.
+ *
+ * See LEVEL_FORMAT.md for the full format description.
+ *
+ * Theme names and colors are checked against themes.js, so in Node LevelFormat
+ * needs THEMES and Colors as globals (see check-levels.js).
+ */
+
+class LevelFormatError extends Error {
+    constructor(message, errors = []) {
+        super(errors.length ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+        this.name = 'LevelFormatError';
+        this.errors = errors;
+    }
+}
+
+const LevelFormat = {
+    FORMAT: 'cubic-level',
+    VERSION: 1,
+
+    // Object lists whose objects can have a motion (portals fire in x order, so they stay put)
+    MOVABLE_LISTS: ['obstacles', 'spikes', 'platforms', 'pads', 'orbs', 'coins'],
+
+    /**
+     * Field rules for the top-level definition and each object type.
+     * `optional` fields fall back to `default` when missing.
+     */
+    SCHEMA: {
+        level: {
+            format: { type: 'string', optional: true, default: 'cubic-level' },
+            version: { type: 'integer', min: 1 },
+            id: { type: 'string', pattern: /^[a-z0-9][a-z0-9-_]*$/i },
+            name: { type: 'string', optional: true, default: 'Untitled Level' },
+            width: { type: 'number', min: 100 },
+            groundHeight: { type: 'number', min: 0, max: 400, optional: true, default: 50 },
+            height: { type: 'number', min: 100, optional: true, nullable: true, default: null },
+            settings: { type: 'object', optional: true, default: {} },
+            theme: { type: 'theme', optional: true, default: 'site' },
+            colors: { type: 'object', optional: true, default: {} },
+            sections: { type: 'array', optional: true, default: [] },
+            obstacles: { type: 'array', optional: true, default: [] },
+            spikes: { type: 'array', optional: true, default: [] },
+            platforms: { type: 'array', optional: true, default: [] },
+            portals: { type: 'array', optional: true, default: [] },
+            pads: { type: 'array', optional: true, default: [] },
+            orbs: { type: 'array', optional: true, default: [] },
+            coins: { type: 'array', optional: true, default: [] },
+            zoomTriggers: { type: 'array', optional: true, default: [] },
+            colorTriggers: { type: 'array', optional: true, default: [] }
+        },
+        settings: {
+            scrollSpeed: { type: 'number', min: 1, max: 20, optional: true, default: 5 },
+            music: { type: 'string', optional: true, nullable: true, default: null },
+            musicVolume: { type: 'number', min: 0, max: 1, optional: true, default: 0.5 }
+        },
+        // Overrides for single theme colors (null uses the theme's, see themes.js)
+        colors: {
+            background: { type: 'color', optional: true, nullable: true, default: null },
+            parallaxFar: { type: 'color', optional: true, nullable: true, default: null },
+            parallaxMid: { type: 'color', optional: true, nullable: true, default: null },
+            parallaxNear: { type: 'color', optional: true, nullable: true, default: null },
+            ground: { type: 'color', optional: true, nullable: true, default: null },
+            groundLine: { type: 'color', optional: true, nullable: true, default: null },
+            obstacle: { type: 'color', optional: true, nullable: true, default: null },
+            spike: { type: 'color', optional: true, nullable: true, default: null },
+            platform: { type: 'color', optional: true, nullable: true, default: null },
+            pad: { type: 'color', optional: true, nullable: true, default: null },
+            orb: { type: 'color', optional: true, nullable: true, default: null },
+            coin: { type: 'color', optional: true, nullable: true, default: null },
+            hud: { type: 'color', optional: true, nullable: true, default: null },
+            hudMuted: { type: 'color', optional: true, nullable: true, default: null },
+            hudAccent: { type: 'color', optional: true, nullable: true, default: null },
+            progress: { type: 'color', optional: true, nullable: true, default: null }
+        },
+        section: {
+            name: { type: 'string' },
+            x: { type: 'number', min: 0 }
+        },
+        obstacle: {
+            x: { type: 'number', min: 0 },
+            y: { type: 'number', min: 0, optional: true, default: 0 },
+            width: { type: 'number', min: 1 },
+            height: { type: 'number', min: 1 },
+            color: { type: 'color', optional: true, nullable: true, default: null },
+            motion: { type: 'object', optional: true, nullable: true, default: null }
+        },
+        spike: {
+            x: { type: 'number', min: 0 },
+            y: { type: 'number', min: 0, optional: true, default: 0 },
+            width: { type: 'number', min: 1, optional: true, default: 30 },
+            height: { type: 'number', min: 1, optional: true, default: 30 },
+            color: { type: 'color', optional: true, nullable: true, default: null },
+            motion: { type: 'object', optional: true, nullable: true, default: null }
+        },
+        platform: {
+            x: { type: 'number', min: 0 },
+            y: { type: 'number', min: 0 },
+            width: { type: 'number', min: 1 },
+            height: { type: 'number', min: 1, optional: true, default: 15 },
+            color: { type: 'color', optional: true, nullable: true, default: null },
+            motion: { type: 'object', optional: true, nullable: true, default: null }
+        },
+        // `strength` scales the normal jump velocity
+        pad: {
+            x: { type: 'number', min: 0 },
+            y: { type: 'number', min: 0, optional: true, default: 0 },
+            width: { type: 'number', min: 1, optional: true, default: 30 },
+            height: { type: 'number', min: 1, optional: true, default: 8 },
+            strength: { type: 'number', min: 0.25, max: 3, optional: true, default: 1.4 },
+            color: { type: 'color', optional: true, nullable: true, default: null },
+            motion: { type: 'object', optional: true, nullable: true, default: null }
+        },
+        orb: {
+            x: { type: 'number', min: 0 },
+            y: { type: 'number', min: 0, optional: true, default: 40 },
+            width: { type: 'number', min: 1, optional: true, default: 24 },
+            height: { type: 'number', min: 1, optional: true, default: 24 },
+            strength: { type: 'number', min: 0.25, max: 3, optional: true, default: 1 },
+            color: { type: 'color', optional: true, nullable: true, default: null },
+            motion: { type: 'object', optional: true, nullable: true, default: null }
+        },
+        // Coins are picked up on touch; secret coins are worth more (see coins.js)
+        coin: {
+            x: { type: 'number', min: 0 },
+            y: { type: 'number', min: 0, optional: true, default: 40 },
+            width: { type: 'number', min: 1, optional: true, default: 24 },
+            height: { type: 'number', min: 1, optional: true, default: 24 },
+            secret: { type: 'boolean', optional: true, default: false },
+            color: { type: 'color', optional: true, nullable: true, default: null },
+            motion: { type: 'object', optional: true, nullable: true, default: null }
+        },
+        // Portals fire when the player passes their x; `type` names the field holding the new value
+        portal: {
+            x: { type: 'number', min: 0 },
+            y: { type: 'number', min: 0, optional: true, default: 0 },
+            width: { type: 'number', min: 1, optional: true, default: 30 },
+            height: { type: 'number', min: 1, optional: true, default: 90 },
+            type: { type: 'string', values: ['gravity', 'speed', 'mode'] },
+            gravity: { type: 'string', values: ['normal', 'flipped'], optional: true, nullable: true, default: null },
+            speed: { type: 'number', min: 0.5, max: 2, optional: true, nullable: true, default: null },
+            mode: { type: 'string', values: ['cube', 'ship'], optional: true, nullable: true, default: null }
+        },
+        // Objects with a motion follow `keyframes` (offsets from their own position, y upwards)
+        // once, in a loop or back and forth, from the start of the level or once the player
+        // reaches `trigger` (see Simulation.motionOffset)
+        motion: {
+            keyframes: { type: 'array' },
+            easing: { type: 'string', values: ['linear', 'sine'], optional: true, default: 'linear' },
+            repeat: { type: 'string', values: ['once', 'loop', 'pingpong'], optional: true, default: 'once' },
+            trigger: { type: 'number', min: 0, optional: true, nullable: true, default: null }
+        },
+        keyframe: {
+            time: { type: 'number', min: 0 }, // Milliseconds after the motion starts
+            x: { type: 'number', optional: true, default: 0 },
+            y: { type: 'number', optional: true, default: 0 }
+        },
+        // Camera zoom eases to `zoom` over `duration` milliseconds once the player passes `x`
+        zoomTrigger: {
+            x: { type: 'number', min: 0 },
+            zoom: { type: 'number', min: 0.5, max: 2 },
+            duration: { type: 'number', min: 0, max: 5000, optional: true, default: 500 }
+        },
+        // Colors fade to `theme` (null: the level's own) plus `colors` over `duration` milliseconds
+        colorTrigger: {
+            x: { type: 'number', min: 0 },
+            theme: { type: 'theme', optional: true, nullable: true, default: null },
+            colors: { type: 'object', optional: true, default: {} },
+            duration: { type: 'number', min: 0, max: 5000, optional: true, default: 500 }
+        }
+    },
+
+    /**
+     * Validate a level definition and return a normalized copy with defaults applied.
+     * Throws a LevelFormatError listing every problem found.
+     */
+    parse(data) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                throw new LevelFormatError(`Level is not valid JSON (${e.message})`);
+            }
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new LevelFormatError('Level definition must be an object');
+        }
+
+        if (data.format !== undefined && data.format !== this.FORMAT) {
+            throw new LevelFormatError(`Unknown level format "${data.format}", expected "${this.FORMAT}"`);
+        }
+
+        if (typeof data.version === 'number' && data.version > this.VERSION) {
+            throw new LevelFormatError(
+                `Level version ${data.version} is newer than this game supports (${this.VERSION})`
+            );
+        }
+
+        const errors = [];
+        const level = this.validateFields(data, this.SCHEMA.level, '', errors);
+        level.format = this.FORMAT;
+        level.settings = this.validateFields(level.settings || {}, this.SCHEMA.settings, 'settings', errors);
+        level.colors = this.validateFields(level.colors || {}, this.SCHEMA.colors, 'colors', errors);
+        level.sections = this.validateList(level.sections, 'section', 'sections', errors);
+        level.obstacles = this.validateList(level.obstacles, 'obstacle', 'obstacles', errors);
+        level.spikes = this.validateList(level.spikes, 'spike', 'spikes', errors);
+        level.platforms = this.validateList(level.platforms, 'platform', 'platforms', errors);
+        level.portals = this.validateList(level.portals, 'portal', 'portals', errors);
+        level.pads = this.validateList(level.pads, 'pad', 'pads', errors);
+        level.orbs = this.validateList(level.orbs, 'orb', 'orbs', errors);
+        level.coins = this.validateList(level.coins, 'coin', 'coins', errors);
+        level.zoomTriggers = this.validateList(level.zoomTriggers, 'zoomTrigger', 'zoomTriggers', errors);
+        level.colorTriggers = this.validateList(level.colorTriggers, 'colorTrigger', 'colorTriggers', errors);
+        level.colorTriggers.forEach((trigger, index) => {
+            trigger.colors = this.validateFields(trigger.colors || {}, this.SCHEMA.colors, `colorTriggers[${index}].colors`, errors);
+        });
+        this.MOVABLE_LISTS.forEach(listName => {
+            level[listName].forEach((object, index) => {
+                if (!object.motion) return;
+                const path = `${listName}[${index}].motion`;
+                object.motion = this.validateFields(object.motion, this.SCHEMA.motion, path, errors);
+                object.motion.keyframes = this.validateList(object.motion.keyframes, 'keyframe', `${path}.keyframes`, errors);
+            });
+        });
+
+        if (errors.length === 0) {
+            this.checkBounds(level, errors);
+        }
+
+        if (errors.length > 0) {
+            throw new LevelFormatError(`Invalid level "${data.id || 'unknown'}"`, errors);
+        }
+
+        return level;
+    },
+
+    /**
+     * Check that every object sits inside the level
+     */
+    checkBounds(level, errors) {
+        ['obstacles', 'spikes', 'platforms', 'portals', 'pads', 'orbs', 'coins'].forEach(listName => {
+            level[listName].forEach((object, index) => {
+                if (object.x + object.width > level.width) {
+                    errors.push(`${listName}[${index}]: extends past level width (${object.x + object.width} > ${level.width})`);
+                }
+                if (level.height !== null && object.y + object.height > level.height) {
+                    errors.push(`${listName}[${index}]: extends past level height (${object.y + object.height} > ${level.height})`);
+                }
+            });
+        });
+
+        ['zoomTriggers', 'colorTriggers'].forEach(listName => {
+            level[listName].forEach((trigger, index) => {
+                if (trigger.x > level.width) {
+                    errors.push(`${listName}[${index}]: is past level width (${trigger.x} > ${level.width})`);
+                }
+            });
+        });
+
+        this.MOVABLE_LISTS.forEach(listName => {
+            level[listName].forEach((object, index) => {
+                if (object.motion) this.checkMotion(level, object, `${listName}[${index}]`, errors);
+            });
+        });
+
+        level.portals.forEach((portal, index) => {
+            if (portal[portal.type] === null) {
+                errors.push(`portals[${index}]: a ${portal.type} portal needs a "${portal.type}" value`);
+            }
+        });
+
+        level.sections.sort((a, b) => a.x - b.x);
+        level.portals.sort((a, b) => a.x - b.x);
+        level.zoomTriggers.sort((a, b) => a.x - b.x);
+        level.colorTriggers.sort((a, b) => a.x - b.x);
+    },
+
+    /**
+     * Check a moving object's keyframes: at least two, in time order, and the
+     * whole path inside the level
+     */
+    checkMotion(level, object, path, errors) {
+        const motion = object.motion;
+        const keyframes = motion.keyframes;
+        if (keyframes.length < 2) {
+            errors.push(`${path}.motion.keyframes: needs at least 2 keyframes, got ${keyframes.length}`);
+            return;
+        }
+        keyframes.forEach((keyframe, index) => {
+            if (index > 0 && keyframe.time <= keyframes[index - 1].time) {
+                errors.push(`${path}.motion.keyframes[${index}]: time must be later than the keyframe before (${keyframe.time} <= ${keyframes[index - 1].time})`);
+            }
+            const x = object.x + keyframe.x;
+            const y = object.y + keyframe.y;
+            if (x < 0 || x + object.width > level.width) {
+                errors.push(`${path}.motion.keyframes[${index}]: moves the object outside the level (x ${x})`);
+            }
+            if (y < 0 || (level.height !== null && y + object.height > level.height)) {
+                errors.push(`${path}.motion.keyframes[${index}]: moves the object below the ground or past level height (y ${y})`);
+            }
+        });
+        if (motion.trigger !== null && motion.trigger > level.width) {
+            errors.push(`${path}.motion.trigger: is past level width (${motion.trigger} > ${level.width})`);
+        }
+    },
+
+    /**
+     * Validate every entry of an object list against one schema
+     */
+    validateList(list, schemaName, path, errors) {
+        if (!Array.isArray(list)) return [];
+
+        return list.map((entry, index) => {
+            const entryPath = `${path}[${index}]`;
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                errors.push(`${entryPath}: expected an object`);
+                return null;
+            }
+            return this.validateFields(entry, this.SCHEMA[schemaName], entryPath, errors);
+        }).filter(Boolean);
+    },
+
+    /**
+     * Validate the fields of one object, collecting messages into `errors`
+     */
+    validateFields(source, rules, path, errors) {
+        const result = {};
+        const prefix = path ? `${path}.` : '';
+
+        Object.keys(rules).forEach(field => {
+            const rule = rules[field];
+            const value = source[field];
+
+            if (value === undefined) {
+                if (!rule.optional) {
+                    errors.push(`${prefix}${field}: is required`);
+                } else {
+                    result[field] = this.cloneDefault(rule.default);
+                }
+                return;
+            }
+
+            if (value === null && rule.nullable) {
+                result[field] = null;
+                return;
+            }
+
+            const problem = this.checkValue(value, rule);
+            if (problem) {
+                errors.push(`${prefix}${field}: ${problem}`);
+                return;
+            }
+
+            result[field] = value;
+        });
+
+        // Keep unknown fields so newer tools can round-trip extra data
+        Object.keys(source).forEach(field => {
+            if (!(field in rules)) {
+                result[field] = source[field];
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Return a description of what is wrong with a value, or null if it is valid
+     */
+    checkValue(value, rule) {
+        switch (rule.type) {
+            case 'string':
+                if (typeof value !== 'string') return `expected a string, got ${this.describe(value)}`;
+                if (rule.pattern && !rule.pattern.test(value)) return `"${value}" is not a valid value`;
+                if (rule.values && !rule.values.includes(value)) return `expected one of ${rule.values.join(', ')}, got "${value}"`;
+                return null;
+            case 'color':
+                // Named colors need a browser to read, so levels stick to formats Node can check too
+                if (!Colors.parse(value, false)) {
+                    return `expected a hex, rgb() or hsl() color like "#c0c0c0", got ${this.describe(value)}`;
+                }
+                return null;
+            case 'theme':
+                if (typeof value !== 'string' || !Object.prototype.hasOwnProperty.call(THEMES, value)) {
+                    return `expected one of ${Object.keys(THEMES).join(', ')}, got ${this.describe(value)}`;
+                }
+                return null;
+            case 'integer':
+            case 'number':
+                if (typeof value !== 'number' || !isFinite(value)) return `expected a number, got ${this.describe(value)}`;
+                if (rule.type === 'integer' && !Number.isInteger(value)) return `expected a whole number, got ${value}`;
+                if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}, got ${value}`;
+                if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}, got ${value}`;
+                return null;
+            case 'boolean':
+                if (typeof value !== 'boolean') return `expected true or false, got ${this.describe(value)}`;
+                return null;
+            case 'object':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) return `expected an object, got ${this.describe(value)}`;
+                return null;
+            case 'array':
+                if (!Array.isArray(value)) return `expected an array, got ${this.describe(value)}`;
+                return null;
+            default:
+                return null;
+        }
+    },
+
+    describe(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'an array';
+        if (typeof value === 'string') return `"${value}"`;
+        return typeof value === 'object' ? 'an object' : String(value);
+    },
+
+    cloneDefault(value) {
+        if (Array.isArray(value)) return [];
+        if (value && typeof value === 'object') return {};
+        return value;
+    },
+
+    /**
+     * Serialize a level definition back to formatted JSON
+     */
+    stringify(level) {
+        return JSON.stringify(level, null, 2);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LevelFormat, LevelFormatError };
+}
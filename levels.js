@@ -0,0 +1,96 @@
+/**
+ * Built-in Levels
+ * Level definitions in the JSON level format (see LEVEL_FORMAT.md)
+ */
+
+const BUILT_IN_LEVELS = {
+    /**
+     * Complete playable demo level with small, jumpable obstacles
+     *
+     * Revised when the solver (check-levels.js) showed the original layout
+     * couldn't be beaten: the final sequence's blocks were too close to land
+     * between and take off again, and the low blocks, alternating, rhythm and
+     * mixed sections needed frame-perfect jumps. Each section keeps its blocks
+     * but spaces them so a tapped jump clears one warm-up block or two of the
+     * others, which made the level 5250px long instead of 4255.
+     */
+    classic: {
+        format: 'cubic-level',
+        version: 1,
+        id: 'classic',
+        name: 'Classic',
+        width: 5250,
+        groundHeight: 50,
+        settings: {
+            scrollSpeed: 5,
+            music: null
+        },
+        theme: 'classic',
+        sections: [
+            { name: 'Warm-up', x: 500 },
+            { name: 'Low blocks', x: 1300 },
+            { name: 'Alternating', x: 1800 },
+            { name: 'Rhythm', x: 2400 },
+            { name: 'Mixed', x: 3200 },
+            { name: 'Final sequence', x: 3900 },
+            { name: 'Victory', x: 4950 }
+        ],
+        obstacles: [
+            { x: 500, y: 0, width: 35, height: 25, color: '#d0d0d0' },
+            { x: 700, y: 0, width: 35, height: 25, color: '#d0d0d0' },
+            { x: 900, y: 0, width: 35, height: 25, color: '#d0d0d0' },
+            { x: 1100, y: 0, width: 35, height: 25, color: '#d0d0d0' },
+            { x: 1300, y: 0, width: 40, height: 30, color: '#b0b0b0' },
+            { x: 1400, y: 0, width: 40, height: 30, color: '#b0b0b0' },
+            { x: 1500, y: 0, width: 40, height: 30, color: '#b0b0b0' },
+            { x: 1600, y: 0, width: 40, height: 30, color: '#b0b0b0' },
+            { x: 1700, y: 0, width: 40, height: 30, color: '#b0b0b0' },
+            { x: 1800, y: 0, width: 35, height: 25, color: '#909090' },
+            { x: 1900, y: 0, width: 35, height: 35, color: '#909090' },
+            { x: 2000, y: 0, width: 35, height: 25, color: '#909090' },
+            { x: 2100, y: 0, width: 35, height: 35, color: '#909090' },
+            { x: 2200, y: 0, width: 35, height: 25, color: '#909090' },
+            { x: 2300, y: 0, width: 35, height: 35, color: '#909090' },
+            { x: 2400, y: 0, width: 30, height: 30, color: '#c0c0c0' },
+            { x: 2500, y: 0, width: 30, height: 30, color: '#c0c0c0' },
+            { x: 2600, y: 0, width: 30, height: 30, color: '#c0c0c0' },
+            { x: 2700, y: 0, width: 30, height: 30, color: '#c0c0c0' },
+            { x: 2800, y: 0, width: 30, height: 30, color: '#c0c0c0' },
+            { x: 2900, y: 0, width: 30, height: 30, color: '#c0c0c0' },
+            { x: 3000, y: 0, width: 30, height: 30, color: '#c0c0c0' },
+            { x: 3100, y: 0, width: 30, height: 30, color: '#c0c0c0' },
+            { x: 3200, y: 0, width: 35, height: 20, color: '#a0a0a0' },
+            { x: 3300, y: 0, width: 35, height: 30, color: '#a0a0a0' },
+            { x: 3400, y: 0, width: 35, height: 40, color: '#a0a0a0' },
+            { x: 3500, y: 0, width: 35, height: 20, color: '#a0a0a0' },
+            { x: 3600, y: 0, width: 35, height: 30, color: '#a0a0a0' },
+            { x: 3700, y: 0, width: 35, height: 40, color: '#a0a0a0' },
+            { x: 3800, y: 0, width: 35, height: 20, color: '#a0a0a0' },
+            { x: 3900, y: 0, width: 32, height: 28, color: '#e0e0e0' },
+            { x: 4005, y: 0, width: 32, height: 28, color: '#e0e0e0' },
+            { x: 4110, y: 0, width: 32, height: 28, color: '#e0e0e0' },
+            { x: 4215, y: 0, width: 32, height: 28, color: '#e0e0e0' },
+            { x: 4320, y: 0, width: 32, height: 28, color: '#e0e0e0' },
+            { x: 4425, y: 0, width: 32, height: 28, color: '#e0e0e0' },
+            { x: 4530, y: 0, width: 32, height: 28, color: '#e0e0e0' },
+            { x: 4635, y: 0, width: 32, height: 28, color: '#e0e0e0' },
+            { x: 4740, y: 0, width: 32, height: 28, color: '#e0e0e0' },
+            { x: 4845, y: 0, width: 32, height: 28, color: '#e0e0e0' }
+        ],
+        spikes: [],
+        platforms: [],
+        coins: [
+            { x: 610, y: 10 },
+            { x: 1850, y: 90 },
+            { x: 2615, y: 150, secret: true }, // Only the top of a jump reaches it
+            { x: 5100, y: 10 }
+        ],
+        colorTriggers: [
+            { x: 4950, theme: 'sunset', duration: 1500 } // Victory lap
+        ]
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BUILT_IN_LEVELS };
+}
@@ -0,0 +1,223 @@
+/**
+ * Practice Mode
+ * Checkpoints the player can drop by hand (Z, X removes the last one) or
+ * automatically every N pixels. Dying respawns at the last checkpoint with the
+ * player's saved height, velocity, portal and shield state and camera position
+ * instead of ending the run.
+ *
+ * Practice runs are never recorded and never update high scores.
+ */
+
+const PRACTICE_CLEAR_STEPS = 8; // Steps of travel ahead that must be free of hazards for an automatic checkpoint
+
+class PracticeSession {
+    constructor(game, autoInterval = 0) {
+        this.game = game;
+        this.autoInterval = autoInterval; // Pixels between automatic checkpoints (0 = manual only)
+        this.reset(game.runStartX);
+    }
+
+    /**
+     * Clear all checkpoints for a fresh attempt starting at `startX`
+     */
+    reset(startX) {
+        this.checkpoints = [];
+        this.current = -1; // Checkpoint the current attempt started from (-1 = run start)
+        this.startX = startX;
+        this.nextAutoX = startX + this.autoInterval;
+        this.deaths = 0;
+    }
+
+    /**
+     * Save the player's current state as a new checkpoint
+     */
+    place() {
+        const game = this.game;
+        const player = game.player;
+        if (game.gameState !== 'playing') return null;
+
+        // Reaching a new checkpoint alive clears the one this attempt started from
+        if (this.current >= 0) {
+            this.checkpoints[this.current].clears++;
+        }
+
+        const checkpoint = {
+            x: game.cameraX,
+            elevation: player.groundY - player.y, // Height above the ground, so resizing doesn't move it
+            velocityY: player.velocityY,
+            isJumping: player.isJumping,
+            rotation: player.rotation,
+            rotationSpeed: player.rotationSpeed,
+            gravityFlipped: player.gravityFlipped,
+            mode: player.mode,
+            portalIndex: player.portalIndex,
+            lastOrb: player.lastOrb,
+            hitsTaken: player.hitsTaken, // So the shield doesn't refill at every checkpoint
+            graceSteps: player.graceSteps,
+            scrollSpeed: game.scrollSpeed,
+            attempts: 0,
+            clears: 0
+        };
+        this.checkpoints.push(checkpoint);
+        this.current = this.checkpoints.length - 1;
+        this.nextAutoX = checkpoint.x + this.autoInterval;
+        return checkpoint;
+    }
+
+    removeLast() {
+        if (this.checkpoints.length === 0) return;
+
+        this.checkpoints.pop();
+        this.current = Math.min(this.current, this.checkpoints.length - 1);
+    }
+
+    /**
+     * Put the player back at the last checkpoint (or the run start if there is none)
+     */
+    respawn() {
+        const game = this.game;
+        const player = game.player;
+        const checkpoint = this.checkpoints[this.checkpoints.length - 1];
+        this.deaths++;
+        this.current = this.checkpoints.length - 1;
+
+        game.resetRunner(player);
+        player.inputHeld = game.input.isJumpHeld(0); // Ships thrust if jump is held now, not when the checkpoint was placed
+        if (!checkpoint) {
+            game.scrollSpeed = game.baseScrollSpeed;
+            game.cameraX = this.startX;
+            game.previousCameraX = this.startX;
+            this.nextAutoX = this.startX + this.autoInterval;
+            return;
+        }
+
+        checkpoint.attempts++;
+        game.cameraX = checkpoint.x;
+        game.previousCameraX = checkpoint.x;
+        player.y = player.groundY - checkpoint.elevation;
+        player.previousY = player.y;
+        player.velocityY = checkpoint.velocityY;
+        player.isJumping = checkpoint.isJumping;
+        player.rotation = checkpoint.rotation;
+        player.rotationSpeed = checkpoint.rotationSpeed;
+        player.gravityFlipped = checkpoint.gravityFlipped;
+        player.mode = checkpoint.mode;
+        player.portalIndex = checkpoint.portalIndex;
+        player.lastOrb = checkpoint.lastOrb;
+        player.hitsTaken = checkpoint.hitsTaken;
+        player.graceSteps = checkpoint.graceSteps;
+        game.scrollSpeed = checkpoint.scrollSpeed;
+        this.nextAutoX = checkpoint.x + this.autoInterval;
+    }
+
+    /**
+     * Called once per simulation step: drops automatic checkpoints
+     * (only on the ground with room to react, so a checkpoint never saves a doomed position)
+     */
+    update() {
+        if (this.autoInterval <= 0 || this.game.cameraX < this.nextAutoX) return;
+        if (this.game.player.isJumping || !this.game.isOnGround() || !this.isClearAhead()) return;
+
+        this.place();
+    }
+
+    /**
+     * True if no hazard starts within ~130ms of travel ahead of the player
+     * (moving hazards are checked where they will be at each step of it)
+     */
+    isClearAhead() {
+        const game = this.game;
+        const front = game.cameraX + game.player.x + game.player.width;
+        const limit = front + game.scrollSpeed * PRACTICE_CLEAR_STEPS;
+        const ahead = (x, object) => x + object.width > front && x < limit;
+        // The index covers moving hazards' whole paths, so it finds every one that can get in the way
+        return !['obstacles', 'spikes'].some(listName => Simulation.nearby(game.level, listName, front, limit).some(object => {
+            if (!object.motion) return ahead(object.x, object);
+
+            for (let step = 0; step <= PRACTICE_CLEAR_STEPS; step++) {
+                const position = Simulation.motionPosition(game, object, game.cameraX + game.scrollSpeed * step);
+                if (ahead(position.x, object)) return true;
+            }
+            return false;
+        }));
+    }
+
+    /**
+     * The level was finished: the last checkpoint's section counts as cleared
+     */
+    complete() {
+        if (this.current >= 0) {
+            this.checkpoints[this.current].clears++;
+        }
+    }
+
+    /**
+     * Draw checkpoint markers where the player was when each was placed
+     */
+    draw(ctx) {
+        const game = this.game;
+        const player = game.player;
+        const size = 10;
+
+        this.checkpoints.forEach((checkpoint, index) => {
+            const centerX = checkpoint.x + player.x + player.width / 2;
+            const centerY = player.groundY - checkpoint.elevation + player.height / 2;
+            if (!game.camera.isVisible({ x: centerX - size, y: centerY - size, width: size * 2, height: size * 2 })) return;
+
+            ctx.fillStyle = index === this.checkpoints.length - 1 ? '#00ff88' : 'rgba(0, 255, 136, 0.4)';
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY - size);
+            ctx.lineTo(centerX + size, centerY);
+            ctx.lineTo(centerX, centerY + size);
+            ctx.lineTo(centerX - size, centerY);
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+
+    /**
+     * One-line HUD summary, e.g. "Checkpoint 2/3 - cleared 1 of 4 tries"
+     */
+    describe() {
+        const checkpoint = this.checkpoints[this.current];
+        if (!checkpoint) {
+            return `${this.checkpoints.length} checkpoints - Z to place, X to remove`;
+        }
+        const tries = Math.max(1, checkpoint.attempts);
+        return `Checkpoint ${this.current + 1}/${this.checkpoints.length} - cleared ${checkpoint.clears} of ${tries} ${tries === 1 ? 'try' : 'tries'}`;
+    }
+}
+
+// Wire the practice mode controls on the start screen and checkpoint keys
+function setupPracticeMode() {
+    const instance = gameInstance || window.gameInstance;
+    if (!instance) return;
+
+    const intervalSelect = document.getElementById('practiceInterval');
+    const practiceButton = document.getElementById('practiceButton');
+    if (practiceButton) {
+        practiceButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const interval = intervalSelect ? parseInt(intervalSelect.value, 10) || 0 : 0;
+            instance.startPractice(interval);
+            practiceButton.blur(); // Keep Space from re-triggering the button
+        });
+    }
+
+    window.addEventListener('keydown', (e) => {
+        if (!instance.practice || instance.gameState !== 'playing' || e.repeat) return;
+
+        if (e.code === 'KeyZ') {
+            instance.practice.place();
+        } else if (e.code === 'KeyX') {
+            instance.practice.removeLast();
+        }
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupPracticeMode);
+} else {
+    setupPracticeMode();
+}
@@ -0,0 +1,314 @@
+/**
+ * Race Mode
+ * Two players race through the same level at once, each in their own half of
+ * the screen with their own cube, physics and camera. Player 1 jumps with the
+ * jump keys, the first gamepad or the left half of the screen; player 2 with
+ * the "jump (player 2)" keys (Enter by default), the second gamepad or the
+ * right half. Crashing sends a player back to the start of the level after a
+ * short wait; the first to reach the end wins, and the results screen compares
+ * how far each player got and how often they crashed.
+ *
+ * Each racer has its own copy of the game fields in RACER_FIELDS. withRacer()
+ * swaps a racer's copy into the game while it is stepped or drawn, so the
+ * game's own simulation, camera and drawing code serve both players.
+ *
+ * Races are never recorded and don't count towards high scores or stats.
+ */
+
+const RACER_FIELDS = ['player', 'cameraX', 'previousCameraX', 'renderCameraX', 'scrollSpeed', 'camera', 'palette', 'staticLayer', 'particles', 'icon', 'runCoins'];
+const RACE_RESPAWN_DELAY = 60; // Simulation steps a crashed racer waits at the start (one second)
+const RACE_PLAYER_TWO_COLORS = { primary: '#00e5ff', secondary: '#00798a' }; // Player 1 keeps their own icon
+
+class RaceSession {
+    constructor(game) {
+        this.game = game;
+        this.racers = [
+            this.createRacer(0, game.icon),
+            this.createRacer(1, Object.assign({}, DEFAULT_ICON, RACE_PLAYER_TWO_COLORS))
+        ];
+        this.winner = null; // Racer who finished first (stays null after a draw)
+    }
+
+    createRacer(index, icon) {
+        const game = this.game;
+        const camera = new Camera();
+        const palette = new LevelPalette();
+        camera.shakeEnabled = game.camera.shakeEnabled;
+        palette.forcedTheme = game.palette.forcedTheme;
+
+        return {
+            index: index,
+            name: `Player ${index + 1}`,
+            player: game.resetRunner(Object.assign({}, game.player, { color: icon.primary })),
+            cameraX: 0,
+            previousCameraX: 0,
+            renderCameraX: 0,
+            scrollSpeed: game.baseScrollSpeed,
+            camera: camera,
+            palette: palette,
+            staticLayer: new StaticLayerCache(), // Racers' colors change at different times
+            particles: [],
+            icon: icon,
+            runCoins: new Set(), // Coins picked up since the racer last left the start
+            deaths: 0,
+            best: 0, // Furthest distance reached (metres)
+            respawnIn: 0, // Steps left before a crashed racer sets off again
+            finished: false
+        };
+    }
+
+    /**
+     * Run `callback` with `racer`'s fields swapped into the game
+     */
+    withRacer(racer, callback) {
+        const game = this.game;
+        const own = {};
+        RACER_FIELDS.forEach(field => {
+            own[field] = game[field];
+            game[field] = racer[field];
+        });
+        try {
+            callback();
+        } finally {
+            RACER_FIELDS.forEach(field => {
+                racer[field] = game[field];
+                game[field] = own[field];
+            });
+        }
+    }
+
+    /**
+     * Line both racers up at the start for a new race
+     */
+    reset() {
+        this.winner = null;
+        this.racers.forEach(racer => {
+            racer.deaths = 0;
+            racer.best = 0;
+            racer.respawnIn = 0;
+            racer.finished = false;
+            this.withRacer(racer, () => this.sendToStart());
+        });
+    }
+
+    /**
+     * Put the racer swapped into the game back at the start of the level
+     */
+    sendToStart() {
+        const game = this.game;
+        game.resetRunner(game.player);
+        game.cameraX = 0;
+        game.previousCameraX = 0;
+        game.scrollSpeed = game.baseScrollSpeed;
+        game.particles = [];
+        game.runCoins = new Set();
+        game.camera.snap(game);
+        game.palette.snap(game);
+    }
+
+    /**
+     * Step every racer once (called by GeometryDashGame.update() while racing)
+     */
+    update() {
+        this.racers.forEach(racer => {
+            if (racer.finished) return;
+            if (racer.respawnIn > 0) {
+                racer.respawnIn--;
+                return;
+            }
+            this.withRacer(racer, () => this.step(racer));
+        });
+
+        // Racers crossing the line on the same step draw
+        const finished = this.racers.filter(racer => racer.finished);
+        if (finished.length > 0) {
+            this.end(finished.length === 1 ? finished[0] : null);
+        }
+    }
+
+    step(racer) {
+        const game = this.game;
+        game.previousCameraX = game.cameraX;
+        game.cameraX += game.scrollSpeed;
+        racer.best = Math.max(racer.best, Math.floor(Math.min(game.cameraX, game.level.width) / 10));
+
+        if (!game.updatePlayer(game.player)) {
+            this.crash(racer);
+            return;
+        }
+        game.collectCoins();
+        game.camera.update(game);
+        game.palette.update(game);
+
+        const cue = game.accessibility.nextCue(game, game.stepCount);
+        if (cue) game.audio.play(cue);
+
+        if (game.cameraX >= game.level.width) {
+            racer.finished = true;
+            return;
+        }
+        game.updateParticles();
+    }
+
+    crash(racer) {
+        const game = this.game;
+        racer.deaths++;
+        racer.respawnIn = RACE_RESPAWN_DELAY;
+        game.audio.play('death');
+        game.camera.shake(10, 400);
+        game.accessibility.announce(`${racer.name} crashed at ${game.getProgressPercent()}%`);
+        this.sendToStart();
+    }
+
+    /**
+     * Finish the race and show the results
+     */
+    end(winner) {
+        const game = this.game;
+        this.winner = winner;
+        game.gameState = 'win';
+        game.audio.stopMusic();
+        game.showRaceResults();
+        game.accessibility.announce(`${this.describeWinner()} ${this.racers.map(racer =>
+            `${racer.name}: ${racer.best} metres, ${racer.deaths} ${racer.deaths === 1 ? 'crash' : 'crashes'}.`
+        ).join(' ')}`);
+    }
+
+    press(index) {
+        const racer = this.racers[index];
+        if (!racer || racer.finished || racer.respawnIn > 0) return;
+
+        this.withRacer(racer, () => this.game.startJump());
+    }
+
+    release(index) {
+        const racer = this.racers[index];
+        if (racer) this.game.releaseJump(racer.player);
+    }
+
+    /**
+     * Follow the game's reduced motion and high contrast settings
+     */
+    applyAccessibility() {
+        const game = this.game;
+        const shakeEnabled = game.camera.shakeEnabled;
+        const forcedTheme = game.palette.forcedTheme;
+        this.racers.forEach(racer => {
+            racer.camera.shakeEnabled = shakeEnabled;
+            racer.palette.forcedTheme = forcedTheme;
+            if (game.accessibility.reduceMotion) racer.particles = [];
+            this.withRacer(racer, () => game.palette.snap(game));
+        });
+    }
+
+    getPercent(racer) {
+        return Math.min(100, Math.floor(racer.cameraX / this.game.level.width * 100));
+    }
+
+    getBestPercent(racer) {
+        return Math.min(100, Math.floor(racer.best * 10 / this.game.level.width * 100));
+    }
+
+    /**
+     * The racer in front and by how many metres, or null while they are level
+     */
+    getLead() {
+        const [first, second] = this.racers;
+        const gap = Math.floor(first.cameraX / 10) - Math.floor(second.cameraX / 10);
+        if (gap === 0) return null;
+        return { racer: gap > 0 ? first : second, metres: Math.abs(gap) };
+    }
+
+    describeWinner() {
+        return this.winner ? `${this.winner.name} wins!` : "It's a draw!";
+    }
+
+    /**
+     * Draw each racer's view side by side
+     */
+    draw(ctx, alpha) {
+        const game = this.game;
+        const width = (game.canvas.offsetWidth || 1200) / this.racers.length;
+        const height = game.canvas.offsetHeight || 600;
+
+        this.racers.forEach(racer => {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(racer.index * width, 0, width, height);
+            ctx.clip();
+            ctx.translate(racer.index * width, 0);
+            this.withRacer(racer, () => game.drawWorld(alpha, width));
+            ctx.restore();
+        });
+
+        ctx.fillStyle = game.palette.colors.hud;
+        ctx.fillRect(width - 1, 0, 2, height);
+    }
+
+    /**
+     * Each racer's progress and crashes over their view, and who is in the lead
+     */
+    drawHud(ctx, logicalWidth, logicalHeight) {
+        const width = logicalWidth / this.racers.length;
+
+        this.racers.forEach(racer => {
+            const left = racer.index * width;
+            const colors = racer.palette.colors;
+            ctx.textAlign = 'left';
+            ctx.font = 'bold 24px Arial';
+            ctx.fillStyle = racer.icon.primary;
+            ctx.fillText(`P${racer.index + 1}`, left + 20, 40);
+            ctx.fillStyle = colors.hud;
+            ctx.fillText(`${this.getPercent(racer)}%`, left + 70, 40);
+            ctx.font = '16px Arial';
+            ctx.fillStyle = colors.hudMuted;
+            ctx.fillText(`Crashes: ${racer.deaths}  Best: ${racer.best}m`, left + 20, 65);
+
+            if (racer.respawnIn > 0 && this.game.gameState !== 'win') {
+                ctx.textAlign = 'center';
+                ctx.font = 'bold 32px Arial';
+                ctx.fillStyle = colors.hud;
+                ctx.fillText('CRASHED', left + width / 2, logicalHeight / 3);
+                ctx.font = '16px Arial';
+                ctx.fillStyle = colors.hudMuted;
+                ctx.fillText('Back to the start...', left + width / 2, logicalHeight / 3 + 28);
+            }
+        });
+
+        const lead = this.getLead();
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 16px Arial';
+        ctx.fillStyle = lead ? lead.racer.icon.primary : this.game.palette.colors.hud;
+        ctx.fillText(lead ? `P${lead.racer.index + 1} LEADS BY ${lead.metres}m` : 'NECK AND NECK', width, logicalHeight - 16);
+    }
+}
+
+// Wire the race buttons on the start screen and the results screen
+function setupRaceMode() {
+    const instance = gameInstance || window.gameInstance;
+    if (!instance) return;
+
+    const actions = {
+        start: () => instance.startRace(),
+        rematch: () => instance.restart(),
+        menu: () => {
+            instance.hideGameOverScreen();
+            instance.returnToStart();
+        }
+    };
+    document.querySelectorAll('[data-race-action]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const action = actions[button.dataset.raceAction];
+            if (action) action();
+            button.blur(); // Keep Space from re-triggering the button
+        });
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupRaceMode);
+} else {
+    setupRaceMode();
+}
@@ -0,0 +1,332 @@
+/**
+ * Run Recording & Replays
+ * Records every attempt as a compact input log so it can be replayed exactly,
+ * keeps the best run per level, and drives the replay viewer controls.
+ *
+ * A recording stores jump press/release events by simulation step
+ * (time = step * FIXED_TIMESTEP ms) together with the level id and the
+ * physics settings in effect, which is enough to re-simulate the run.
+ */
+
+const REPLAY_VERSION = 1;
+const BEST_RUNS_STORAGE_KEY = 'geometryDashBestRuns';
+
+class RunRecorder {
+    constructor(game) {
+        this.levelId = game.level.id;
+        this.seed = game.endless ? game.endless.seed : null; // Endless course seed
+        this.settings = RunRecorder.captureSettings(game);
+        this.inputs = []; // [step, 1 = press / 0 = release]
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Physics settings a recording depends on
+     */
+    static captureSettings(game) {
+        return {
+            timestep: FIXED_TIMESTEP,
+            gravity: game.gravity,
+            jumpPower: game.jumpPower,
+            maxJumpHold: game.maxJumpHold,
+            holdJumpBonus: game.holdJumpBonus,
+            scrollSpeed: game.baseScrollSpeed,
+            playerWidth: game.player.width,
+            playerHeight: game.player.height,
+            hitboxInset: game.hitboxInset,
+            shieldHits: game.shieldHits
+        };
+    }
+
+    /**
+     * Settings missing from `a` (recorded before they existed) count as their DEFAULT_PHYSICS values
+     */
+    static settingsMatch(a, b) {
+        return Object.keys(b).every(key => (key in a ? a[key] : DEFAULT_PHYSICS[key]) === b[key]);
+    }
+
+    record(step, pressed) {
+        this.inputs.push([step, pressed ? 1 : 0]);
+    }
+
+    /**
+     * Build the finished recording
+     */
+    finish(result) {
+        return {
+            version: REPLAY_VERSION,
+            levelId: this.levelId,
+            seed: this.seed,
+            settings: this.settings,
+            inputs: this.inputs,
+            steps: result.steps,
+            distance: result.distance,
+            completed: result.completed,
+            date: new Date(this.startedAt).toISOString()
+        };
+    }
+}
+
+/**
+ * Best run per level, kept in localStorage
+ */
+const ReplayStore = {
+    loadAll() {
+        try {
+            const stored = localStorage.getItem(BEST_RUNS_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    getBest(levelId) {
+        return this.loadAll()[levelId] || null;
+    },
+
+    isBetter(run, best) {
+        if (!best) return true;
+        if (run.completed !== best.completed) return run.completed;
+        return run.distance > best.distance;
+    },
+
+    /**
+     * Store the run if it beats the saved best for its level
+     * Returns true if it was saved
+     */
+    saveIfBest(run) {
+        const runs = this.loadAll();
+        if (!this.isBetter(run, runs[run.levelId])) return false;
+
+        runs[run.levelId] = run;
+        try {
+            localStorage.setItem(BEST_RUNS_STORAGE_KEY, JSON.stringify(runs));
+        } catch (e) {
+            console.error('Failed to save best run:', e);
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Check a recording loaded from a file
+     */
+    validate(run) {
+        if (!run || typeof run !== 'object') throw new Error('Replay file must contain an object');
+        if (run.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${run.version}`);
+        if (typeof run.levelId !== 'string') throw new Error('Replay is missing its level id');
+        if (!run.settings || typeof run.settings !== 'object') throw new Error('Replay is missing physics settings');
+        if (!Array.isArray(run.inputs) || run.inputs.some(input => !Array.isArray(input) || input.length !== 2)) {
+            throw new Error('Replay inputs must be [step, pressed] pairs');
+        }
+        if (typeof run.steps !== 'number') throw new Error('Replay is missing its length');
+        return run;
+    }
+};
+
+/**
+ * Play/pause/scrub/speed controls for GeometryDashGame replays
+ */
+class ReplayViewer {
+    constructor(game, root) {
+        this.game = game;
+        this.root = root;
+        this.scrub = root.querySelector('#replayScrub');
+        this.speedSelect = root.querySelector('#replaySpeed');
+        this.timeLabel = root.querySelector('#replayTime');
+        this.playButton = root.querySelector('[data-replay-action="play"]');
+        this.recording = null;
+        this.open = false;
+        this.scrubbing = false;
+
+        this.setupControls();
+    }
+
+    setupControls() {
+        const actions = {
+            play: () => this.togglePlay(),
+            close: () => this.close(),
+            download: () => this.download()
+        };
+        this.root.querySelectorAll('[data-replay-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                const action = actions[button.dataset.replayAction];
+                if (action) action();
+                button.blur();
+            });
+        });
+
+        if (this.scrub) {
+            this.scrub.addEventListener('input', () => {
+                this.scrubbing = true;
+                this.game.seekReplay(parseInt(this.scrub.value, 10));
+            });
+            this.scrub.addEventListener('change', () => {
+                this.scrubbing = false;
+            });
+        }
+
+        if (this.speedSelect) {
+            this.speedSelect.addEventListener('change', () => {
+                if (this.game.replay) {
+                    this.game.replay.speed = parseFloat(this.speedSelect.value) || 1;
+                }
+            });
+        }
+    }
+
+    /**
+     * Start watching a recording
+     */
+    show(recording) {
+        try {
+            this.game.startReplay(recording);
+        } catch (error) {
+            alert(`Can't play this replay: ${error.message}`);
+            return;
+        }
+
+        const wasOpen = this.open;
+        this.recording = recording;
+        this.open = true;
+        this.root.style.display = 'flex';
+        if (this.scrub) {
+            this.scrub.max = recording.steps;
+            this.scrub.value = 0;
+        }
+        if (this.speedSelect) {
+            this.game.replay.speed = parseFloat(this.speedSelect.value) || 1;
+        }
+        if (!wasOpen) this.tick(); // Already ticking if another replay was showing
+    }
+
+    close() {
+        if (!this.open) return;
+        this.open = false;
+        this.root.style.display = 'none';
+        this.game.stopReplay();
+    }
+
+    togglePlay() {
+        const replay = this.game.replay;
+        if (!replay) return;
+
+        if (replay.ended) {
+            this.game.seekReplay(0);
+            replay.paused = false;
+        } else {
+            replay.paused = !replay.paused;
+        }
+    }
+
+    download() {
+        if (!this.recording) return;
+
+        const blob = new Blob([JSON.stringify(this.recording)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.recording.levelId}-run-${this.recording.distance}m.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    importFile(file) {
+        file.text()
+            .then(text => ReplayStore.validate(JSON.parse(text)))
+            .then(recording => this.show(recording))
+            .catch(error => alert(`Can't load replay: ${error.message}`));
+    }
+
+    /**
+     * Keep the scrub bar and labels in sync while the viewer is open
+     */
+    tick() {
+        if (!this.open) return;
+
+        const replay = this.game.replay;
+        if (replay) {
+            if (this.scrub && !this.scrubbing) {
+                this.scrub.value = this.game.stepCount;
+            }
+            if (this.timeLabel) {
+                const seconds = (this.game.stepCount * FIXED_TIMESTEP / 1000).toFixed(1);
+                const total = (this.recording.steps * FIXED_TIMESTEP / 1000).toFixed(1);
+                this.timeLabel.textContent = `${seconds}s / ${total}s`;
+            }
+            if (this.playButton) {
+                this.playButton.textContent = replay.paused || replay.ended ? 'Play' : 'Pause';
+            }
+        }
+
+        requestAnimationFrame(() => this.tick());
+    }
+}
+
+// Wire replay buttons once the game is ready
+function setupReplays() {
+    const root = document.getElementById('replayControls');
+    const instance = gameInstance || window.gameInstance;
+    if (!root || !instance) return;
+
+    const viewer = new ReplayViewer(instance, root);
+    window.replayViewer = viewer;
+
+    const watchBest = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const best = ReplayStore.getBest(instance.level.id);
+        if (best) {
+            instance.hideGameOverScreen();
+            viewer.show(best);
+        } else {
+            alert('No saved run for this level yet - play one first!');
+        }
+    };
+    document.querySelectorAll('[data-replay-watch="best"]').forEach(button => {
+        button.addEventListener('click', watchBest);
+    });
+
+    const watchLast = document.getElementById('watchLastButton');
+    if (watchLast) {
+        watchLast.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (instance.lastRun) {
+                instance.hideGameOverScreen();
+                viewer.show(instance.lastRun);
+            }
+        });
+    }
+
+    const loadButton = document.getElementById('loadReplayButton');
+    const fileInput = document.getElementById('replayFile');
+    if (loadButton && fileInput) {
+        loadButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            fileInput.click();
+        });
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (file) viewer.importFile(file);
+            fileInput.value = '';
+        });
+    }
+
+    const ghostToggle = document.getElementById('ghostToggle');
+    if (ghostToggle) {
+        ghostToggle.checked = instance.ghostEnabled;
+        ghostToggle.addEventListener('change', () => {
+            instance.setGhostEnabled(ghostToggle.checked);
+        });
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupReplays);
+} else {
+    setupReplays();
+}
@@ -230,6 +230,34 @@ function initFadeInAnimations() {
   });
 }
 
+/**
+ * Embed a small game in #miniGame (pages that include game.js; see initGame)
+ */
+function initMiniGame() {
+  const container = document.getElementById('miniGame');
+  if (!container || typeof initGame !== 'function') return;
+  
+  const status = document.getElementById('miniGameStatus');
+  const setStatus = (text) => {
+    if (status) status.textContent = text;
+  };
+  
+  try {
+    initGame(container, {
+      height: 320,
+      muted: true,
+      on: {
+        score: (event) => setStatus(`Distance: ${event.distance}m`),
+        death: (event) => setStatus(`Crashed at ${event.distance}m (${event.percent}%) - press Space to try again`),
+        win: () => setStatus('Level complete! Press Space to run it again.')
+      }
+    });
+  } catch (error) {
+    console.error('Could not start the mini game:', error);
+    container.hidden = true;
+  }
+}
+
 /**
  * Initialize all functionality when DOM is ready
  */
@@ -237,5 +265,6 @@ document.addEventListener('DOMContentLoaded', () => {
   initNavigation();
   initCinematicBackground();
   initFadeInAnimations();
+  initMiniGame();
 });
 
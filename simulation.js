@@ -0,0 +1,714 @@
+/**
+ * Simulation Core
+ * Runner physics and collisions with no canvas, DOM or window access, shared by
+ * GeometryDashGame and the headless LevelSimulation (which runs in Node, see
+ * solver.js and check-levels.js).
+ *
+ * The physics functions work on a "world": any object with
+ *   level, cameraX, scrollSpeed, baseScrollSpeed, player, viewHeight
+ * and the DEFAULT_PHYSICS fields. It may also define padLaunched(runner, pad),
+ * called whenever a pad launches a runner, and shieldBroken(runner), called
+ * whenever the shield (see shieldHits) absorbs a hit.
+ *
+ * Coordinates are screen coordinates: y grows downwards, and layoutLevel()
+ * converts the level's ground-relative object positions for a given logical
+ * view height.
+ *
+ * Objects with a motion move along their keyframes as the level scrolls: their
+ * position is worked out from cameraX alone (see motionPosition), so every
+ * run, replay, practice respawn and racer finds them in the same place at the
+ * same point of the level. Apart from those positions, level objects are
+ * never changed during simulation.
+ *
+ * Collisions only look at the objects near the runner: createLevel() indexes
+ * every movable list by x (see spatial-index.js), and code that adds objects
+ * to a running level or drops them goes through addObject() and indexList()
+ * to keep the index in step.
+ *
+ * In Node, LevelSimulation needs LevelFormat (and the themes.js globals it
+ * uses) and SpatialIndex as globals (see check-levels.js).
+ */
+
+// Simulation runs at a fixed 60 steps per second regardless of display refresh rate.
+// Physics constants below are per-step values.
+const FIXED_TIMESTEP = 1000 / 60;
+
+const DEFAULT_PHYSICS = {
+    // Tuned for clearing small obstacles
+    gravity: 0.8,
+    jumpPower: -16, // Initial jump velocity (slightly stronger)
+    maxJumpHold: 300, // Max milliseconds to hold jump
+    holdJumpBonus: 0.021, // Additional upward velocity per millisecond held (0.35 per 60 Hz frame)
+
+    // Ship mode (see Simulation.updateShip)
+    shipThrust: 1.0, // Upward acceleration per step while input is held
+    shipGravity: 0.5, // Downward acceleration per step otherwise
+    shipMaxSpeed: 8, // Vertical speed limit in either direction
+
+    // Assists (see difficulty.js)
+    hitboxInset: 0, // Pixels the runner's hitbox shrinks by on every side for hazards
+    shieldHits: 0 // Hazard hits a runner survives per run
+};
+
+const SHIELD_GRACE_STEPS = 45; // Steps a runner passes through hazards after the shield takes a hit
+
+const DEFAULT_VIEW_HEIGHT = 600; // Logical height of the game canvas on desktop
+
+const Simulation = {
+    /**
+     * Runtime level from a parsed definition (LevelFormat.parse); positions are
+     * filled in by layoutLevel()
+     */
+    createLevel(data) {
+        const toRuntime = (object) => Object.assign({}, object, { elevation: object.y, baseX: object.x });
+        const level = {
+            id: data.id,
+            name: data.name,
+            width: data.width,
+            height: data.height, // Playfield height above the ground (null: up to the top of the view)
+            groundHeight: data.groundHeight,
+            theme: data.theme,
+            colors: data.colors, // Overrides for the theme's colors (see themes.js)
+            sections: data.sections,
+            obstacles: data.obstacles.map(toRuntime),
+            platforms: data.platforms.map(toRuntime),
+            spikes: data.spikes.map(toRuntime),
+            portals: data.portals.map(toRuntime),
+            pads: data.pads.map(toRuntime),
+            orbs: data.orbs.map(toRuntime),
+            coins: data.coins.map(toRuntime),
+            zoomTriggers: data.zoomTriggers,
+            colorTriggers: data.colorTriggers,
+            moving: [], // Objects with a motion
+            ceilingY: 0 // Set by layoutLevel()
+        };
+        LevelFormat.MOVABLE_LISTS.forEach(listName => {
+            level.moving.push(...level[listName].filter(object => object.motion));
+        });
+        this.indexLevel(level);
+        return level;
+    },
+
+    /**
+     * Build the spatial index of every movable list (level.index[listName])
+     */
+    indexLevel(level) {
+        level.index = {};
+        LevelFormat.MOVABLE_LISTS.forEach(listName => this.indexList(level, listName));
+    },
+
+    /**
+     * Rebuild one list's index, after the list was replaced or filtered
+     */
+    indexList(level, listName) {
+        const index = new SpatialIndex();
+        level[listName].forEach((object, position) => {
+            const extent = this.xExtent(object);
+            index.insert(position, extent.left, extent.right);
+        });
+        level.index[listName] = index;
+    },
+
+    /**
+     * Append a runtime object to one of a level's lists and index it
+     */
+    addObject(level, listName, object) {
+        const list = level[listName];
+        const extent = this.xExtent(object);
+        list.push(object);
+        level.index[listName].insert(list.length - 1, extent.left, extent.right);
+    },
+
+    /**
+     * World x range { left, right } an object can cover, along all of its path if it moves
+     */
+    xExtent(object) {
+        if (!object.motion) {
+            return { left: object.x, right: object.x + object.width };
+        }
+        let minX = 0;
+        let maxX = 0;
+        object.motion.keyframes.forEach(keyframe => {
+            minX = Math.min(minX, keyframe.x);
+            maxX = Math.max(maxX, keyframe.x);
+        });
+        return { left: object.baseX + minX, right: object.baseX + maxX + object.width };
+    },
+
+    /**
+     * Objects of one of a level's movable lists that may overlap world x
+     * `left` to `right`, in list order
+     */
+    nearby(level, listName, left, right) {
+        const list = level[listName];
+        return level.index[listName].query(left, right).map(position => list[position]);
+    },
+
+    /**
+     * Objects of a movable list that may overlap a runner this step
+     */
+    nearRunner(world, listName, runner) {
+        const left = world.cameraX + runner.x;
+        return this.nearby(world.level, listName, left, left + runner.width);
+    },
+
+    /**
+     * Place every level object for a logical view height; returns the ground line's y
+     */
+    layoutLevel(level, viewHeight) {
+        const groundY = viewHeight - level.groundHeight;
+        const place = (object) => this.placeObject(object, groundY);
+
+        // Levels taller than the view reach above its top (negative y), see camera.js
+        level.ceilingY = level.height === null ? 0 : groundY - level.height;
+        level.obstacles.forEach(place);
+        level.spikes.forEach(place);
+        level.platforms.forEach(place);
+        level.portals.forEach(place);
+        level.pads.forEach(place);
+        level.orbs.forEach(place);
+        level.coins.forEach(place);
+        return groundY;
+    },
+
+    placeObject(object, groundY) {
+        object.y = groundY - object.elevation - object.height;
+        object.baseY = object.y; // Where a moving object's keyframe offsets are measured from
+    },
+
+    /**
+     * Offset { x, y } (y upwards) of a motion `time` milliseconds after it started.
+     * Before the first keyframe the object waits at it; after the last it stays
+     * there ('once'), starts over ('loop') or heads back ('pingpong').
+     */
+    motionOffset(motion, time) {
+        const keyframes = motion.keyframes;
+        const first = keyframes[0].time;
+        const span = keyframes[keyframes.length - 1].time - first;
+
+        let t = Math.max(0, time - first);
+        if (motion.repeat === 'loop') {
+            t %= span;
+        } else if (motion.repeat === 'pingpong') {
+            t %= span * 2;
+            if (t > span) t = span * 2 - t;
+        } else {
+            t = Math.min(t, span);
+        }
+        t += first;
+
+        let index = 0;
+        while (index < keyframes.length - 2 && keyframes[index + 1].time < t) {
+            index++;
+        }
+        const from = keyframes[index];
+        const to = keyframes[index + 1];
+        let amount = (t - from.time) / (to.time - from.time);
+        if (motion.easing === 'sine') {
+            amount = (1 - Math.cos(amount * Math.PI)) / 2; // Eases in and out of every keyframe
+        }
+        return {
+            x: from.x + (to.x - from.x) * amount,
+            y: from.y + (to.y - from.y) * amount
+        };
+    },
+
+    /**
+     * Screen position { x, y } of a moving object when the camera is at `cameraX`.
+     * Motion time runs with the level: `scrollSpeed` pixels of scrolling take one
+     * step, so speed portals speed motions up along with everything else.
+     */
+    motionPosition(world, object, cameraX) {
+        const motion = object.motion;
+        const startX = motion.trigger === null ? 0 : motion.trigger - world.player.x; // cameraX when it starts
+        const time = Math.max(0, cameraX - startX) / world.baseScrollSpeed * FIXED_TIMESTEP;
+        const offset = this.motionOffset(motion, time);
+        return { x: object.baseX + offset.x, y: object.baseY - offset.y };
+    },
+
+    /**
+     * Put every moving object where it is with the camera at `cameraX` (the
+     * renderer passes its interpolated camera position)
+     */
+    updateMotion(world, cameraX = world.cameraX) {
+        for (const object of world.level.moving) {
+            const position = this.motionPosition(world, object, cameraX);
+            object.x = position.x;
+            object.y = position.y;
+        }
+    },
+
+    /**
+     * Move a runner standing on a moving platform (or hanging under one with
+     * flipped gravity) along with it since the last step. Runners keep their
+     * place on screen, so only the platform's vertical movement carries them.
+     */
+    carryRunner(world, runner) {
+        if (runner.isJumping || runner.mode === 'ship') return;
+
+        const previousCameraX = world.cameraX - world.scrollSpeed;
+        const left = previousCameraX + runner.x;
+        for (const platform of this.nearby(world.level, 'platforms', left, left + runner.width)) {
+            if (!platform.motion) continue;
+
+            const before = this.motionPosition(world, platform, previousCameraX);
+            const screenX = before.x - previousCameraX;
+            if (screenX >= runner.x + runner.width || screenX + platform.width <= runner.x) continue;
+
+            const standing = runner.gravityFlipped
+                ? Math.abs(runner.y - (before.y + platform.height)) < 2
+                : Math.abs(runner.y + runner.height - before.y) < 2;
+            if (standing) {
+                runner.y += platform.y - before.y;
+                return;
+            }
+        }
+    },
+
+    createRunner() {
+        return this.resetRunner({
+            x: 100, // Fixed horizontal position
+            y: 0,
+            width: 30,
+            height: 30,
+            previousY: 0,
+            velocityY: 0,
+            rotation: 0,
+            rotationSpeed: 0,
+            isJumping: false,
+            jumpHeld: false,
+            jumpHeldTime: 0, // Milliseconds of simulated time the current jump has been held
+            inputHeld: false, // Jump input is down (drives ship thrust)
+            gravityFlipped: false, // Set by gravity portals
+            mode: 'cube', // cube or ship, set by mode portals
+            portalIndex: 0, // Next portal (in x order) this runner hasn't passed
+            lastOrb: null, // Orb used most recently (an orb can't be used twice in a row)
+            hitsTaken: 0, // Hazard hits absorbed by the shield this run
+            graceSteps: 0, // Steps left passing through hazards after a shielded hit
+            groundY: 0 // Set by layout
+        });
+    },
+
+    /**
+     * Put a runner back at the start position
+     */
+    resetRunner(runner) {
+        runner.y = runner.groundY;
+        runner.previousY = runner.y;
+        runner.velocityY = 0;
+        runner.isJumping = false;
+        runner.jumpHeld = false;
+        runner.jumpHeldTime = 0;
+        runner.inputHeld = false;
+        runner.gravityFlipped = false;
+        runner.mode = 'cube';
+        runner.portalIndex = 0;
+        runner.lastOrb = null;
+        runner.hitsTaken = 0;
+        runner.graceSteps = 0;
+        runner.rotation = 0;
+        runner.rotationSpeed = 0;
+        return runner;
+    },
+
+    /**
+     * Apply a jump press to a runner
+     * Returns 'jump' or 'orb' if a jump started, false otherwise
+     */
+    pressJump(world, runner) {
+        runner.inputHeld = true;
+        this.updateMotion(world); // The renderer may have left moving objects between steps
+
+        // Orbs fire a jump mid-air (and in ship mode) while the runner is touching them
+        const orb = this.findTouchingOrb(world, runner);
+        if (orb) {
+            runner.lastOrb = orb;
+            this.launch(world, runner, orb.strength);
+            return 'orb';
+        }
+
+        if (runner.mode === 'ship') return false; // Ships fly while input is held (see updateShip())
+        if (runner.isJumping || !this.isOnGround(world, runner)) return false;
+
+        // Start jump (holding is applied per step in step())
+        runner.velocityY = runner.gravityFlipped ? -world.jumpPower : world.jumpPower;
+        runner.isJumping = true;
+        runner.jumpHeld = true;
+        runner.jumpHeldTime = 0;
+        runner.rotationSpeed = 15; // Start rotation
+        return 'jump';
+    },
+
+    /**
+     * Fixed-strength jump from a pad or orb (holding doesn't add height)
+     */
+    launch(world, runner, strength) {
+        runner.velocityY = world.jumpPower * strength * (runner.gravityFlipped ? -1 : 1);
+        runner.isJumping = true;
+        runner.jumpHeld = false;
+        runner.jumpHeldTime = 0;
+        runner.rotationSpeed = 15;
+    },
+
+    findTouchingOrb(world, runner) {
+        for (const orb of this.nearRunner(world, 'orbs', runner)) {
+            if (orb !== runner.lastOrb && this.checkCollision(
+                runner.x, runner.y, runner.width, runner.height,
+                orb.x - world.cameraX, orb.y, orb.width, orb.height
+            )) {
+                return orb;
+            }
+        }
+        return null;
+    },
+
+    releaseJump(runner) {
+        runner.inputHeld = false;
+        runner.jumpHeld = false;
+        runner.jumpHeldTime = 0;
+    },
+
+    /**
+     * Check if a runner is on the ground or a platform
+     */
+    isOnGround(world, runner) {
+        // Check ground, or the ceiling when gravity is flipped (with small tolerance for floating point)
+        if (runner.gravityFlipped ? runner.y <= world.level.ceilingY + 2 : runner.y >= runner.groundY - 2) {
+            return true;
+        }
+
+        // Check platforms (standing on top, or hanging underneath with flipped gravity)
+        for (const platform of this.nearRunner(world, 'platforms', runner)) {
+            const platformScreenX = platform.x - world.cameraX;
+            if (platformScreenX < runner.x + runner.width &&
+                platformScreenX + platform.width > runner.x) {
+                if (!runner.gravityFlipped && Math.abs((runner.y + runner.height) - platform.y) < 5 && runner.velocityY >= 0) {
+                    return true;
+                }
+                if (runner.gravityFlipped && Math.abs(runner.y - (platform.y + platform.height)) < 5 && runner.velocityY <= 0) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    },
+
+    /**
+     * Step one runner's physics and collisions (the camera has already moved)
+     * Returns false if the runner died this step
+     */
+    step(world, runner) {
+        runner.previousY = runner.y;
+        this.updateMotion(world);
+        this.carryRunner(world, runner);
+        const direction = runner.gravityFlipped ? -1 : 1; // Which way is "down" on screen
+
+        if (runner.mode === 'ship') {
+            this.updateShip(world, runner, direction);
+        } else {
+            // Holding jump extends the jump for up to maxJumpHold milliseconds
+            if (runner.jumpHeld && runner.isJumping && runner.jumpHeldTime < world.maxJumpHold) {
+                const held = Math.min(FIXED_TIMESTEP, world.maxJumpHold - runner.jumpHeldTime);
+                runner.velocityY -= world.holdJumpBonus * held * direction;
+                runner.jumpHeldTime += held;
+            }
+
+            runner.velocityY += world.gravity * direction;
+        }
+        runner.y += runner.velocityY;
+
+        if (runner.mode === 'ship') {
+            // Ships tilt towards where they are heading
+            runner.rotation = Math.max(-40, Math.min(40, runner.velocityY * 4));
+        } else if (runner.isJumping) {
+            runner.rotation += runner.rotationSpeed;
+            if (runner.rotation >= 360) {
+                runner.rotation -= 360;
+            }
+        } else {
+            // Continuous rotation like Geometry Dash
+            runner.rotation += 5;
+            if (runner.rotation >= 360) {
+                runner.rotation -= 360;
+            }
+        }
+
+        // The floor is the ground, or the level's ceiling when gravity is flipped
+        const floorY = runner.gravityFlipped ? world.level.ceilingY : runner.groundY;
+        const ceilingY = runner.gravityFlipped ? runner.groundY : world.level.ceilingY;
+
+        // Ground collision
+        if ((runner.y - floorY) * direction >= 0) {
+            runner.y = floorY;
+            runner.velocityY = 0;
+            runner.isJumping = false;
+            runner.rotationSpeed = 0;
+        }
+
+        // Platform collision (top only, or bottom only with flipped gravity)
+        for (const platform of this.nearRunner(world, 'platforms', runner)) {
+            const platformScreenX = platform.x - world.cameraX;
+
+            if (platformScreenX < runner.x + runner.width &&
+                platformScreenX + platform.width > runner.x &&
+                runner.y + runner.height > platform.y &&
+                runner.y < platform.y + platform.height &&
+                runner.velocityY * direction > 0) {
+
+                if (!runner.gravityFlipped && runner.y + runner.height <= platform.y + 10) {
+                    // Landing on top of platform
+                    runner.y = platform.y - runner.height;
+                } else if (runner.gravityFlipped && runner.y >= platform.y + platform.height - 10) {
+                    // Landing on the underside of the platform
+                    runner.y = platform.y + platform.height;
+                } else {
+                    continue;
+                }
+                runner.velocityY = 0;
+                runner.isJumping = false;
+                runner.rotationSpeed = 0;
+            }
+        }
+
+        // Ceiling collision
+        if ((runner.y - ceilingY) * direction < 0) {
+            runner.y = ceilingY;
+            runner.velocityY = 0;
+        }
+
+        // Jump pads launch the runner on contact (unless it is already moving away from them)
+        for (const pad of this.nearRunner(world, 'pads', runner)) {
+            const padScreenX = pad.x - world.cameraX;
+
+            if (runner.velocityY * direction >= 0 && this.checkCollision(
+                runner.x, runner.y, runner.width, runner.height,
+                padScreenX, pad.y, pad.width, pad.height
+            )) {
+                this.launch(world, runner, pad.strength);
+                if (world.padLaunched) {
+                    world.padLaunched(runner, pad);
+                }
+            }
+        }
+
+        this.applyPortals(world, runner);
+
+        if (runner.graceSteps > 0) {
+            runner.graceSteps--;
+        } else if (this.touchesHazard(world, runner) && !this.absorbHit(world, runner)) {
+            return false;
+        }
+
+        // Fell off the bottom of the view
+        if (runner.y > world.viewHeight) {
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Whether a runner overlaps an obstacle or spike (its hitbox shrunk by hitboxInset)
+     */
+    touchesHazard(world, runner) {
+        const inset = world.hitboxInset;
+        const x = runner.x + inset;
+        const y = runner.y + inset;
+        const width = runner.width - inset * 2;
+        const height = runner.height - inset * 2;
+        const touching = (object) => this.checkCollision(
+            x, y, width, height,
+            object.x - world.cameraX, object.y, object.width, object.height
+        );
+
+        return this.nearRunner(world, 'obstacles', runner).some(touching) ||
+            this.nearRunner(world, 'spikes', runner).some(touching);
+    },
+
+    /**
+     * Let the shield take a hazard hit if it has any left; returns false if the runner dies.
+     * The runner then passes through hazards for SHIELD_GRACE_STEPS, so it isn't hit
+     * again by whatever it is still inside.
+     */
+    absorbHit(world, runner) {
+        if (runner.hitsTaken >= world.shieldHits) return false;
+
+        runner.hitsTaken++;
+        runner.graceSteps = SHIELD_GRACE_STEPS;
+        if (world.shieldBroken) {
+            world.shieldBroken(runner);
+        }
+        return true;
+    },
+
+    /**
+     * Ship physics: thrust while input is held, sink otherwise
+     */
+    updateShip(world, runner, direction) {
+        runner.velocityY += (runner.inputHeld ? -world.shipThrust : world.shipGravity) * direction;
+        runner.velocityY = Math.max(-world.shipMaxSpeed, Math.min(world.shipMaxSpeed, runner.velocityY));
+    },
+
+    /**
+     * Trigger every portal the runner has passed since the last step
+     */
+    applyPortals(world, runner) {
+        const portals = world.level.portals;
+        const runnerCenterX = world.cameraX + runner.x + runner.width / 2;
+
+        while (runner.portalIndex < portals.length &&
+               portals[runner.portalIndex].x + portals[runner.portalIndex].width / 2 <= runnerCenterX) {
+            const portal = portals[runner.portalIndex++];
+
+            if (portal.type === 'gravity') {
+                const flipped = portal.gravity === 'flipped';
+                if (flipped !== runner.gravityFlipped) {
+                    runner.gravityFlipped = flipped;
+                    runner.isJumping = true; // Falling towards the new floor
+                    runner.jumpHeld = false;
+                }
+            } else if (portal.type === 'mode') {
+                runner.mode = portal.mode;
+                runner.jumpHeld = false;
+                runner.isJumping = portal.mode === 'cube' && !this.isOnGround(world, runner);
+                runner.rotation = 0;
+                runner.rotationSpeed = runner.isJumping ? 15 : 0;
+            } else if (portal.type === 'speed' && runner === world.player) {
+                // The camera is shared, so only the main runner changes speed
+                world.scrollSpeed = world.baseScrollSpeed * portal.speed;
+            }
+        }
+    },
+
+    /**
+     * Name of the level section at level position `x` ('Start' before the first one)
+     */
+    sectionAt(level, x) {
+        let name = 'Start';
+        for (const section of level.sections) {
+            if (section.x > x) break;
+            name = section.name;
+        }
+        return name;
+    },
+
+    /**
+     * Check collision between two rectangles
+     */
+    checkCollision(x1, y1, w1, h1, x2, y2, w2, h2) {
+        return x1 < x2 + w2 &&
+               x1 + w1 > x2 &&
+               y1 < y2 + h2 &&
+               y1 + h1 > y2;
+    }
+};
+
+/**
+ * A level played without rendering: press(), release() and step() drive the
+ * player exactly as the game does (one step = FIXED_TIMESTEP ms)
+ *
+ *   const sim = new LevelSimulation(BUILT_IN_LEVELS.classic);
+ *   sim.press();
+ *   while (sim.state === 'running') sim.step();
+ */
+class LevelSimulation {
+    /**
+     * options.viewHeight: logical canvas height to lay the level out for (default 600)
+     * options.physics: overrides for DEFAULT_PHYSICS
+     * Throws a LevelFormatError if the definition is invalid
+     */
+    constructor(definition, options = {}) {
+        Object.assign(this, DEFAULT_PHYSICS, options.physics);
+        this.data = LevelFormat.parse(definition);
+        this.level = Simulation.createLevel(this.data);
+        this.viewHeight = options.viewHeight || DEFAULT_VIEW_HEIGHT;
+        this.baseScrollSpeed = this.data.settings.scrollSpeed;
+        this.player = Simulation.createRunner();
+
+        const groundY = Simulation.layoutLevel(this.level, this.viewHeight);
+        this.player.groundY = groundY - this.player.height;
+        this.reset();
+    }
+
+    reset() {
+        this.state = 'running'; // running, dead, won
+        this.cameraX = 0;
+        this.scrollSpeed = this.baseScrollSpeed;
+        this.stepCount = 0;
+        Simulation.resetRunner(this.player);
+    }
+
+    press() {
+        return Simulation.pressJump(this, this.player);
+    }
+
+    release() {
+        Simulation.releaseJump(this.player);
+    }
+
+    /**
+     * Advance one step; returns the new state
+     */
+    step() {
+        if (this.state !== 'running') return this.state;
+
+        this.cameraX += this.scrollSpeed;
+        this.stepCount++;
+        if (!Simulation.step(this, this.player)) {
+            this.state = 'dead';
+        } else if (this.cameraX >= this.level.width) {
+            this.state = 'won';
+        }
+        return this.state;
+    }
+
+    /**
+     * Copy of everything step() changes, for restore()
+     */
+    snapshot() {
+        return {
+            state: this.state,
+            cameraX: this.cameraX,
+            scrollSpeed: this.scrollSpeed,
+            stepCount: this.stepCount,
+            player: Object.assign({}, this.player)
+        };
+    }
+
+    restore(snapshot) {
+        this.state = snapshot.state;
+        this.cameraX = snapshot.cameraX;
+        this.scrollSpeed = snapshot.scrollSpeed;
+        this.stepCount = snapshot.stepCount;
+        Object.assign(this.player, snapshot.player);
+    }
+
+    /**
+     * Run a recording's inputs ([step, 1 = press / 0 = release], see replay.js)
+     * until the level ends or `maxSteps` have passed; returns the final state.
+     * Inputs before the current step are skipped, so a restored snapshot can carry on.
+     */
+    play(inputs, maxSteps = Infinity) {
+        let index = 0;
+        while (index < inputs.length && inputs[index][0] < this.stepCount) {
+            index++;
+        }
+        while (this.state === 'running' && this.stepCount < maxSteps) {
+            while (index < inputs.length && inputs[index][0] <= this.stepCount) {
+                if (inputs[index][1]) {
+                    this.press();
+                } else {
+                    this.release();
+                }
+                index++;
+            }
+            this.step();
+        }
+        return this.state;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FIXED_TIMESTEP, DEFAULT_PHYSICS, DEFAULT_VIEW_HEIGHT, Simulation, LevelSimulation };
+}
@@ -0,0 +1,395 @@
+/**
+ * Level Solver
+ * Proves a level is beatable by searching jump timings with the headless
+ * LevelSimulation, and reports the places where it isn't (or only barely is).
+ *
+ * The search walks the level one simulation step at a time. At every step each
+ * reachable runner state can keep the jump input as it is or make one of
+ * SOLVER_INPUTS. States that end up the same (to within SOLVER_PRECISION) are
+ * merged, so the frontier stays small. Working back from the end then marks
+ * every state that can still finish the level.
+ *
+ * From those states the solver plans the route whose narrowest timing window is
+ * widest, making each input halfway through the steps where it works. It then
+ * measures each input's timing window: how many consecutive steps it can be made
+ * on (with every other input unchanged) and still finish. Inputs whose window is
+ * no wider than `frameWindow` steps are reported (1 = frame-perfect).
+ */
+
+const SOLVER_PRECISION = 10; // Positions and speeds are compared to 1/10 pixel
+const SOLVER_MAX_STATES = 5000; // States kept per step before the search starts dropping some
+const SOLVER_MAX_SHIFT = 30; // Widest timing window measured in each direction (steps)
+const SOLVER_WON = { won: true }; // Shared end node for every route that finishes
+
+// Inputs tried at each step besides keeping the input as it is, in order of preference:
+// 'tap' presses and releases it within the step (only while it's released), 'toggle'
+// presses or releases it
+const SOLVER_INPUTS = ['tap', 'toggle'];
+const SOLVER_CHOICES = ['keep'].concat(SOLVER_INPUTS);
+
+const LevelSolver = {
+    /**
+     * Search a level definition for a route to the end
+     *
+     * options.viewHeight, options.physics: passed to LevelSimulation
+     * options.frameWindow: widest timing window (in steps) reported as frame-perfect (default 1)
+     * options.maxStates: states kept per step (default SOLVER_MAX_STATES)
+     *
+     * Returns {
+     *   levelId, beatable, exhaustive (false if states were dropped, so "impossible" isn't proven),
+     *   inputs (the planned route as [step, 1 = press / 0 = release], see replay.js),
+     *   steps, minWindow (null if no input is needed), furthestX,
+     *   problems: [{ type: 'impossible' | 'frame-perfect', section, x, step, input, window }]
+     * }
+     * Throws a LevelFormatError if the definition is invalid
+     */
+    solve(definition, options = {}) {
+        const sim = new LevelSimulation(definition, options);
+        if (!isFinite(sim.level.width)) {
+            throw new Error('Only levels with an end can be solved');
+        }
+
+        const search = this.search(sim, options.maxStates || SOLVER_MAX_STATES);
+        const report = {
+            levelId: sim.level.id,
+            beatable: search.root.good,
+            exhaustive: search.exhaustive,
+            inputs: [],
+            steps: 0,
+            minWindow: null,
+            furthestX: Math.round(search.furthestX),
+            problems: []
+        };
+
+        if (!report.beatable) {
+            report.problems.push({
+                type: 'impossible',
+                section: Simulation.sectionAt(sim.level, search.furthestX),
+                x: report.furthestX,
+                step: search.furthestStep,
+                input: null,
+                window: 0
+            });
+            return report;
+        }
+
+        report.inputs = this.followRoute(this.planRoute(search.root));
+
+        sim.reset();
+        if (sim.play(report.inputs) !== 'won') {
+            // Merged states differ slightly from the real ones; shouldn't happen at SOLVER_PRECISION
+            throw new Error(`The route found for "${sim.level.id}" doesn't finish when replayed`);
+        }
+        report.steps = sim.stepCount;
+
+        const frameWindow = options.frameWindow || 1;
+        this.measureWindows(sim, report.inputs).forEach(timing => {
+            report.minWindow = report.minWindow === null ? timing.window : Math.min(report.minWindow, timing.window);
+            if (timing.window <= frameWindow) {
+                report.problems.push(Object.assign({
+                    type: 'frame-perfect',
+                    section: Simulation.sectionAt(sim.level, timing.x)
+                }, timing));
+            }
+        });
+        return report;
+    },
+
+    /**
+     * Build the graph of reachable states, step by step, and mark which ones can still finish
+     */
+    search(sim, maxStates) {
+        sim.reset();
+        const root = this.createNode(sim, this.motionKey(sim));
+        const layers = [[root]];
+        let exhaustive = true;
+        let furthestX = root.x;
+        let furthestStep = 0;
+
+        while (layers[layers.length - 1].length > 0) {
+            const next = new Map();
+            layers[layers.length - 1].forEach(node => {
+                SOLVER_CHOICES.forEach(choice => {
+                    node[choice] = choice === 'tap' && node.inputHeld ? null : this.expand(sim, node, choice, next);
+                });
+                node.snapshot = null; // Only needed to expand the node
+            });
+
+            let states = Array.from(next.values());
+            if (states.length > maxStates) {
+                // Keep an even spread of what's left rather than just the first ones found
+                exhaustive = false;
+                const stride = states.length / maxStates;
+                states = Array.from({ length: maxStates }, (unused, index) => states[Math.floor(index * stride)]);
+                const kept = new Set(states);
+                layers[layers.length - 1].forEach(node => {
+                    SOLVER_CHOICES.forEach(choice => {
+                        if (node[choice] !== SOLVER_WON && !kept.has(node[choice])) node[choice] = null;
+                    });
+                });
+            }
+            states.forEach(node => {
+                if (node.x > furthestX) {
+                    furthestX = node.x;
+                    furthestStep = node.step;
+                }
+            });
+            layers.push(states);
+        }
+
+        // A state can finish if any of its choices leads to a state that can
+        for (let index = layers.length - 1; index >= 0; index--) {
+            layers[index].forEach(node => {
+                node.good = SOLVER_CHOICES.some(choice => this.isGood(node[choice]));
+            });
+        }
+
+        return { root, layers, exhaustive, furthestX, furthestStep };
+    },
+
+    createNode(sim, motion) {
+        return {
+            step: sim.stepCount,
+            x: sim.cameraX + sim.player.x, // Runner's position in the level
+            inputHeld: sim.player.inputHeld,
+            motion: motion,
+            snapshot: sim.snapshot(),
+            good: false
+        };
+    },
+
+    /**
+     * Child of `node` after one step with the given choice
+     * (null if the runner dies, SOLVER_WON if it finishes)
+     */
+    expand(sim, node, choice, next) {
+        sim.restore(node.snapshot);
+        const toggles = { keep: 0, toggle: 1, tap: 2 }[choice];
+        for (let i = 0; i < toggles; i++) {
+            if (sim.player.inputHeld) {
+                sim.release();
+            } else {
+                sim.press();
+            }
+        }
+
+        const state = sim.step();
+        if (state === 'dead') return null;
+        if (state === 'won') return SOLVER_WON;
+
+        const motion = this.motionKey(sim);
+        const key = `${motion},${sim.player.inputHeld ? 1 : 0}`;
+        if (!next.has(key)) {
+            next.set(key, this.createNode(sim, motion));
+        }
+        return next.get(key);
+    },
+
+    /**
+     * Everything that affects what happens next apart from whether the input is held
+     * (rotation is only drawn, so it's left out too)
+     */
+    motionKey(sim) {
+        const player = sim.player;
+        const round = (value) => Math.round(value * SOLVER_PRECISION);
+        // Once a jump can't be held any longer, whether it still counts as held makes no difference
+        const holding = player.jumpHeld && player.isJumping && player.jumpHeldTime < sim.maxJumpHold;
+        return [
+            round(sim.cameraX),
+            round(sim.scrollSpeed),
+            round(player.y),
+            round(player.velocityY),
+            player.isJumping ? 1 : 0,
+            holding ? 1 : 0,
+            holding ? round(player.jumpHeldTime) : 0,
+            player.gravityFlipped ? 1 : 0,
+            player.mode,
+            player.portalIndex,
+            sim.level.orbs.indexOf(player.lastOrb)
+        ].join(',');
+    },
+
+    isGood(child) {
+        return child === SOLVER_WON || (child !== null && child.good);
+    },
+
+    /**
+     * Whether making `input` at `node` still finishes and does something (pressing
+     * mid-air, say, ends up where waiting would apart from the input being held)
+     */
+    works(node, input) {
+        return this.isGood(node[input]) && !this.isNoOp(node, input);
+    },
+
+    isNoOp(node, input) {
+        const child = node[input];
+        return Boolean(child && child !== SOLVER_WON && node.keep && node.keep !== SOLVER_WON &&
+            child.motion === node.keep.motion);
+    },
+
+    /**
+     * Plan the route with the widest narrowest timing window. Between inputs the route
+     * waits (letting go of the input as soon as holding it stops making a difference),
+     * and each input is made halfway through the run of steps where it works, so that
+     * run's length is roughly the input's window. Returns the route's segments:
+     * [{ from, at, input }] (at is null for the last one if it just waits to the end).
+     */
+    planRoute(root) {
+        const widest = 2 * SOLVER_MAX_SHIFT + 1;
+        const better = (plan, than) => !than || plan.window > than.window ||
+            (plan.window === than.window && plan.inputs < than.inputs);
+
+        // States reached by an input, by step; each one's best plan is settled before its step comes up
+        const starts = [[root]];
+        root.plan = { window: Infinity, inputs: 0, from: null };
+        let finish = null;
+
+        for (let step = 0; step < starts.length; step++) {
+            (starts[step] || []).forEach(from => {
+                const chain = [];
+                let node = from;
+                while (node !== null && node !== SOLVER_WON) {
+                    chain.push(node);
+                    node = this.waitFrom(node);
+                }
+                if (node === SOLVER_WON) {
+                    const plan = { window: from.plan.window, inputs: from.plan.inputs, from, at: null };
+                    if (better(plan, finish)) finish = plan;
+                }
+
+                SOLVER_INPUTS.forEach(input => {
+                    let first = 0;
+                    chain.forEach((at, index) => {
+                        if (!this.works(at, input)) {
+                            first = index + 1;
+                            return;
+                        }
+                        if (index + 1 < chain.length && this.works(chain[index + 1], input)) return;
+
+                        // chain[first..index] is a run of steps where the input works
+                        const middle = chain[first + Math.floor((index - first) / 2)];
+                        const child = middle[input];
+                        const plan = {
+                            window: Math.min(from.plan.window, widest, index - first + 1),
+                            inputs: from.plan.inputs + 1,
+                            from,
+                            at: middle,
+                            input
+                        };
+                        if (child === SOLVER_WON) {
+                            if (better(plan, finish)) finish = plan;
+                        } else if (!child.plan) {
+                            child.plan = plan;
+                            (starts[child.step] = starts[child.step] || []).push(child);
+                        } else if (better(plan, child.plan)) {
+                            child.plan = plan;
+                        }
+                    });
+                });
+            });
+        }
+
+        const segments = [];
+        for (let plan = finish; plan && plan.from; plan = plan.from.plan) {
+            segments.unshift(plan);
+        }
+        return segments;
+    },
+
+    /**
+     * State the route reaches by waiting a step at `node` (null if waiting fails)
+     */
+    waitFrom(node) {
+        if (node.inputHeld && this.isGood(node.toggle) && this.isNoOp(node, 'toggle')) {
+            return node.toggle;
+        }
+        return this.isGood(node.keep) ? node.keep : null;
+    },
+
+    /**
+     * Input events along the planned route
+     */
+    followRoute(segments) {
+        const inputs = [];
+        segments.forEach(segment => {
+            let node = segment.from;
+            while (node !== segment.at && node !== SOLVER_WON) {
+                const next = this.waitFrom(node);
+                if (next !== node.keep) {
+                    inputs.push([node.step, 0]); // Let go
+                }
+                node = next;
+            }
+            if (segment.at) {
+                inputs.push([node.step, node.inputHeld ? 0 : 1]);
+                if (segment.input === 'tap') {
+                    inputs.push([node.step, 0]);
+                }
+            }
+        });
+        return inputs;
+    },
+
+    /**
+     * Timing window of each press (moved together with its release, so the jump
+     * keeps its length) and of each release that comes after the press
+     * Returns [{ step, x, input: 'press' | 'release', window }]
+     */
+    measureWindows(sim, inputs) {
+        // Snapshot at every step of the route, so each retry starts where it differs
+        const snapshots = [];
+        sim.reset();
+        let index = 0;
+        while (sim.state === 'running') {
+            snapshots.push(sim.snapshot());
+            while (index < inputs.length && inputs[index][0] === sim.stepCount) {
+                if (inputs[index][1]) {
+                    sim.press();
+                } else {
+                    sim.release();
+                }
+                index++;
+            }
+            sim.step();
+        }
+
+        const timings = [];
+        inputs.forEach((event, eventIndex) => {
+            const pressed = event[1] === 1;
+            const previous = inputs[eventIndex - 1];
+            const following = inputs[eventIndex + 1];
+            if (!pressed && previous && previous[1] && previous[0] === event[0]) {
+                return; // Second half of a tap, moved with its press
+            }
+
+            // Moving events mustn't reorder them, so the neighbours bound how far they go
+            const moved = pressed && following && !following[1] ? [eventIndex, eventIndex + 1] : [eventIndex];
+            const first = moved[0];
+            const last = moved[moved.length - 1];
+            const earliest = first > 0 ? inputs[first - 1][0] - event[0] : -event[0];
+            const latest = last < inputs.length - 1 ? inputs[last + 1][0] - inputs[last][0] : Infinity;
+
+            const works = (shift) => {
+                const shifted = inputs.map((input, i) => (moved.includes(i) ? [input[0] + shift, input[1]] : input));
+                sim.restore(snapshots[event[0] + Math.min(0, shift)]);
+                return sim.play(shifted) === 'won';
+            };
+            let window = 1;
+            for (let shift = 1; shift <= Math.min(SOLVER_MAX_SHIFT, latest) && works(shift); shift++) window++;
+            for (let shift = -1; shift >= Math.max(-SOLVER_MAX_SHIFT, earliest) && works(shift); shift--) window++;
+
+            const snapshot = snapshots[event[0]];
+            timings.push({
+                step: event[0],
+                x: Math.round(snapshot.cameraX + snapshot.player.x),
+                input: pressed ? 'press' : 'release',
+                window: window
+            });
+        });
+        return timings;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LevelSolver };
+}
@@ -0,0 +1,73 @@
+/**
+ * Spatial Index
+ * Finds the objects of a level list that can be near an x range without
+ * looking at the rest of the list. Items go into every SPATIAL_BUCKET_WIDTH
+ * pixel wide bucket their x range touches (for a moving object, its whole
+ * path), and are stored by their position in the list, so query() hands them
+ * back in list order: collisions come out the same as a loop over the whole
+ * list, and recorded runs replay exactly.
+ *
+ * See Simulation.indexLevel and Simulation.nearby in simulation.js.
+ */
+
+const SPATIAL_BUCKET_WIDTH = 256;
+const NO_POSITIONS = Object.freeze([]);
+
+class SpatialIndex {
+    constructor(bucketWidth = SPATIAL_BUCKET_WIDTH) {
+        this.bucketWidth = bucketWidth;
+        this.buckets = new Map(); // Bucket number -> list positions, ascending
+    }
+
+    /**
+     * Add the item at `position` in its list, which can be anywhere from x `left` to `right`.
+     * Items must be added in list order.
+     */
+    insert(position, left, right) {
+        const last = Math.floor(right / this.bucketWidth);
+        for (let bucket = Math.floor(left / this.bucketWidth); bucket <= last; bucket++) {
+            const positions = this.buckets.get(bucket);
+            if (positions) {
+                positions.push(position);
+            } else {
+                this.buckets.set(bucket, [position]);
+            }
+        }
+    }
+
+    /**
+     * List positions of the items that may overlap x `left` to `right`,
+     * ascending and without repeats (don't modify the returned array)
+     */
+    query(left, right) {
+        const first = Math.floor(left / this.bucketWidth);
+        const last = Math.floor(right / this.bucketWidth);
+        if (first === last) {
+            return this.buckets.get(first) || NO_POSITIONS;
+        }
+
+        const found = [];
+        for (let bucket = first; bucket <= last; bucket++) {
+            const positions = this.buckets.get(bucket);
+            if (!positions) continue;
+            for (let i = 0; i < positions.length; i++) {
+                found.push(positions[i]);
+            }
+        }
+        found.sort((a, b) => a - b);
+
+        // Items wider than a bucket turn up once per bucket
+        let count = 0;
+        for (let i = 0; i < found.length; i++) {
+            if (i === 0 || found[i] !== found[i - 1]) {
+                found[count++] = found[i];
+            }
+        }
+        found.length = count;
+        return found;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SPATIAL_BUCKET_WIDTH, SpatialIndex };
+}
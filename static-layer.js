@@ -0,0 +1,165 @@
+/**
+ * Static Layer
+ * Blocks, spikes and platforms that don't move are drawn once into offscreen
+ * tiles STATIC_TILE_SIZE world pixels square, and each frame copies the few
+ * tiles in view instead of drawing every object. Tiles are drawn the first
+ * time they come into view; past STATIC_TILE_LIMIT the least recently used
+ * are dropped.
+ *
+ * The tiles are thrown away when anything on them changes: the level, its
+ * layout, the colors or the resolution. While the colors fade between themes
+ * (color triggers) and in the level editor, draw() leaves the static objects
+ * to the game, which draws them one by one as it does moving ones.
+ */
+
+// Lists on the layer, in drawing order, and the GeometryDashGame method that draws one object
+const STATIC_LISTS = { obstacles: 'drawObstacle', spikes: 'drawSpike', platforms: 'drawPlatform' };
+const STATIC_TILE_SIZE = 512;
+const STATIC_TILE_LIMIT = 32;
+const STATIC_TILE_MAX_SCALE = 2; // Most canvas pixels per world pixel (zoom and device pixel ratio)
+const STATIC_TILE_BLEED = 2; // World pixels tiles reach into their neighbours, for outlines and seams
+
+class StaticLayerCache {
+    constructor() {
+        this.tiles = new Map(); // "column:row" -> { column, canvas } (canvas null if empty), least recently used first
+        this.level = null;
+        this.key = null; // What the tiles were drawn for (see getKey())
+        this.bounds = null; // { top, bottom } of every static object on the layer
+    }
+
+    clear() {
+        this.tiles.clear();
+        this.bounds = null;
+    }
+
+    /**
+     * Forget the tiles an object added to the running level overlaps (endless mode)
+     */
+    invalidate(object) {
+        const first = Math.floor((object.x - STATIC_TILE_BLEED * 2) / STATIC_TILE_SIZE);
+        const last = Math.floor((object.x + object.width + STATIC_TILE_BLEED * 2) / STATIC_TILE_SIZE);
+        this.tiles.forEach((tile, id) => {
+            if (tile.column >= first && tile.column <= last) this.tiles.delete(id);
+        });
+        if (this.bounds) {
+            this.bounds.top = Math.min(this.bounds.top, object.y);
+            this.bounds.bottom = Math.max(this.bounds.bottom, object.y + object.height);
+        }
+    }
+
+    /**
+     * Draw the tiles in the camera's view onto the game's canvas (inside
+     * camera.begin()); returns false if the game should draw static objects itself
+     */
+    draw(game) {
+        if (game.palette.fade || game.gameState === 'editing') return false;
+
+        const key = this.getKey(game);
+        if (game.level !== this.level || key !== this.key) {
+            this.clear();
+            this.level = game.level;
+            this.key = key;
+        }
+        if (!this.bounds) {
+            this.bounds = this.measure(game.level);
+        }
+
+        const view = game.camera.view;
+        const top = Math.max(view.top, this.bounds.top - STATIC_TILE_BLEED);
+        const bottom = Math.min(view.top + view.height, this.bounds.bottom + STATIC_TILE_BLEED);
+        const firstColumn = Math.floor(view.left / STATIC_TILE_SIZE);
+        const lastColumn = Math.floor((view.left + view.width) / STATIC_TILE_SIZE);
+        const firstRow = Math.floor(top / STATIC_TILE_SIZE);
+        const lastRow = Math.floor(bottom / STATIC_TILE_SIZE);
+
+        const size = STATIC_TILE_SIZE + STATIC_TILE_BLEED * 2;
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                const canvas = this.getTile(game, column, row);
+                if (canvas) {
+                    game.ctx.drawImage(
+                        canvas,
+                        column * STATIC_TILE_SIZE - STATIC_TILE_BLEED, row * STATIC_TILE_SIZE - STATIC_TILE_BLEED,
+                        size, size
+                    );
+                }
+            }
+        }
+        return true;
+    }
+
+    getKey(game) {
+        const colors = game.palette.colors;
+        return [
+            game.viewHeight, this.getScale(game), game.accessibility.highContrast,
+            colors.obstacle, colors.spike, colors.platform
+        ].join('|');
+    }
+
+    /**
+     * Canvas pixels per world pixel: sharp at the level's closest zoom on this display, up to STATIC_TILE_MAX_SCALE
+     */
+    getScale(game) {
+        const zoom = game.level.zoomTriggers.reduce((closest, trigger) => Math.max(closest, trigger.zoom), 1);
+        return Math.min(STATIC_TILE_MAX_SCALE, (window.devicePixelRatio || 1) * zoom);
+    }
+
+    /**
+     * Vertical span of the level's static objects (rows outside it are never drawn)
+     */
+    measure(level) {
+        const bounds = { top: Infinity, bottom: -Infinity };
+        Object.keys(STATIC_LISTS).forEach(listName => {
+            level[listName].forEach(object => {
+                if (object.motion) return;
+                bounds.top = Math.min(bounds.top, object.y);
+                bounds.bottom = Math.max(bounds.bottom, object.y + object.height);
+            });
+        });
+        return bounds;
+    }
+
+    /**
+     * A tile's canvas (drawing it if needed), or null if nothing static is on it
+     */
+    getTile(game, column, row) {
+        const id = `${column}:${row}`;
+        let tile = this.tiles.get(id);
+        if (tile) {
+            this.tiles.delete(id); // Move to the most recently used end
+        } else {
+            tile = { column: column, canvas: this.render(game, column, row) };
+            if (this.tiles.size >= STATIC_TILE_LIMIT) {
+                this.tiles.delete(this.tiles.keys().next().value);
+            }
+        }
+        this.tiles.set(id, tile);
+        return tile.canvas;
+    }
+
+    render(game, column, row) {
+        const size = STATIC_TILE_SIZE + STATIC_TILE_BLEED * 2;
+        const left = column * STATIC_TILE_SIZE - STATIC_TILE_BLEED;
+        const top = row * STATIC_TILE_SIZE - STATIC_TILE_BLEED;
+        const onTile = (object) => !object.motion &&
+            object.y - STATIC_TILE_BLEED < top + size && object.y + object.height + STATIC_TILE_BLEED > top;
+
+        const lists = Object.keys(STATIC_LISTS).map(listName => ({
+            method: STATIC_LISTS[listName],
+            objects: Simulation.nearby(game.level, listName, left - STATIC_TILE_BLEED, left + size + STATIC_TILE_BLEED).filter(onTile)
+        }));
+        if (lists.every(list => list.objects.length === 0)) return null;
+
+        const scale = this.getScale(game);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(size * scale);
+        canvas.height = canvas.width;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(canvas.width / size, canvas.height / size);
+        ctx.translate(-left, -top);
+        lists.forEach(list => {
+            list.objects.forEach(object => game[list.method](ctx, object));
+        });
+        return canvas;
+    }
+}
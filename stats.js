@@ -0,0 +1,384 @@
+/**
+ * Player Statistics & Achievements
+ * Lifetime stats (attempts, jumps, distance, deaths per level section,
+ * completions, streaks) kept in versioned localStorage, achievements unlocked
+ * by rules declared in ACHIEVEMENTS, unlock toasts drawn on the canvas, and the
+ * stats page.
+ *
+ * GeometryDashGame calls runStarted(), jumped(), died() and won() as the run
+ * progresses; everything else happens here.
+ */
+
+const STATS_STORAGE_KEY = 'geometryDashStats';
+const STATS_VERSION = 1;
+const TOAST_DURATION = 3500; // Milliseconds an unlock toast stays on screen
+
+// Upgrades for stored stats: STATS_MIGRATIONS[n] turns version n data into version n + 1
+const STATS_MIGRATIONS = {};
+
+/**
+ * Achievements unlock once the stat at `rule.stat` (a dotted path into the
+ * stats object, e.g. 'levels.classic.completions') reaches `rule.atLeast`
+ */
+const ACHIEVEMENTS = [
+    { id: 'first-jump', name: 'Lift Off', description: 'Jump for the first time', rule: { stat: 'jumps', atLeast: 1 } },
+    { id: 'jumps-1000', name: 'Spring Loaded', description: 'Jump 1,000 times', rule: { stat: 'jumps', atLeast: 1000 } },
+    { id: 'attempts-100', name: 'Persistent', description: 'Start 100 attempts', rule: { stat: 'attempts', atLeast: 100 } },
+    { id: 'deaths-500', name: 'Never Give Up', description: 'Crash 500 times', rule: { stat: 'deaths', atLeast: 500 } },
+    { id: 'run-300', name: 'Getting Somewhere', description: 'Travel 300m in a single run', rule: { stat: 'bestRun', atLeast: 300 } },
+    { id: 'distance-10000', name: 'Marathon', description: 'Travel 10,000m in total', rule: { stat: 'distance', atLeast: 10000 } },
+    { id: 'first-clear', name: 'Finish Line', description: 'Complete any level', rule: { stat: 'completions', atLeast: 1 } },
+    { id: 'classic-clear', name: 'Classic', description: 'Complete the Classic level', rule: { stat: 'levels.classic.completions', atLeast: 1 } },
+    { id: 'streak-3', name: 'Hat Trick', description: 'Complete 3 levels in a row without dying', rule: { stat: 'longestStreak', atLeast: 3 } },
+    { id: 'endless-1000', name: 'Endless Runner', description: 'Reach 1,000m in Endless Mode', rule: { stat: 'levels.endless.bestRun', atLeast: 1000 } }
+];
+
+class PlayerStats {
+    constructor() {
+        const data = PlayerStats.load();
+        this.stats = data.stats;
+        this.unlocked = data.unlocked; // Achievement id -> ISO date it was unlocked
+        this.toasts = []; // { title, text, shownAt } waiting to be drawn or on screen
+        this.segmentStartX = null; // cameraX the current stretch of the run started at
+    }
+
+    static createStats() {
+        return {
+            attempts: 0,
+            jumps: 0,
+            distance: 0, // Metres travelled in all runs
+            deaths: 0,
+            completions: 0,
+            bestRun: 0, // Longest distance in a single run
+            currentStreak: 0, // Levels completed since the last death
+            longestStreak: 0,
+            levels: {} // Level id -> { name, attempts, completions, bestRun, deathsBySection }
+        };
+    }
+
+    /**
+     * Read stored stats, upgrading older versions with STATS_MIGRATIONS
+     */
+    static load() {
+        const fresh = { version: STATS_VERSION, stats: PlayerStats.createStats(), unlocked: {} };
+        let data;
+        try {
+            data = JSON.parse(localStorage.getItem(STATS_STORAGE_KEY));
+        } catch (e) {
+            data = null;
+        }
+        if (!data || typeof data.version !== 'number') return fresh;
+
+        while (data.version < STATS_VERSION && STATS_MIGRATIONS[data.version]) {
+            data = STATS_MIGRATIONS[data.version](data);
+        }
+        if (data.version !== STATS_VERSION) {
+            console.warn(`Ignoring stats saved with unsupported version ${data.version}`);
+            return fresh;
+        }
+
+        data.stats = Object.assign(PlayerStats.createStats(), data.stats);
+        data.unlocked = data.unlocked || {};
+        return data;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify({
+                version: STATS_VERSION,
+                stats: this.stats,
+                unlocked: this.unlocked
+            }));
+        } catch (e) {
+            console.error('Failed to save stats:', e);
+        }
+    }
+
+    getLevel(level) {
+        if (!this.stats.levels[level.id]) {
+            this.stats.levels[level.id] = { name: level.name, attempts: 0, completions: 0, bestRun: 0, deathsBySection: {} };
+        }
+        return this.stats.levels[level.id];
+    }
+
+    /**
+     * Name of the level section at `x` ('Start' before the first one; 100m bands in endless mode)
+     */
+    static sectionAt(level, x) {
+        if (!isFinite(level.width)) {
+            const band = Math.floor(x / 1000) * 100;
+            return `${band}-${band + 100}m`;
+        }
+        return Simulation.sectionAt(level, x);
+    }
+
+    /**
+     * A new attempt started (also called when practice mode respawns)
+     */
+    runStarted(game) {
+        this.stats.attempts++;
+        this.getLevel(game.level).attempts++;
+        this.segmentStartX = game.cameraX;
+        this.checkAchievements();
+        this.save();
+    }
+
+    jumped() {
+        this.stats.jumps++;
+        this.checkAchievements(); // Saved with the rest of the run
+    }
+
+    died(game) {
+        const levelStats = this.getLevel(game.level);
+        const section = PlayerStats.sectionAt(game.level, game.cameraX + game.player.x);
+        levelStats.deathsBySection[section] = (levelStats.deathsBySection[section] || 0) + 1;
+
+        this.stats.deaths++;
+        this.stats.currentStreak = 0;
+        this.endSegment(game);
+        this.checkAchievements();
+        this.save();
+    }
+
+    won(game) {
+        const levelStats = this.getLevel(game.level);
+        levelStats.completions++;
+        this.stats.completions++;
+        this.stats.currentStreak++;
+        this.stats.longestStreak = Math.max(this.stats.longestStreak, this.stats.currentStreak);
+        this.endSegment(game);
+        this.checkAchievements();
+        this.save();
+    }
+
+    /**
+     * Count the distance travelled since the run (or practice respawn) started
+     */
+    endSegment(game) {
+        if (this.segmentStartX === null) return;
+
+        const travelled = Math.max(0, Math.floor((game.cameraX - this.segmentStartX) / 10));
+        const levelStats = this.getLevel(game.level);
+        this.stats.distance += travelled;
+        this.stats.bestRun = Math.max(this.stats.bestRun, travelled);
+        levelStats.bestRun = Math.max(levelStats.bestRun, travelled);
+        this.segmentStartX = null;
+    }
+
+    /**
+     * Value at a dotted stat path (0 if it doesn't exist yet)
+     */
+    getStat(path) {
+        const value = path.split('.').reduce((object, key) => (object ? object[key] : undefined), this.stats);
+        return typeof value === 'number' ? value : 0;
+    }
+
+    /**
+     * Unlock every achievement whose rule is now met and queue a toast for it
+     */
+    checkAchievements() {
+        ACHIEVEMENTS.forEach(achievement => {
+            if (this.unlocked[achievement.id]) return;
+            if (this.getStat(achievement.rule.stat) < achievement.rule.atLeast) return;
+
+            this.unlocked[achievement.id] = new Date().toISOString();
+            this.notify('ACHIEVEMENT UNLOCKED', achievement.name);
+        });
+    }
+
+    /**
+     * Queue a toast (also used for unlocked icons, see icons.js)
+     */
+    notify(title, text) {
+        this.toasts.push({ title: title, text: text, shownAt: null });
+    }
+
+    /**
+     * Draw the oldest pending toast at the top of the canvas
+     */
+    drawToasts(ctx, logicalWidth) {
+        const toast = this.toasts[0];
+        if (!toast) return;
+
+        const now = performance.now();
+        if (toast.shownAt === null) toast.shownAt = now;
+        const age = now - toast.shownAt;
+        if (age > TOAST_DURATION) {
+            this.toasts.shift();
+            return;
+        }
+
+        // Slide in, hold, fade out
+        const alpha = Math.min(1, age / 200, (TOAST_DURATION - age) / 400);
+        const width = 320;
+        const height = 56;
+        const x = (logicalWidth - width) / 2;
+        const y = 12 - (1 - Math.min(1, age / 200)) * 20;
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = 'rgba(15, 23, 32, 0.9)';
+        ctx.strokeStyle = '#ffd400';
+        ctx.lineWidth = 2;
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeRect(x, y, width, height);
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ffd400';
+        ctx.font = 'bold 14px Arial';
+        ctx.fillText(toast.title, logicalWidth / 2, y + 22);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '16px Arial';
+        ctx.fillText(toast.text, logicalWidth / 2, y + 44);
+        ctx.restore();
+    }
+}
+
+/**
+ * Stats & achievements overlay
+ */
+class StatsScreen {
+    constructor(root) {
+        this.root = root;
+        this.summary = root.querySelector('#statsSummary');
+        this.sections = root.querySelector('#statsSections');
+        this.achievements = root.querySelector('#statsAchievements');
+
+        root.querySelectorAll('[data-stats-action="close"]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.close();
+            });
+        });
+
+        // Keys belong to the overlay while it is open
+        window.addEventListener('keydown', (e) => {
+            if (!this.isOpen) return;
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        }, true);
+        window.addEventListener('keyup', (e) => {
+            if (this.isOpen) e.stopPropagation();
+        }, true);
+    }
+
+    get isOpen() {
+        return this.root.style.display === 'flex';
+    }
+
+    /**
+     * Open the page for `stats`, with the death breakdown of `level`
+     */
+    show(stats, level) {
+        this.root.style.display = 'flex';
+        this.renderSummary(stats.stats);
+        this.renderSections(stats.stats.levels[level.id], level);
+        this.renderAchievements(stats.unlocked);
+    }
+
+    close() {
+        this.root.style.display = 'none';
+    }
+
+    renderSummary(stats) {
+        if (!this.summary) return;
+
+        this.summary.innerHTML = '';
+        [
+            ['Attempts', stats.attempts],
+            ['Jumps', stats.jumps],
+            ['Distance', `${stats.distance}m`],
+            ['Longest run', `${stats.bestRun}m`],
+            ['Deaths', stats.deaths],
+            ['Completions', stats.completions],
+            ['Longest streak', stats.longestStreak]
+        ].forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            this.summary.append(term, detail);
+        });
+    }
+
+    /**
+     * Deaths per section of the current level, as bars relative to the deadliest one
+     */
+    renderSections(levelStats, level) {
+        if (!this.sections) return;
+
+        this.sections.innerHTML = '';
+        const heading = document.createElement('h3');
+        heading.textContent = `Deaths on ${level.name}`;
+        this.sections.appendChild(heading);
+
+        const counts = levelStats ? levelStats.deathsBySection : {};
+        const names = Object.keys(counts);
+        if (names.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No deaths here yet.';
+            this.sections.appendChild(empty);
+            return;
+        }
+
+        // Level order for named sections; endless distance bands (and sections since removed) after them
+        const order = ['Start'].concat(level.sections.map(section => section.name));
+        const rank = (name) => (order.includes(name) ? order.indexOf(name) : order.length);
+        names.sort((a, b) => rank(a) - rank(b) || parseInt(a, 10) - parseInt(b, 10) || a.localeCompare(b));
+
+        const most = Math.max(...names.map(name => counts[name]));
+        names.forEach(name => {
+            const row = document.createElement('div');
+            row.className = 'stats-bar';
+            const label = document.createElement('span');
+            label.textContent = `${name} (${counts[name]})`;
+            const bar = document.createElement('span');
+            bar.className = 'stats-bar-fill';
+            bar.style.width = `${Math.round(counts[name] / most * 100)}%`;
+            row.append(label, bar);
+            this.sections.appendChild(row);
+        });
+    }
+
+    renderAchievements(unlocked) {
+        if (!this.achievements) return;
+
+        this.achievements.innerHTML = '';
+        ACHIEVEMENTS.forEach(achievement => {
+            const item = document.createElement('li');
+            const date = unlocked[achievement.id];
+            item.className = date ? 'achievement unlocked' : 'achievement';
+            item.textContent = `${achievement.name} - ${achievement.description}`;
+            if (date) item.title = `Unlocked ${new Date(date).toLocaleDateString()}`;
+            this.achievements.appendChild(item);
+        });
+    }
+}
+
+// Wire the stats page (the game is looked up on click, so load order doesn't matter)
+function setupStatsPage() {
+    const root = document.getElementById('statsScreen');
+    if (!root) return;
+
+    const screen = new StatsScreen(root);
+    window.statsScreen = screen;
+
+    document.querySelectorAll('[data-stats-open]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const instance = gameInstance || window.gameInstance;
+            if (!instance) return;
+
+            screen.show(instance.stats, instance.level);
+            button.blur();
+        });
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupStatsPage);
+} else {
+    setupStatsPage();
+}
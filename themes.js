@@ -0,0 +1,450 @@
+/**
+ * Themes
+ * Named color palettes for the game renderer, the color helpers it draws with
+ * and LevelPalette, which tracks a running level's colors as it passes color
+ * triggers.
+ *
+ * A level names a theme and can override single colors (see LEVEL_FORMAT.md);
+ * the default "site" theme takes its colors from the page's CSS custom
+ * properties (--bg, --surface, --text, --muted, --accent) when it has them.
+ */
+
+// Every color a palette defines
+const THEME_FIELDS = [
+    'background', 'parallaxFar', 'parallaxMid', 'parallaxNear', 'ground', 'groundLine',
+    'obstacle', 'spike', 'platform', 'pad', 'orb', 'coin',
+    'hud', 'hudMuted', 'hudAccent', 'progress'
+];
+
+const DEFAULT_THEME = 'site';
+
+const THEMES = {
+    classic: {
+        name: 'Classic',
+        colors: {
+            background: '#1a1a1a',
+            parallaxFar: '#2a2a2a',
+            parallaxMid: '#3a3a3a',
+            parallaxNear: '#4a4a4a',
+            ground: '#2a2a2a',
+            groundLine: '#555555',
+            obstacle: '#c0c0c0',
+            spike: '#808080',
+            platform: '#d0d0d0',
+            pad: '#ffd400',
+            orb: '#ff66cc',
+            coin: '#ffc61a',
+            hud: '#ffffff',
+            hudMuted: '#e0e0e0',
+            hudAccent: '#7dd3fc',
+            progress: '#00ff88'
+        }
+    },
+    // Classic colors with the page's CSS custom properties on top (see Themes.siteColors)
+    site: {
+        name: 'Site',
+        css: {
+            background: '--bg',
+            ground: '--surface',
+            groundLine: '--muted',
+            obstacle: '--accent',
+            spike: '--muted',
+            hud: '--text',
+            hudMuted: '--muted',
+            hudAccent: '--accent'
+        },
+        colors: null // Filled in from classic below
+    },
+    neon: {
+        name: 'Neon',
+        colors: {
+            background: '#0b0221',
+            parallaxFar: '#1a0b3d',
+            parallaxMid: '#2a1060',
+            parallaxNear: '#3d1785',
+            ground: '#120430',
+            groundLine: '#ff2bd6',
+            obstacle: '#00f0ff',
+            spike: '#ff2bd6',
+            platform: '#7cff00',
+            pad: '#fff200',
+            orb: '#ff7a00',
+            coin: '#ffe14d',
+            hud: '#ffffff',
+            hudMuted: '#c9b6ff',
+            hudAccent: '#00f0ff',
+            progress: '#ff2bd6'
+        }
+    },
+    sunset: {
+        name: 'Sunset',
+        colors: {
+            background: '#2d1b2e',
+            parallaxFar: '#4a2545',
+            parallaxMid: '#6b2f4f',
+            parallaxNear: '#8f3b52',
+            ground: '#3b1f2b',
+            groundLine: '#ff9e5e',
+            obstacle: '#ffb36b',
+            spike: '#e2545c',
+            platform: '#ffd28a',
+            pad: '#ffe066',
+            orb: '#ff7eb6',
+            coin: '#ffd700',
+            hud: '#fff4e6',
+            hudMuted: '#f3c9a8',
+            hudAccent: '#ffb36b',
+            progress: '#ff9e5e'
+        }
+    },
+    // Used for every level while the high contrast setting is on (see accessibility.js)
+    contrast: {
+        name: 'High contrast',
+        colors: {
+            background: '#000000',
+            parallaxFar: '#000000',
+            parallaxMid: '#000000',
+            parallaxNear: '#000000',
+            ground: '#000000',
+            groundLine: '#ffffff',
+            obstacle: '#ffff00',
+            spike: '#ff4040',
+            platform: '#00ffff',
+            pad: '#00ff00',
+            orb: '#ff40ff',
+            coin: '#ff9900',
+            hud: '#ffffff',
+            hudMuted: '#ffffff',
+            hudAccent: '#ffff00',
+            progress: '#00ff00'
+        }
+    },
+    ocean: {
+        name: 'Ocean',
+        colors: {
+            background: '#04202e',
+            parallaxFar: '#073447',
+            parallaxMid: '#0a4860',
+            parallaxNear: '#0e5d7a',
+            ground: '#062a3a',
+            groundLine: '#38bdf8',
+            obstacle: '#7dd3fc',
+            spike: '#f87171',
+            platform: '#a5f3fc',
+            pad: '#fde047',
+            orb: '#f472b6',
+            coin: '#facc15',
+            hud: '#f0f9ff',
+            hudMuted: '#94c8e0',
+            hudAccent: '#38bdf8',
+            progress: '#34d399'
+        }
+    }
+};
+THEMES.site.colors = Object.assign({}, THEMES.classic.colors);
+
+/**
+ * Color helpers. Colors are parsed into { r, g, b, a } (channels 0-255, alpha
+ * 0-1) and written back as "#rrggbb", or "rgba(...)" when not opaque.
+ */
+const Colors = {
+    /**
+     * Parse a CSS color: hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba(),
+     * hsl()/hsla() or "transparent". With `allowNamed`, anything else the
+     * browser understands (named colors and so on) is resolved through a
+     * canvas, which isn't available in Node. Returns null if it can't be read.
+     */
+    parse(color, allowNamed = true) {
+        if (typeof color !== 'string') return null;
+
+        const text = color.trim().toLowerCase();
+        if (text === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+        const rgba = this.parseHex(text) || this.parseFunction(text);
+        if (rgba || !allowNamed) return rgba;
+        return this.parseWithCanvas(text);
+    },
+
+    parseHex(text) {
+        const match = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text);
+        if (!match) return null;
+
+        let hex = match[1];
+        if (hex.length <= 4) {
+            hex = hex.split('').map(digit => digit + digit).join('');
+        }
+        return {
+            r: parseInt(hex.slice(0, 2), 16),
+            g: parseInt(hex.slice(2, 4), 16),
+            b: parseInt(hex.slice(4, 6), 16),
+            a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+        };
+    },
+
+    /**
+     * rgb()/hsl() in either the comma or the space-separated syntax
+     */
+    parseFunction(text) {
+        const match = /^(rgba?|hsla?)\(([^()]*)\)$/.exec(text);
+        if (!match) return null;
+
+        const args = match[2].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+        if (args.length !== 3 && args.length !== 4) return null;
+
+        const number = (arg, percentScale, unit = '%') => {
+            const parts = /^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)(%|deg)?$/.exec(arg);
+            if (!parts || (parts[2] && parts[2] !== unit)) return NaN;
+            return parts[2] === '%' ? parseFloat(parts[1]) * percentScale : parseFloat(parts[1]);
+        };
+        const alpha = args.length === 4 ? number(args[3], 0.01) : 1;
+
+        let r, g, b;
+        if (match[1].startsWith('rgb')) {
+            [r, g, b] = args.slice(0, 3).map(arg => number(arg, 2.55));
+        } else {
+            const hue = number(args[0], NaN, 'deg');
+            const saturation = number(args[1], 0.01);
+            const lightness = number(args[2], 0.01);
+            if (!args[1].endsWith('%') || !args[2].endsWith('%')) return null;
+            [r, g, b] = this.hslToRgb(hue, saturation, lightness);
+        }
+
+        if ([r, g, b, alpha].some(value => !isFinite(value))) return null;
+        return { r: this.clamp(r, 255), g: this.clamp(g, 255), b: this.clamp(b, 255), a: this.clamp(alpha, 1) };
+    },
+
+    hslToRgb(hue, saturation, lightness) {
+        const s = this.clamp(saturation, 1);
+        const l = this.clamp(lightness, 1);
+        const chroma = (1 - Math.abs(2 * l - 1)) * s;
+        const h = (((hue % 360) + 360) % 360) / 60;
+        const x = chroma * (1 - Math.abs(h % 2 - 1));
+        const m = l - chroma / 2;
+        const [r, g, b] = h < 1 ? [chroma, x, 0] : h < 2 ? [x, chroma, 0] : h < 3 ? [0, chroma, x] :
+            h < 4 ? [0, x, chroma] : h < 5 ? [x, 0, chroma] : [chroma, 0, x];
+        return [(r + m) * 255, (g + m) * 255, (b + m) * 255];
+    },
+
+    /**
+     * Let the browser read the color: a canvas normalizes any valid fillStyle
+     * to hex or rgba(), and ignores invalid ones
+     */
+    parseWithCanvas(text) {
+        if (typeof document === 'undefined') return null;
+
+        if (!this.probe) {
+            this.probe = document.createElement('canvas').getContext('2d');
+        }
+        const ctx = this.probe;
+        if (!ctx) return null;
+
+        ctx.fillStyle = '#000000';
+        ctx.fillStyle = text;
+        const first = ctx.fillStyle;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillStyle = text;
+        if (ctx.fillStyle !== first) return null; // Ignored both times, so not a color
+
+        return this.parseHex(first) || this.parseFunction(first);
+    },
+
+    format(rgba) {
+        const r = Math.round(rgba.r);
+        const g = Math.round(rgba.g);
+        const b = Math.round(rgba.b);
+        if (rgba.a >= 1) {
+            return '#' + ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0');
+        }
+        return `rgba(${r}, ${g}, ${b}, ${Math.round(rgba.a * 1000) / 1000})`;
+    },
+
+    clamp(value, max) {
+        return Math.min(max, Math.max(0, value));
+    },
+
+    /**
+     * Add `amount` (0-255) to each channel; colors that can't be read come back unchanged
+     */
+    lighten(color, amount) {
+        const rgba = this.parse(color);
+        if (!rgba) return color;
+        return this.format({
+            r: this.clamp(rgba.r + amount, 255),
+            g: this.clamp(rgba.g + amount, 255),
+            b: this.clamp(rgba.b + amount, 255),
+            a: rgba.a
+        });
+    },
+
+    darken(color, amount) {
+        return this.lighten(color, -amount);
+    },
+
+    withAlpha(color, alpha) {
+        const rgba = this.parse(color);
+        return rgba ? this.format(Object.assign(rgba, { a: rgba.a * alpha })) : color;
+    },
+
+    /**
+     * Color `t` (0-1) of the way from `from` to `to` (either may be parsed already)
+     */
+    mix(from, to, t) {
+        const a = typeof from === 'string' ? this.parse(from) : from;
+        const b = typeof to === 'string' ? this.parse(to) : to;
+        if (!a || !b) {
+            const nearest = t < 0.5 ? from : to;
+            return typeof nearest === 'string' ? nearest : this.format(nearest);
+        }
+        return this.format({
+            r: a.r + (b.r - a.r) * t,
+            g: a.g + (b.g - a.g) * t,
+            b: a.b + (b.b - a.b) * t,
+            a: a.a + (b.a - a.a) * t
+        });
+    }
+};
+
+const Themes = {
+    /**
+     * Full palette for a theme with `colors` overrides on top, in order
+     * (null overrides keep the theme's color)
+     */
+    resolve(name, ...overrides) {
+        const theme = THEMES[name] || THEMES[DEFAULT_THEME];
+        const colors = Object.assign({}, theme.colors, theme === THEMES.site ? this.siteColors() : null);
+        overrides.forEach(set => {
+            THEME_FIELDS.forEach(field => {
+                if (set && set[field] !== null && set[field] !== undefined) colors[field] = set[field];
+            });
+        });
+        return colors;
+    },
+
+    /**
+     * Site theme colors from the page's CSS custom properties (read once; empty outside a browser)
+     */
+    siteColors() {
+        if (this.siteCache) return this.siteCache;
+        if (typeof document === 'undefined' || typeof getComputedStyle !== 'function') return {};
+
+        const style = getComputedStyle(document.documentElement);
+        const read = (property) => {
+            const value = style.getPropertyValue(property).trim();
+            return Colors.parse(value) ? value : null;
+        };
+
+        const colors = {};
+        Object.keys(THEMES.site.css).forEach(field => {
+            const value = read(THEMES.site.css[field]);
+            if (value) colors[field] = value;
+        });
+        // Colors the page doesn't name are worked out from the ones it does
+        if (colors.background) {
+            colors.parallaxFar = Colors.lighten(colors.background, 16);
+            colors.parallaxMid = Colors.lighten(colors.background, 32);
+            colors.parallaxNear = Colors.lighten(colors.background, 48);
+        }
+        if (colors.obstacle && colors.hud) {
+            colors.platform = Colors.mix(colors.obstacle, colors.hud, 0.5);
+        }
+
+        this.siteCache = colors;
+        return colors;
+    }
+};
+
+/**
+ * Colors of a running level: the level's theme until the player passes a color
+ * trigger, then a fade to the trigger's theme. Works like the camera's zoom
+ * triggers (see camera.js), including snapping after respawns and replay seeks.
+ */
+class LevelPalette {
+    constructor() {
+        this.colors = Themes.resolve(DEFAULT_THEME);
+        this.lastX = 0; // cameraX the palette last followed
+        this.triggerIndex = 0; // Next color trigger (in x order) the player hasn't passed
+        this.fade = null; // { from, to, step, steps } with parsed colors while fading
+        this.forcedTheme = null; // Theme used instead of the level's and its triggers' (high contrast)
+    }
+
+    /**
+     * Back to the level's own colors with no color triggers passed
+     */
+    reset(game) {
+        this.colors = this.levelColors(game.level);
+        this.fade = null;
+        this.triggerIndex = 0;
+        this.lastX = game.cameraX;
+    }
+
+    /**
+     * Jump straight to the colors for the player's current position
+     */
+    snap(game) {
+        this.reset(game);
+        const triggers = game.level.colorTriggers;
+        const playerX = game.cameraX + game.player.x;
+        while (this.triggerIndex < triggers.length && triggers[this.triggerIndex].x <= playerX) {
+            this.colors = this.triggerColors(game.level, triggers[this.triggerIndex++]);
+        }
+    }
+
+    /**
+     * Follow the player for one simulation step
+     */
+    update(game) {
+        if (game.cameraX < this.lastX || game.cameraX - this.lastX > CAMERA_JUMP) {
+            this.snap(game);
+        }
+        this.lastX = game.cameraX;
+
+        const triggers = game.level.colorTriggers;
+        const playerX = game.cameraX + game.player.x;
+        while (this.triggerIndex < triggers.length && triggers[this.triggerIndex].x <= playerX) {
+            const trigger = triggers[this.triggerIndex++];
+            const target = this.triggerColors(game.level, trigger);
+            const steps = Math.round(trigger.duration / FIXED_TIMESTEP);
+            this.fade = steps > 0 ? { from: this.parseAll(this.colors), to: this.parseAll(target), step: 0, steps: steps } : null;
+            if (!this.fade) this.colors = target;
+        }
+        if (this.fade) {
+            const fade = this.fade;
+            fade.step++;
+            const t = fade.step / fade.steps;
+            const colors = {};
+            THEME_FIELDS.forEach(field => {
+                colors[field] = Colors.mix(fade.from[field], fade.to[field], t);
+            });
+            this.colors = colors;
+            if (fade.step >= fade.steps) this.fade = null;
+        }
+    }
+
+    levelColors(level) {
+        if (this.forcedTheme) return Themes.resolve(this.forcedTheme);
+        return Themes.resolve(level.theme, level.colors);
+    }
+
+    /**
+     * A trigger without a theme goes back to the level's own colors
+     */
+    triggerColors(level, trigger) {
+        if (this.forcedTheme) return Themes.resolve(this.forcedTheme);
+        if (trigger.theme === null) {
+            return Themes.resolve(level.theme, level.colors, trigger.colors);
+        }
+        return Themes.resolve(trigger.theme, trigger.colors);
+    }
+
+    parseAll(colors) {
+        const parsed = {};
+        THEME_FIELDS.forEach(field => {
+            parsed[field] = Colors.parse(colors[field]) || colors[field];
+        });
+        return parsed;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { THEME_FIELDS, DEFAULT_THEME, THEMES, Colors, Themes, LevelPalette };
+}